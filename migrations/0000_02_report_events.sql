@@ -0,0 +1,16 @@
+-- Migration: audit history report (GET /api/reports/:id/history)
+-- Jalankan: npm run migrate
+-- Tidak memakai foreign key agar event 'deleted' tetap tersimpan setelah report dihapus
+
+CREATE TABLE IF NOT EXISTS report_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    report_id TEXT NOT NULL,
+    event_type TEXT NOT NULL, -- created, field_changed, image_uploaded, deleted
+    field TEXT,
+    old_value TEXT,
+    new_value TEXT,
+    actor TEXT DEFAULT 'System',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_report_events_report_id ON report_events(report_id, created_at);
@@ -0,0 +1,14 @@
+-- Migration: comment thread dan work note internal per report
+-- Jalankan: npm run migrate
+
+CREATE TABLE IF NOT EXISTS report_comments (
+    id TEXT PRIMARY KEY,
+    report_id TEXT NOT NULL,
+    author TEXT NOT NULL DEFAULT 'System',
+    body TEXT NOT NULL,
+    is_internal INTEGER NOT NULL DEFAULT 0 CHECK (is_internal IN (0, 1)), -- 1 = work note internal
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (report_id) REFERENCES reports(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_report_comments_report_id ON report_comments(report_id, created_at);
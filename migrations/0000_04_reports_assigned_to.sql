@@ -0,0 +1,4 @@
+-- Migration: index assigned_to untuk filter assignee dan GET /api/workload
+-- Jalankan: npm run migrate
+
+CREATE INDEX IF NOT EXISTS idx_reports_assigned_to ON reports(assigned_to);
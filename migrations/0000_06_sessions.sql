@@ -0,0 +1,15 @@
+-- Migration: login dashboard (password user + session, cookie berisi id session yang di-sign)
+-- Jalankan: npm run migrate
+
+ALTER TABLE users ADD COLUMN password_hash TEXT; -- pbkdf2$iterations$salt$hash, NULL = tidak bisa login ke dashboard
+
+CREATE TABLE IF NOT EXISTS sessions (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    expires_at DATETIME NOT NULL,
+    user_agent TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions(user_id);
@@ -0,0 +1,19 @@
+-- Migration: SLA policy per priority (target dalam menit) + waktu acknowledge / resolve report
+-- Jalankan: npm run migrate
+
+ALTER TABLE reports ADD COLUMN acknowledged_at DATETIME; -- pertama kali keluar dari pending (on-progress/completed)
+ALTER TABLE reports ADD COLUMN resolved_at DATETIME; -- saat status menjadi completed, di-reset saat reopen
+
+CREATE TABLE IF NOT EXISTS sla_policies (
+    priority TEXT PRIMARY KEY CHECK (priority IN ('critical', 'high', 'medium', 'low')),
+    acknowledge_minutes INTEGER NOT NULL CHECK (acknowledge_minutes > 0),
+    resolve_minutes INTEGER NOT NULL CHECK (resolve_minutes > 0),
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Default SLA policies (sama dengan DEFAULT_SLA_POLICIES di worker)
+INSERT OR IGNORE INTO sla_policies (priority, acknowledge_minutes, resolve_minutes) VALUES
+('critical', 15, 240),
+('high', 30, 480),
+('medium', 120, 1440),
+('low', 480, 4320);
@@ -0,0 +1,25 @@
+-- Migration: escalation rule yang dijalankan oleh Cron Trigger (satu rule hanya sekali per report)
+-- Jalankan: npm run migrate
+-- Escalation rule contoh dari schema.sql tidak ikut dibuat; tambahkan lewat /api/escalation-rules.
+
+CREATE TABLE IF NOT EXISTS escalation_rules (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    status TEXT NOT NULL CHECK (status IN ('pending', 'on-progress')),
+    priority TEXT CHECK (priority IN ('critical', 'high', 'medium', 'low')), -- NULL = semua priority
+    after_minutes INTEGER NOT NULL CHECK (after_minutes > 0),
+    action TEXT NOT NULL CHECK (action IN ('bump_priority', 'reassign')),
+    assign_to TEXT, -- wajib untuk action reassign
+    is_active INTEGER NOT NULL DEFAULT 1 CHECK (is_active IN (0, 1)),
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS report_escalations (
+    report_id TEXT NOT NULL,
+    rule_id TEXT NOT NULL,
+    action TEXT NOT NULL,
+    escalated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (report_id, rule_id),
+    FOREIGN KEY (report_id) REFERENCES reports(id) ON DELETE CASCADE,
+    FOREIGN KEY (rule_id) REFERENCES escalation_rules(id) ON DELETE CASCADE
+);
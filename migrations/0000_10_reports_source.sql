@@ -0,0 +1,7 @@
+-- Migration: asal report (manual atau tool monitoring lewat /api/ingest/*) dan ID alert asalnya
+-- Jalankan: npm run migrate
+
+ALTER TABLE reports ADD COLUMN source TEXT DEFAULT 'manual'; -- manual, alertmanager, zabbix, grafana
+ALTER TABLE reports ADD COLUMN source_ref TEXT; -- ID alert di tool monitoring (fingerprint / event id)
+
+CREATE INDEX IF NOT EXISTS idx_reports_source_ref ON reports(source, source_ref);
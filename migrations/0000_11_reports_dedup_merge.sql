@@ -0,0 +1,10 @@
+-- Migration: dedup report per fingerprint (occurrence) dan merge / split report
+-- Jalankan: npm run migrate
+
+ALTER TABLE reports ADD COLUMN fingerprint TEXT; -- hash dedup (dedup_key, atau server + platform + deskripsi)
+ALTER TABLE reports ADD COLUMN occurrence_count INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE reports ADD COLUMN last_seen_at DATETIME;
+ALTER TABLE reports ADD COLUMN merged_into TEXT; -- id report tujuan jika report ini digabung (merge)
+
+CREATE INDEX IF NOT EXISTS idx_reports_fingerprint ON reports(fingerprint);
+CREATE INDEX IF NOT EXISTS idx_reports_merged_into ON reports(merged_into);
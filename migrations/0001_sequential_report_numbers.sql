@@ -0,0 +1,59 @@
+-- Migration: nomor report berurutan (REP-YYYY-NNNNN) menggantikan nomor acak REP-YYYY-NNNN
+-- Jalankan: npm run migrate (wrangler d1 migrations apply it-reports-db --remote)
+-- Nomor lama disimpan di report_number_aliases sehingga GET /api/reports/<nomor lama> tetap bisa dipakai.
+-- Renumbering memakai format default {PREFIX}-{YYYY}-{SEQ:5} dengan prefix REP, diurutkan per created_at.
+
+CREATE TABLE IF NOT EXISTS report_counters (
+    scope TEXT NOT NULL,
+    year INTEGER NOT NULL,
+    last_number INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (scope, year)
+);
+
+CREATE TABLE IF NOT EXISTS report_number_aliases (
+    alias TEXT PRIMARY KEY,
+    report_id TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (report_id) REFERENCES reports(id) ON DELETE CASCADE
+);
+
+-- 1. Simpan nomor lama sebagai alias
+INSERT OR IGNORE INTO report_number_aliases (alias, report_id)
+SELECT report_id, id FROM reports;
+
+-- Trigger updated_at dilepas sementara agar renumbering tidak mengubah updated_at report lama.
+DROP TRIGGER IF EXISTS update_reports_timestamp;
+
+-- 2. Nomor sementara dulu agar UPDATE berikutnya tidak bentrok dengan UNIQUE(report_id)
+UPDATE reports SET report_id = 'tmp:' || id;
+
+-- 3. Nomor baru per tahun created_at, urut created_at lalu id
+UPDATE reports
+SET report_id = numbered.new_report_id
+FROM (
+    SELECT
+        id,
+        'REP-' || strftime('%Y', created_at) || '-' || printf('%05d', ROW_NUMBER() OVER (
+            PARTITION BY strftime('%Y', created_at)
+            ORDER BY created_at, id
+        )) AS new_report_id
+        FROM reports
+) AS numbered
+WHERE reports.id = numbered.id;
+
+CREATE TRIGGER IF NOT EXISTS update_reports_timestamp 
+AFTER UPDATE ON reports 
+BEGIN
+    UPDATE reports SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+END;
+
+-- 4. Alias yang sama dengan nomor barunya tidak diperlukan
+DELETE FROM report_number_aliases
+WHERE alias IN (SELECT report_id FROM reports);
+
+-- 5. Lanjutkan counter dari nomor terakhir tiap tahun
+INSERT INTO report_counters (scope, year, last_number)
+SELECT 'REP', CAST(strftime('%Y', created_at) AS INTEGER), COUNT(*)
+FROM reports
+GROUP BY strftime('%Y', created_at)
+ON CONFLICT (scope, year) DO UPDATE SET last_number = MAX(last_number, excluded.last_number);
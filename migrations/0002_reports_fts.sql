@@ -0,0 +1,57 @@
+-- Migration: full-text search (FTS5) untuk reports + comments
+-- Jalankan: npm run migrate
+-- Membuat reports_fts beserta trigger sinkronisasinya, lalu mengisi index dari data yang sudah ada.
+
+-- Full-text search index (rowid = reports.rowid), disinkronkan lewat trigger di bawah
+CREATE VIRTUAL TABLE IF NOT EXISTS reports_fts USING fts5(
+    report_number, server_name, ip_address, platform, description, notes, comments,
+    tokenize = 'unicode61'
+);
+
+CREATE TRIGGER IF NOT EXISTS reports_fts_insert
+AFTER INSERT ON reports
+BEGIN
+    INSERT INTO reports_fts (rowid, report_number, server_name, ip_address, platform, description, notes, comments)
+    VALUES (NEW.rowid, NEW.report_id, NEW.server_name, NEW.ip_address, NEW.platform, NEW.description, NEW.notes, '');
+END;
+
+CREATE TRIGGER IF NOT EXISTS reports_fts_update
+AFTER UPDATE OF report_id, server_name, ip_address, platform, description, notes ON reports
+BEGIN
+    DELETE FROM reports_fts WHERE rowid = OLD.rowid;
+    INSERT INTO reports_fts (rowid, report_number, server_name, ip_address, platform, description, notes, comments)
+    VALUES (
+        NEW.rowid, NEW.report_id, NEW.server_name, NEW.ip_address, NEW.platform, NEW.description, NEW.notes,
+        (SELECT COALESCE(group_concat(body, ' '), '') FROM report_comments WHERE report_id = NEW.id)
+    );
+END;
+
+CREATE TRIGGER IF NOT EXISTS reports_fts_delete
+AFTER DELETE ON reports
+BEGIN
+    DELETE FROM reports_fts WHERE rowid = OLD.rowid;
+END;
+
+CREATE TRIGGER IF NOT EXISTS reports_fts_comment_insert
+AFTER INSERT ON report_comments
+BEGIN
+    UPDATE reports_fts
+    SET comments = (SELECT COALESCE(group_concat(body, ' '), '') FROM report_comments WHERE report_id = NEW.report_id)
+    WHERE rowid = (SELECT rowid FROM reports WHERE id = NEW.report_id);
+END;
+
+CREATE TRIGGER IF NOT EXISTS reports_fts_comment_delete
+AFTER DELETE ON report_comments
+BEGIN
+    UPDATE reports_fts
+    SET comments = (SELECT COALESCE(group_concat(body, ' '), '') FROM report_comments WHERE report_id = OLD.report_id)
+    WHERE rowid = (SELECT rowid FROM reports WHERE id = OLD.report_id);
+END;
+
+-- Isi index dari report dan komentar yang sudah ada
+INSERT INTO reports_fts (rowid, report_number, server_name, ip_address, platform, description, notes, comments)
+SELECT
+    r.rowid, r.report_id, r.server_name, r.ip_address, r.platform, r.description, r.notes,
+    (SELECT COALESCE(group_concat(body, ' '), '') FROM report_comments WHERE report_id = r.id)
+FROM reports r
+WHERE r.rowid NOT IN (SELECT rowid FROM reports_fts);
@@ -0,0 +1,26 @@
+-- Migration: kolom ip_number untuk filter CIDR di GET /api/reports (?ip=10.0.0.0/24)
+-- Jalankan: npm run migrate
+-- Report baru diisi oleh worker (createReport / import); di sini hanya data lama.
+
+ALTER TABLE reports ADD COLUMN ip_number INTEGER;
+CREATE INDEX IF NOT EXISTS idx_reports_ip_number ON reports(ip_number);
+CREATE INDEX IF NOT EXISTS idx_reports_platform ON reports(platform);
+
+-- Isi ip_number dari ip_address IPv4 untuk data lama.
+-- Trigger updated_at dilepas sementara agar updated_at data lama tidak berubah.
+DROP TRIGGER IF EXISTS update_reports_timestamp;
+
+UPDATE reports SET ip_number = (
+    SELECT (CAST(o1 AS INTEGER) << 24) + (CAST(o2 AS INTEGER) << 16) + (CAST(o3 AS INTEGER) << 8) + CAST(o4 AS INTEGER)
+    FROM (SELECT o1, o2, substr(r2, 1, instr(r2, '.') - 1) AS o3, substr(r2, instr(r2, '.') + 1) AS o4
+    FROM (SELECT o1, substr(r1, 1, instr(r1, '.') - 1) AS o2, substr(r1, instr(r1, '.') + 1) AS r2
+    FROM (SELECT substr(ip_address, 1, instr(ip_address, '.') - 1) AS o1,
+                 substr(ip_address, instr(ip_address, '.') + 1) AS r1)))
+)
+WHERE ip_address GLOB '[0-9]*.[0-9]*.[0-9]*.[0-9]*';
+
+CREATE TRIGGER IF NOT EXISTS update_reports_timestamp 
+AFTER UPDATE ON reports 
+BEGIN
+    UPDATE reports SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+END;
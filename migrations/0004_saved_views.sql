@@ -0,0 +1,15 @@
+-- Migration: saved views (filter GET /api/reports yang disimpan per user)
+-- Jalankan: npm run migrate
+
+CREATE TABLE IF NOT EXISTS saved_views (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    owner TEXT NOT NULL, -- username pembuat
+    filters TEXT NOT NULL, -- JSON object query param, mis. {"priority":"critical","platform":"Zabbix"}
+    is_shared INTEGER NOT NULL DEFAULT 0 CHECK (is_shared IN (0, 1)),
+    show_on_dashboard INTEGER NOT NULL DEFAULT 0 CHECK (show_on_dashboard IN (0, 1)),
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_saved_views_owner ON saved_views(owner);
@@ -0,0 +1,15 @@
+-- Migration: import report dari CSV/JSON (POST /api/reports/import)
+-- Jalankan: npm run migrate
+
+-- ID dari sistem/spreadsheet asal untuk re-import idempotent
+ALTER TABLE reports ADD COLUMN external_id TEXT;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_reports_external_id ON reports(external_id) WHERE external_id IS NOT NULL;
+
+-- Trigger updated_at tidak berjalan jika updated_at di-set eksplisit (import mempertahankan timestamp asli)
+DROP TRIGGER IF EXISTS update_reports_timestamp;
+CREATE TRIGGER IF NOT EXISTS update_reports_timestamp 
+AFTER UPDATE ON reports 
+WHEN NEW.updated_at IS OLD.updated_at
+BEGIN
+    UPDATE reports SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+END;
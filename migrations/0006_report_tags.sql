@@ -0,0 +1,12 @@
+-- Migration: tag per report (dipakai bulk action tag/untag di POST /api/reports/bulk)
+-- Jalankan: npm run migrate
+
+CREATE TABLE IF NOT EXISTS report_tags (
+    report_id TEXT NOT NULL,
+    tag TEXT NOT NULL, -- lowercase, mis. "outage-2024-05", "datacenter:jkt1"
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (report_id, tag),
+    FOREIGN KEY (report_id) REFERENCES reports(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_report_tags_tag ON report_tags(tag);
@@ -0,0 +1,7 @@
+-- Migration: evidence image disimpan di R2, image_data (base64) hanya untuk row lama
+-- Jalankan: npm run migrate
+-- Setelah itu pindahkan row lama: POST /api/admin/images/migrate (atau tunggu cron, 25 image per 5 menit)
+
+ALTER TABLE images ADD COLUMN r2_key TEXT;
+ALTER TABLE images ADD COLUMN thumbnail_key TEXT;
+ALTER TABLE images ADD COLUMN migration_error TEXT;
@@ -0,0 +1,4 @@
+-- Migration: revoke signed URL evidence image (link_version ikut di-sign di ?exp=&sig=)
+-- Jalankan: npm run migrate
+
+ALTER TABLE images ADD COLUMN link_version INTEGER NOT NULL DEFAULT 0;
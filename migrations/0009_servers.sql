@@ -0,0 +1,22 @@
+-- Migration: inventaris server yang di-link ke report (reports.server_id)
+-- Jalankan: npm run migrate
+-- Report lama di-link setelahnya lewat POST /api/admin/servers/backfill
+
+CREATE TABLE IF NOT EXISTS servers (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL, -- nama kanonik, mis. "WEB-SVR-01"
+    name_key TEXT NOT NULL UNIQUE, -- nama ternormalisasi untuk pencocokan: "web-svr-01", "WEB_SVR1" -> "web-svr-1"
+    ip_addresses TEXT NOT NULL DEFAULT '[]', -- JSON array
+    environment TEXT CHECK (environment IN ('production', 'staging', 'development', 'testing', 'dr')),
+    owner_team TEXT,
+    criticality TEXT NOT NULL DEFAULT 'medium' CHECK (criticality IN ('critical', 'high', 'medium', 'low')),
+    tags TEXT NOT NULL DEFAULT '[]', -- JSON array, lowercase
+    notes TEXT,
+    auto_registered INTEGER NOT NULL DEFAULT 0 CHECK (auto_registered IN (0, 1)), -- dibuat otomatis dari ingest alert
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE reports ADD COLUMN server_id TEXT REFERENCES servers(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_reports_server_id ON reports(server_id);
@@ -0,0 +1,33 @@
+-- Migration: custom field per report (didefinisikan admin lewat /api/custom-fields)
+-- Jalankan: npm run migrate
+
+-- 20. Custom field definitions (field tambahan per report yang didefinisikan admin)
+CREATE TABLE IF NOT EXISTS custom_fields (
+    key TEXT PRIMARY KEY, -- slug, mis. "datacenter", "root_cause_category"; dipakai di API dan filter cf.<key>
+    label TEXT NOT NULL,
+    type TEXT NOT NULL CHECK (type IN ('text', 'number', 'enum', 'date')),
+    options TEXT, -- JSON array pilihan untuk type enum
+    required INTEGER NOT NULL DEFAULT 0 CHECK (required IN (0, 1)),
+    is_active INTEGER NOT NULL DEFAULT 1 CHECK (is_active IN (0, 1)), -- nonaktif: tidak bisa diisi lagi, nilai lama tetap ada
+    sort_order INTEGER NOT NULL DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 21. Custom field values per report
+CREATE TABLE IF NOT EXISTS report_field_values (
+    report_id TEXT NOT NULL,
+    field_key TEXT NOT NULL,
+    value TEXT NOT NULL, -- text/enum apa adanya, date YYYY-MM-DD, number sebagai teks
+    value_number REAL, -- hanya untuk type number (filter rentang)
+    PRIMARY KEY (report_id, field_key),
+    FOREIGN KEY (report_id) REFERENCES reports(id) ON DELETE CASCADE,
+    FOREIGN KEY (field_key) REFERENCES custom_fields(key) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_report_field_values_field ON report_field_values(field_key, value);
+
+INSERT OR IGNORE INTO custom_fields (key, label, type, options, required, sort_order) VALUES
+('datacenter', 'Datacenter', 'text', NULL, 0, 1),
+('customer_impact', 'Customer Impact', 'enum', '["none","minor","major","outage"]', 0, 2),
+('root_cause_category', 'Root Cause Category', 'enum', '["hardware","software","network","configuration","capacity","human error","third party","unknown"]', 0, 3);
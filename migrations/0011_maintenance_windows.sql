@@ -0,0 +1,25 @@
+-- Migration: maintenance window + penanda report yang dibuat di dalam window
+-- Jalankan: npm run migrate
+
+-- 22. Maintenance windows (report di dalam window di-tag otomatis, opsional disembunyikan, tidak dihitung di SLA / stats)
+CREATE TABLE IF NOT EXISTS maintenance_windows (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    description TEXT,
+    starts_at DATETIME NOT NULL, -- ISO UTC, awal occurrence pertama
+    ends_at DATETIME NOT NULL, -- akhir occurrence pertama (durasi sama untuk setiap occurrence)
+    recurrence TEXT NOT NULL DEFAULT 'none' CHECK (recurrence IN ('none', 'daily', 'weekly', 'monthly')),
+    recurrence_until DATETIME, -- occurrence terakhir dimulai paling lambat di sini (NULL = tanpa batas)
+    server_ids TEXT NOT NULL DEFAULT '[]', -- JSON array id server di inventaris
+    tags TEXT NOT NULL DEFAULT '[]', -- JSON array: cocok jika server (inventaris) atau report punya salah satu tag ini
+    tag TEXT NOT NULL DEFAULT 'maintenance', -- tag yang ditambahkan ke report di dalam window
+    suppress INTEGER NOT NULL DEFAULT 0 CHECK (suppress IN (0, 1)), -- report disembunyikan dari daftar dan tidak memicu webhook
+    created_by TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE reports ADD COLUMN maintenance_id TEXT REFERENCES maintenance_windows(id) ON DELETE SET NULL;
+ALTER TABLE reports ADD COLUMN suppressed INTEGER NOT NULL DEFAULT 0 CHECK (suppressed IN (0, 1));
+
+CREATE INDEX IF NOT EXISTS idx_reports_maintenance_id ON reports(maintenance_id);
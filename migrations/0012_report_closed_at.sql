@@ -0,0 +1,39 @@
+-- Migration: closed_at + isi timestamp lifecycle data lama dari report_events (MTTA/MTTR di /api/analytics)
+-- Jalankan: npm run migrate
+
+ALTER TABLE reports ADD COLUMN closed_at DATETIME;
+
+-- Trigger updated_at dilepas sementara agar updated_at data lama tidak berubah
+DROP TRIGGER IF EXISTS update_reports_timestamp;
+
+-- acknowledged_at: perubahan status pertama ke on-progress / completed
+UPDATE reports SET acknowledged_at = (
+    SELECT MIN(e.created_at) FROM report_events e
+    WHERE e.report_id = reports.id AND e.event_type = 'field_changed' AND e.field = 'status'
+      AND e.new_value IN ('on-progress', 'completed')
+)
+WHERE acknowledged_at IS NULL AND status != 'pending';
+
+-- resolved_at: perubahan status terakhir ke completed
+UPDATE reports SET resolved_at = (
+    SELECT MAX(e.created_at) FROM report_events e
+    WHERE e.report_id = reports.id AND e.event_type = 'field_changed' AND e.field = 'status'
+      AND e.new_value = 'completed'
+)
+WHERE resolved_at IS NULL AND status = 'completed';
+
+-- closed_at: resolved_at untuk completed; untuk cancelled perubahan status terakhir ke cancelled (atau merge)
+UPDATE reports SET closed_at = CASE WHEN status = 'completed' THEN resolved_at ELSE (
+    SELECT MAX(e.created_at) FROM report_events e
+    WHERE e.report_id = reports.id
+      AND ((e.event_type = 'field_changed' AND e.field = 'status' AND e.new_value = 'cancelled')
+        OR (e.event_type = 'merged' AND e.field = 'merged_into'))
+) END
+WHERE status IN ('completed', 'cancelled');
+
+CREATE TRIGGER IF NOT EXISTS update_reports_timestamp 
+AFTER UPDATE ON reports 
+WHEN NEW.updated_at IS OLD.updated_at
+BEGIN
+    UPDATE reports SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+END;
@@ -0,0 +1,7 @@
+-- Migration: trigger ip_number dilepas, ip_number sekarang diisi oleh worker (createReport / import)
+-- Jalankan: npm run migrate
+-- Trigger insert menjalankan UPDATE pada setiap report baru sehingga update_reports_timestamp
+-- menimpa updated_at (termasuk updated_at asli dari import).
+
+DROP TRIGGER IF EXISTS reports_ip_number_insert;
+DROP TRIGGER IF EXISTS reports_ip_number_update;
@@ -1,9 +1,28 @@
 -- schema_fixed.sql
 -- Drop existing tables if they exist
+DROP TABLE IF EXISTS maintenance_windows;
+DROP TABLE IF EXISTS report_field_values;
+DROP TABLE IF EXISTS custom_fields;
+DROP TABLE IF EXISTS report_tags;
+DROP TABLE IF EXISTS saved_views;
+DROP TABLE IF EXISTS reports_fts;
+DROP TABLE IF EXISTS report_number_aliases;
+DROP TABLE IF EXISTS report_counters;
+DROP TABLE IF EXISTS webhook_deliveries;
+DROP TABLE IF EXISTS webhooks;
+DROP TABLE IF EXISTS report_escalations;
+DROP TABLE IF EXISTS escalation_rules;
+DROP TABLE IF EXISTS sla_policies;
+DROP TABLE IF EXISTS sessions;
+DROP TABLE IF EXISTS api_tokens;
+DROP TABLE IF EXISTS users;
+DROP TABLE IF EXISTS report_comments;
+DROP TABLE IF EXISTS report_events;
 DROP TABLE IF EXISTS api_logs;
 DROP TABLE IF EXISTS images;
 DROP TABLE IF EXISTS system_stats;
 DROP TABLE IF EXISTS reports;
+DROP TABLE IF EXISTS servers;
 
 -- Create tables in correct order
 
@@ -21,6 +40,20 @@ CREATE TABLE IF NOT EXISTS reports (
     created_by TEXT DEFAULT 'System',
     assigned_to TEXT,
     notes TEXT,
+    acknowledged_at DATETIME, -- pertama kali keluar dari pending (on-progress/completed)
+    resolved_at DATETIME, -- saat status menjadi completed, di-reset saat reopen
+    closed_at DATETIME, -- saat masuk status akhir (completed/cancelled), di-reset saat reopen
+    source TEXT DEFAULT 'manual', -- manual, alertmanager, zabbix, grafana, import
+    source_ref TEXT, -- ID alert di tool monitoring (fingerprint / event id)
+    external_id TEXT, -- ID dari sistem/spreadsheet asal untuk re-import idempotent (POST /api/reports/import)
+    fingerprint TEXT, -- hash dedup (dedup_key, atau server + platform + deskripsi)
+    occurrence_count INTEGER NOT NULL DEFAULT 1,
+    last_seen_at DATETIME,
+    merged_into TEXT, -- id report tujuan jika report ini digabung (merge)
+    ip_number INTEGER, -- ip_address IPv4 sebagai angka untuk filter CIDR (diisi worker setiap kali ip_address ditulis)
+    server_id TEXT REFERENCES servers(id) ON DELETE SET NULL, -- server di inventaris; server_name tetap teks asli dari report
+    maintenance_id TEXT REFERENCES maintenance_windows(id) ON DELETE SET NULL, -- dibuat di dalam maintenance window
+    suppressed INTEGER NOT NULL DEFAULT 0 CHECK (suppressed IN (0, 1)), -- disembunyikan oleh maintenance window (suppress)
     timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
@@ -33,7 +66,11 @@ CREATE TABLE IF NOT EXISTS images (
     filename TEXT NOT NULL,
     file_size INTEGER,
     mime_type TEXT,
-    image_data TEXT, -- Base64 atau URL ke R2
+    image_data TEXT, -- Legacy: base64 / URL r2.dev, dikosongkan setelah dipindah ke R2
+    r2_key TEXT, -- object R2 evidence/{report id}/{image id}
+    thumbnail_key TEXT, -- NULL jika image sudah kecil atau format tidak bisa di-resize
+    migration_error TEXT, -- alasan gagal migrasi base64 -> R2 (POST /api/admin/images/migrate)
+    link_version INTEGER NOT NULL DEFAULT 0, -- ikut di-sign di URL image, dinaikkan untuk revoke link lama
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (report_id) REFERENCES reports(id) ON DELETE CASCADE
 );
@@ -60,28 +97,389 @@ CREATE TABLE IF NOT EXISTS api_logs (
     timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
 );
 
+-- 5. Report events table (audit history / timeline)
+-- Tidak memakai foreign key agar event 'deleted' tetap tersimpan setelah report dihapus
+CREATE TABLE IF NOT EXISTS report_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    report_id TEXT NOT NULL,
+    event_type TEXT NOT NULL, -- created, field_changed, image_uploaded, deleted
+    field TEXT,
+    old_value TEXT,
+    new_value TEXT,
+    actor TEXT DEFAULT 'System',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 6. Report comments table (comment thread / work notes)
+CREATE TABLE IF NOT EXISTS report_comments (
+    id TEXT PRIMARY KEY,
+    report_id TEXT NOT NULL,
+    author TEXT NOT NULL DEFAULT 'System',
+    body TEXT NOT NULL,
+    is_internal INTEGER NOT NULL DEFAULT 0 CHECK (is_internal IN (0, 1)), -- 1 = work note internal
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (report_id) REFERENCES reports(id) ON DELETE CASCADE
+);
+
+-- 7. Users table (akun dan role)
+CREATE TABLE IF NOT EXISTS users (
+    id TEXT PRIMARY KEY,
+    username TEXT UNIQUE NOT NULL,
+    display_name TEXT,
+    role TEXT NOT NULL DEFAULT 'viewer' CHECK (role IN ('viewer', 'reporter', 'engineer', 'admin')),
+    password_hash TEXT, -- pbkdf2$iterations$salt$hash, NULL = tidak bisa login ke dashboard
+    is_active INTEGER NOT NULL DEFAULT 1 CHECK (is_active IN (0, 1)),
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 8. API tokens table (hanya hash SHA-256 yang disimpan)
+CREATE TABLE IF NOT EXISTS api_tokens (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    name TEXT,
+    token_hash TEXT UNIQUE NOT NULL,
+    token_prefix TEXT NOT NULL, -- beberapa karakter awal untuk identifikasi di UI
+    expires_at DATETIME,
+    last_used_at DATETIME,
+    revoked_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- 9. Sessions table (login dashboard, cookie berisi id session yang di-sign)
+CREATE TABLE IF NOT EXISTS sessions (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    expires_at DATETIME NOT NULL,
+    user_agent TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- 10. SLA policies table (target per priority dalam menit)
+CREATE TABLE IF NOT EXISTS sla_policies (
+    priority TEXT PRIMARY KEY CHECK (priority IN ('critical', 'high', 'medium', 'low')),
+    acknowledge_minutes INTEGER NOT NULL CHECK (acknowledge_minutes > 0),
+    resolve_minutes INTEGER NOT NULL CHECK (resolve_minutes > 0),
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 11. Escalation rules table (dijalankan oleh Cron Trigger)
+CREATE TABLE IF NOT EXISTS escalation_rules (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    status TEXT NOT NULL CHECK (status IN ('pending', 'on-progress')),
+    priority TEXT CHECK (priority IN ('critical', 'high', 'medium', 'low')), -- NULL = semua priority
+    after_minutes INTEGER NOT NULL CHECK (after_minutes > 0),
+    action TEXT NOT NULL CHECK (action IN ('bump_priority', 'reassign')),
+    assign_to TEXT, -- wajib untuk action reassign
+    is_active INTEGER NOT NULL DEFAULT 1 CHECK (is_active IN (0, 1)),
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 12. Report escalations table (satu rule hanya dijalankan sekali per report)
+CREATE TABLE IF NOT EXISTS report_escalations (
+    report_id TEXT NOT NULL,
+    rule_id TEXT NOT NULL,
+    action TEXT NOT NULL,
+    escalated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (report_id, rule_id),
+    FOREIGN KEY (report_id) REFERENCES reports(id) ON DELETE CASCADE,
+    FOREIGN KEY (rule_id) REFERENCES escalation_rules(id) ON DELETE CASCADE
+);
+
+-- 13. Webhooks table (subscription notifikasi keluar)
+CREATE TABLE IF NOT EXISTS webhooks (
+    id TEXT PRIMARY KEY,
+    name TEXT,
+    url TEXT NOT NULL,
+    secret TEXT NOT NULL, -- untuk signature HMAC-SHA256
+    events TEXT NOT NULL, -- JSON array, mis. ["report.created"] atau ["*"]
+    filters TEXT, -- JSON object, mis. {"priority":["critical"]}
+    is_active INTEGER NOT NULL DEFAULT 1 CHECK (is_active IN (0, 1)),
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 14. Webhook deliveries table (delivery log + antrian retry)
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id TEXT PRIMARY KEY,
+    webhook_id TEXT NOT NULL,
+    event TEXT NOT NULL,
+    payload TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'success', 'failed')),
+    attempt_count INTEGER NOT NULL DEFAULT 0,
+    response_status INTEGER,
+    response_body TEXT,
+    error TEXT,
+    next_attempt_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    delivered_at DATETIME,
+    FOREIGN KEY (webhook_id) REFERENCES webhooks(id) ON DELETE CASCADE
+);
+
+-- 15. Report counters table (nomor report berurutan per prefix + tahun)
+CREATE TABLE IF NOT EXISTS report_counters (
+    scope TEXT NOT NULL, -- prefix nomor report, '*' jika format tanpa {PREFIX}
+    year INTEGER NOT NULL, -- 0 jika format tanpa tahun
+    last_number INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (scope, year)
+);
+
+-- 16. Report number aliases table (nomor lama tetap bisa dicari setelah renumbering)
+CREATE TABLE IF NOT EXISTS report_number_aliases (
+    alias TEXT PRIMARY KEY,
+    report_id TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (report_id) REFERENCES reports(id) ON DELETE CASCADE
+);
+
+-- 17. Saved views table (filter GET /api/reports yang disimpan per user)
+CREATE TABLE IF NOT EXISTS saved_views (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    owner TEXT NOT NULL, -- username pembuat
+    filters TEXT NOT NULL, -- JSON object query param, mis. {"priority":"critical","platform":"Zabbix"}
+    is_shared INTEGER NOT NULL DEFAULT 0 CHECK (is_shared IN (0, 1)),
+    show_on_dashboard INTEGER NOT NULL DEFAULT 0 CHECK (show_on_dashboard IN (0, 1)),
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 18. Report tags table (label bebas per report)
+CREATE TABLE IF NOT EXISTS report_tags (
+    report_id TEXT NOT NULL,
+    tag TEXT NOT NULL, -- lowercase, mis. "outage-2024-05", "datacenter:jkt1"
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (report_id, tag),
+    FOREIGN KEY (report_id) REFERENCES reports(id) ON DELETE CASCADE
+);
+
+-- 19. Servers table (inventaris server / asset yang di-link ke report)
+CREATE TABLE IF NOT EXISTS servers (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL, -- nama kanonik, mis. "WEB-SVR-01"
+    name_key TEXT NOT NULL UNIQUE, -- nama ternormalisasi untuk pencocokan: "web-svr-01", "WEB_SVR1" -> "web-svr-1"
+    ip_addresses TEXT NOT NULL DEFAULT '[]', -- JSON array
+    environment TEXT CHECK (environment IN ('production', 'staging', 'development', 'testing', 'dr')),
+    owner_team TEXT,
+    criticality TEXT NOT NULL DEFAULT 'medium' CHECK (criticality IN ('critical', 'high', 'medium', 'low')),
+    tags TEXT NOT NULL DEFAULT '[]', -- JSON array, lowercase
+    notes TEXT,
+    auto_registered INTEGER NOT NULL DEFAULT 0 CHECK (auto_registered IN (0, 1)), -- dibuat otomatis dari ingest alert
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 20. Custom field definitions (field tambahan per report yang didefinisikan admin)
+CREATE TABLE IF NOT EXISTS custom_fields (
+    key TEXT PRIMARY KEY, -- slug, mis. "datacenter", "root_cause_category"; dipakai di API dan filter cf.<key>
+    label TEXT NOT NULL,
+    type TEXT NOT NULL CHECK (type IN ('text', 'number', 'enum', 'date')),
+    options TEXT, -- JSON array pilihan untuk type enum
+    required INTEGER NOT NULL DEFAULT 0 CHECK (required IN (0, 1)),
+    is_active INTEGER NOT NULL DEFAULT 1 CHECK (is_active IN (0, 1)), -- nonaktif: tidak bisa diisi lagi, nilai lama tetap ada
+    sort_order INTEGER NOT NULL DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 21. Custom field values per report
+CREATE TABLE IF NOT EXISTS report_field_values (
+    report_id TEXT NOT NULL,
+    field_key TEXT NOT NULL,
+    value TEXT NOT NULL, -- text/enum apa adanya, date YYYY-MM-DD, number sebagai teks
+    value_number REAL, -- hanya untuk type number (filter rentang)
+    PRIMARY KEY (report_id, field_key),
+    FOREIGN KEY (report_id) REFERENCES reports(id) ON DELETE CASCADE,
+    FOREIGN KEY (field_key) REFERENCES custom_fields(key) ON DELETE CASCADE
+);
+
+-- 22. Maintenance windows (report di dalam window di-tag otomatis, opsional disembunyikan, tidak dihitung di SLA / stats)
+CREATE TABLE IF NOT EXISTS maintenance_windows (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    description TEXT,
+    starts_at DATETIME NOT NULL, -- ISO UTC, awal occurrence pertama
+    ends_at DATETIME NOT NULL, -- akhir occurrence pertama (durasi sama untuk setiap occurrence)
+    recurrence TEXT NOT NULL DEFAULT 'none' CHECK (recurrence IN ('none', 'daily', 'weekly', 'monthly')),
+    recurrence_until DATETIME, -- occurrence terakhir dimulai paling lambat di sini (NULL = tanpa batas)
+    server_ids TEXT NOT NULL DEFAULT '[]', -- JSON array id server di inventaris
+    tags TEXT NOT NULL DEFAULT '[]', -- JSON array: cocok jika server (inventaris) atau report punya salah satu tag ini
+    tag TEXT NOT NULL DEFAULT 'maintenance', -- tag yang ditambahkan ke report di dalam window
+    suppress INTEGER NOT NULL DEFAULT 0 CHECK (suppress IN (0, 1)), -- report disembunyikan dari daftar dan tidak memicu webhook
+    created_by TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Indexes untuk performa
 CREATE INDEX IF NOT EXISTS idx_reports_status ON reports(status);
 CREATE INDEX IF NOT EXISTS idx_reports_priority ON reports(priority);
 CREATE INDEX IF NOT EXISTS idx_reports_timestamp ON reports(timestamp);
 CREATE INDEX IF NOT EXISTS idx_reports_created_at ON reports(created_at);
+CREATE INDEX IF NOT EXISTS idx_reports_assigned_to ON reports(assigned_to);
+CREATE INDEX IF NOT EXISTS idx_reports_source_ref ON reports(source, source_ref);
+CREATE INDEX IF NOT EXISTS idx_reports_server_id ON reports(server_id);
+CREATE INDEX IF NOT EXISTS idx_reports_maintenance_id ON reports(maintenance_id);
+CREATE INDEX IF NOT EXISTS idx_reports_fingerprint ON reports(fingerprint);
+CREATE INDEX IF NOT EXISTS idx_reports_merged_into ON reports(merged_into);
+CREATE INDEX IF NOT EXISTS idx_reports_ip_number ON reports(ip_number);
+CREATE INDEX IF NOT EXISTS idx_reports_platform ON reports(platform);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_reports_external_id ON reports(external_id) WHERE external_id IS NOT NULL;
 CREATE INDEX IF NOT EXISTS idx_images_report_id ON images(report_id);
 CREATE INDEX IF NOT EXISTS idx_api_logs_timestamp ON api_logs(timestamp);
+CREATE INDEX IF NOT EXISTS idx_report_events_report_id ON report_events(report_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_report_comments_report_id ON report_comments(report_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_api_tokens_user_id ON api_tokens(user_id);
+CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions(user_id);
+CREATE INDEX IF NOT EXISTS idx_saved_views_owner ON saved_views(owner);
+CREATE INDEX IF NOT EXISTS idx_report_tags_tag ON report_tags(tag);
+CREATE INDEX IF NOT EXISTS idx_report_field_values_field ON report_field_values(field_key, value);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook_id ON webhook_deliveries(webhook_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_retry ON webhook_deliveries(status, next_attempt_at);
 
 -- Trigger untuk update otomatis
+-- Tidak berjalan jika updated_at di-set eksplisit (import mempertahankan timestamp asli)
 CREATE TRIGGER IF NOT EXISTS update_reports_timestamp 
 AFTER UPDATE ON reports 
+WHEN NEW.updated_at IS OLD.updated_at
 BEGIN
     UPDATE reports SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
 END;
 
+-- Full-text search index (rowid = reports.rowid), disinkronkan lewat trigger di bawah
+CREATE VIRTUAL TABLE IF NOT EXISTS reports_fts USING fts5(
+    report_number, server_name, ip_address, platform, description, notes, comments,
+    tokenize = 'unicode61'
+);
+
+CREATE TRIGGER IF NOT EXISTS reports_fts_insert
+AFTER INSERT ON reports
+BEGIN
+    INSERT INTO reports_fts (rowid, report_number, server_name, ip_address, platform, description, notes, comments)
+    VALUES (NEW.rowid, NEW.report_id, NEW.server_name, NEW.ip_address, NEW.platform, NEW.description, NEW.notes, '');
+END;
+
+CREATE TRIGGER IF NOT EXISTS reports_fts_update
+AFTER UPDATE OF report_id, server_name, ip_address, platform, description, notes ON reports
+BEGIN
+    DELETE FROM reports_fts WHERE rowid = OLD.rowid;
+    INSERT INTO reports_fts (rowid, report_number, server_name, ip_address, platform, description, notes, comments)
+    VALUES (
+        NEW.rowid, NEW.report_id, NEW.server_name, NEW.ip_address, NEW.platform, NEW.description, NEW.notes,
+        (SELECT COALESCE(group_concat(body, ' '), '') FROM report_comments WHERE report_id = NEW.id)
+    );
+END;
+
+CREATE TRIGGER IF NOT EXISTS reports_fts_delete
+AFTER DELETE ON reports
+BEGIN
+    DELETE FROM reports_fts WHERE rowid = OLD.rowid;
+END;
+
+CREATE TRIGGER IF NOT EXISTS reports_fts_comment_insert
+AFTER INSERT ON report_comments
+BEGIN
+    UPDATE reports_fts
+    SET comments = (SELECT COALESCE(group_concat(body, ' '), '') FROM report_comments WHERE report_id = NEW.report_id)
+    WHERE rowid = (SELECT rowid FROM reports WHERE id = NEW.report_id);
+END;
+
+CREATE TRIGGER IF NOT EXISTS reports_fts_comment_delete
+AFTER DELETE ON report_comments
+BEGIN
+    UPDATE reports_fts
+    SET comments = (SELECT COALESCE(group_concat(body, ' '), '') FROM report_comments WHERE report_id = OLD.report_id)
+    WHERE rowid = (SELECT rowid FROM reports WHERE id = OLD.report_id);
+END;
+
+-- Schema di atas sudah mencakup semua file di migrations/: tandai sebagai sudah dijalankan
+-- agar `npm run migrate` setelah `npm run init-db` hanya menjalankan migration yang lebih baru
+-- (tabel yang sama dengan yang dibuat `wrangler d1 migrations apply`; tambahkan nama setiap migration baru di sini)
+CREATE TABLE IF NOT EXISTS d1_migrations (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT UNIQUE,
+    applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL
+);
+
+INSERT OR IGNORE INTO d1_migrations (name) VALUES
+('0000_02_report_events.sql'),
+('0000_03_report_comments.sql'),
+('0000_04_reports_assigned_to.sql'),
+('0000_05_users_api_tokens.sql'),
+('0000_06_sessions.sql'),
+('0000_07_sla_policies.sql'),
+('0000_08_escalation_rules.sql'),
+('0000_09_webhooks.sql'),
+('0000_10_reports_source.sql'),
+('0000_11_reports_dedup_merge.sql'),
+('0001_sequential_report_numbers.sql'),
+('0002_reports_fts.sql'),
+('0003_reports_ip_number.sql'),
+('0004_saved_views.sql'),
+('0005_report_import.sql'),
+('0006_report_tags.sql'),
+('0007_images_r2.sql'),
+('0008_image_link_version.sql'),
+('0009_servers.sql'),
+('0010_custom_fields.sql'),
+('0011_maintenance_windows.sql'),
+('0012_report_closed_at.sql'),
+('0013_drop_ip_number_triggers.sql');
+
 -- Insert sample data untuk testing
-INSERT OR IGNORE INTO reports (id, report_id, server_name, ip_address, description, status, priority, platform) VALUES
-('rep_1', 'REP-2024-001', 'WEB-SVR-01', '192.168.1.10', 'Server overload during peak hours', 'on-progress', 'high', 'Zabbix'),
-('rep_2', 'REP-2024-002', 'DB-SVR-01', '192.168.1.20', 'Database connection pool exhausted', 'completed', 'critical', 'Prometheus'),
-('rep_3', 'REP-2024-003', 'API-SVR-01', '192.168.1.30', 'Increased latency in API responses', 'pending', 'medium', 'Grafana'),
-('rep_4', 'REP-2024-004', 'CACHE-SVR-01', '192.168.1.40', 'Redis cache memory usage at 95%', 'on-progress', 'high', 'Zabbix'),
-('rep_5', 'REP-2024-005', 'BACKUP-SVR-01', '192.168.1.50', 'Backup job failed - disk space issue', 'pending', 'low', 'Custom');
+INSERT OR IGNORE INTO reports (id, report_id, server_name, ip_address, ip_number, description, status, priority, platform) VALUES
+('rep_1', 'REP-2024-00001', 'WEB-SVR-01', '192.168.1.10', 3232235786, 'Server overload during peak hours', 'on-progress', 'high', 'Zabbix'),
+('rep_2', 'REP-2024-00002', 'DB-SVR-01', '192.168.1.20', 3232235796, 'Database connection pool exhausted', 'completed', 'critical', 'Prometheus'),
+('rep_3', 'REP-2024-00003', 'API-SVR-01', '192.168.1.30', 3232235806, 'Increased latency in API responses', 'pending', 'medium', 'Grafana'),
+('rep_4', 'REP-2024-00004', 'CACHE-SVR-01', '192.168.1.40', 3232235816, 'Redis cache memory usage at 95%', 'on-progress', 'high', 'Zabbix'),
+('rep_5', 'REP-2024-00005', 'BACKUP-SVR-01', '192.168.1.50', 3232235826, 'Backup job failed - disk space issue', 'pending', 'low', 'Custom');
+
+-- Sample inventaris server untuk report di atas
+INSERT OR IGNORE INTO servers (id, name, name_key, ip_addresses, environment, owner_team, criticality, tags) VALUES
+('srv_web_1', 'WEB-SVR-01', 'web-svr-1', '["192.168.1.10"]', 'production', 'web', 'high', '["frontend"]'),
+('srv_db_1', 'DB-SVR-01', 'db-svr-1', '["192.168.1.20"]', 'production', 'dba', 'critical', '["database"]'),
+('srv_api_1', 'API-SVR-01', 'api-svr-1', '["192.168.1.30"]', 'production', 'platform', 'high', '[]'),
+('srv_cache_1', 'CACHE-SVR-01', 'cache-svr-1', '["192.168.1.40"]', 'production', 'platform', 'medium', '["redis"]'),
+('srv_backup_1', 'BACKUP-SVR-01', 'backup-svr-1', '["192.168.1.50"]', 'production', 'infra', 'low', '[]');
+
+UPDATE reports SET server_id = (SELECT s.id FROM servers s WHERE s.name = reports.server_name)
+WHERE server_id IS NULL;
+
+-- Counter sesuai sample data di atas
+INSERT OR IGNORE INTO report_counters (scope, year, last_number) VALUES
+('REP', 2024, 5);
+
+-- Contoh custom field
+INSERT OR IGNORE INTO custom_fields (key, label, type, options, required, sort_order) VALUES
+('datacenter', 'Datacenter', 'text', NULL, 0, 1),
+('customer_impact', 'Customer Impact', 'enum', '["none","minor","major","outage"]', 0, 2),
+('root_cause_category', 'Root Cause Category', 'enum', '["hardware","software","network","configuration","capacity","human error","third party","unknown"]', 0, 3);
+
+-- Contoh saved view yang dibagikan ke tim
+INSERT OR IGNORE INTO saved_views (id, name, owner, filters, is_shared, show_on_dashboard) VALUES
+('view_unassigned_critical', 'Unassigned critical', 'admin', '{"priority":"critical","status":"pending,on-progress","unassigned":"true"}', 1, 1);
+
+-- Default SLA policies
+INSERT OR IGNORE INTO sla_policies (priority, acknowledge_minutes, resolve_minutes) VALUES
+('critical', 15, 240),
+('high', 30, 480),
+('medium', 120, 1440),
+('low', 480, 4320);
+
+-- Default escalation rules
+INSERT OR IGNORE INTO escalation_rules (id, name, status, priority, after_minutes, action, assign_to, is_active) VALUES
+('esc_pending_1h', 'Pending > 1 hour', 'pending', NULL, 60, 'bump_priority', NULL, 1),
+('esc_critical_stuck', 'Critical on-progress > 2 hours', 'on-progress', 'critical', 120, 'reassign', 'oncall-lead', 0);
+
+-- Insert sample events
+INSERT OR IGNORE INTO report_events (report_id, event_type, new_value) VALUES
+('rep_1', 'created', '{"status":"on-progress","priority":"high"}'),
+('rep_2', 'created', '{"status":"completed","priority":"critical"}'),
+('rep_3', 'created', '{"status":"pending","priority":"medium"}'),
+('rep_4', 'created', '{"status":"on-progress","priority":"high"}'),
+('rep_5', 'created', '{"status":"pending","priority":"low"}');
 
 -- Insert sample images
 INSERT OR IGNORE INTO images (id, report_id, filename, file_size, mime_type, image_data) VALUES
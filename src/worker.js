@@ -7,8 +7,9 @@ export default {
     // CORS headers untuk semua response
     const corsHeaders = {
       'Access-Control-Allow-Origin': '*',
-      'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-      'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-API-Key',
+      'Access-Control-Allow-Methods': 'GET, POST, PUT, PATCH, DELETE, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-API-Key, Range, If-None-Match',
+      'Access-Control-Expose-Headers': 'Content-Range, Content-Length, Accept-Ranges, ETag',
       'Access-Control-Max-Age': '86400',
     };
 
@@ -20,20 +21,47 @@ export default {
       });
     }
 
-    // API Key validation (opsional untuk production)
-    const apiKey = request.headers.get('X-API-Key');
+    // Image dengan signed URL (?exp=&sig=) boleh dibuka tanpa login; signature dicek di handleGetImage
+    const isSignedImageRequest = IMAGE_PATH_PATTERN.test(path) && 
+                                 (request.method === 'GET' || request.method === 'HEAD') && 
+                                 url.searchParams.has('sig');
+    
+    // Authentication & role check (per-user API token, atau env.API_KEY sebagai admin key)
     const isPublicEndpoint = path.startsWith('/api/health') || 
                              path === '/' || 
                              path === '/index.html' ||
                              path === '/api.html' ||
+                             path === '/api/auth/login' ||
+                             path === '/api/auth/logout' ||
                              path.startsWith('/static/');
     
-    if (!isPublicEndpoint && env.API_KEY && apiKey !== env.API_KEY) {
-      return jsonResponse({
-        success: false,
-        error: 'Unauthorized',
-        message: 'Valid API key required'
-      }, 401, corsHeaders);
+    if (!isPublicEndpoint) {
+      const identity = await authenticateRequest(request, env) || 
+                       (isSignedImageRequest ? SIGNED_URL_IDENTITY : null);
+      
+      if (!identity) {
+        return jsonResponse({
+          success: false,
+          error: 'Unauthorized',
+          message: 'Valid API key required'
+        }, 401, corsHeaders);
+      }
+      
+      const requiredRole = getRequiredRole(request.method, path);
+      if (requiredRole && !hasRole(identity, requiredRole)) {
+        return jsonResponse({
+          success: false,
+          error: 'Forbidden',
+          message: `Role '${requiredRole}' or higher required`,
+          role: identity.role
+        }, 403, corsHeaders);
+      }
+      
+      requestIdentities.set(request, identity);
+      
+      if (identity.token_id) {
+        ctx.waitUntil(touchApiToken(env.DB, identity.token_id));
+      }
     }
 
     // Log API request
@@ -53,38 +81,272 @@ export default {
           break;
           
         case path === '/api/reports' && request.method === 'POST':
-          response = await handleCreateReport(request, env.DB);
+          response = await handleCreateReport(request, env, ctx);
+          break;
+          
+        case /^\/api\/reports\/[^/]+\/history$/.test(path) && request.method === 'GET':
+          const historyId = path.split('/')[3];
+          response = await handleGetReportHistory(historyId, env.DB);
           break;
           
-        case path.startsWith('/api/reports/') && request.method === 'GET':
-          const reportId = path.split('/').pop();
-          response = await handleGetReport(reportId, env.DB);
+        case /^\/api\/reports\/[^/]+\/comments$/.test(path) && request.method === 'GET':
+          response = await handleGetComments(path.split('/')[3], request, env.DB);
           break;
           
-        case path.startsWith('/api/reports/') && request.method === 'DELETE':
-          const deleteId = path.split('/').pop();
-          response = await handleDeleteReport(deleteId, env.DB);
+        case /^\/api\/reports\/[^/]+\/comments$/.test(path) && request.method === 'POST':
+          response = await handleCreateComment(path.split('/')[3], request, env.DB);
           break;
           
+        case /^\/api\/reports\/[^/]+\/comments\/[^/]+$/.test(path) && request.method === 'DELETE':
+          const [, , , commentReportId, , commentId] = path.split('/');
+          response = await handleDeleteComment(commentReportId, commentId, request, env.DB);
+          break;
+          
+        // Harus sebelum route /api/reports/:id agar "search" tidak dianggap sebagai id
         case path === '/api/reports/search' && request.method === 'GET':
           response = await handleSearchReports(request, env.DB);
           break;
+
+        case path === '/api/reports/export' && request.method === 'GET':
+          response = await handleExportReports(request, env.DB, env.R2_BUCKET, env.DEFAULT_TIMEZONE);
+          break;
+
+        case path === '/api/reports/import' && request.method === 'POST':
+          response = await handleImportReports(request, env);
+          break;
+
+        case path === '/api/reports/bulk' && request.method === 'POST':
+          response = await handleBulkReports(request, env.DB, env.R2_BUCKET, ctx);
+          break;
+          
+        case /^\/api\/reports\/[^/]+\/merge$/.test(path) && request.method === 'POST':
+          response = await handleMergeReport(path.split('/')[3], request, env.DB);
+          break;
+          
+        case /^\/api\/reports\/[^/]+\/split$/.test(path) && request.method === 'POST':
+          response = await handleSplitReport(path.split('/')[3], request, env.DB);
+          break;
+          
+        // Hanya /api/reports/:id; sub-path yang tidak dikenal jatuh ke 404
+        case REPORT_ITEM_PATH.test(path) && request.method === 'GET':
+          const reportId = path.split('/')[3];
+          response = await handleGetReport(reportId, env);
+          break;
+          
+        case REPORT_ITEM_PATH.test(path) && request.method === 'DELETE':
+          const deleteId = path.split('/')[3];
+          response = await handleDeleteReport(deleteId, request, env.DB, env.R2_BUCKET, ctx);
+          break;
+          
+        case REPORT_ITEM_PATH.test(path) && (request.method === 'PATCH' || request.method === 'PUT'):
+          const updateId = path.split('/')[3];
+          response = await handleUpdateReport(updateId, request, env.DB, ctx);
+          break;
           
         case path === '/api/stats' && request.method === 'GET':
-          response = await handleGetStats(env.DB);
+          response = await handleGetStats(request, env.DB, env.DEFAULT_TIMEZONE);
+          break;
+          
+        case path === '/api/auth/login' && request.method === 'POST':
+          response = await handleLogin(request, env);
+          break;
+          
+        case path === '/api/auth/logout' && request.method === 'POST':
+          response = await handleLogout(request, env);
+          break;
+          
+        case path === '/api/me' && request.method === 'GET':
+          // token_id / session_id tidak dikirim ke client
+          const { token_id, session_id, ...me } = requestIdentities.get(request);
+          response = jsonResponse({ success: true, data: me });
+          break;
+          
+        case path === '/api/admin/users' && request.method === 'GET':
+          response = await handleListUsers(env.DB);
+          break;
+          
+        case path === '/api/admin/users' && request.method === 'POST':
+          response = await handleCreateUser(request, env.DB);
+          break;
+          
+        case /^\/api\/admin\/users\/[^/]+$/.test(path) && request.method === 'PATCH':
+          response = await handleUpdateUser(path.split('/')[4], request, env.DB);
+          break;
+          
+        case /^\/api\/admin\/users\/[^/]+\/tokens$/.test(path) && request.method === 'GET':
+          response = await handleListTokens(path.split('/')[4], env.DB);
+          break;
+          
+        case /^\/api\/admin\/users\/[^/]+\/tokens$/.test(path) && request.method === 'POST':
+          response = await handleIssueToken(path.split('/')[4], request, env.DB);
+          break;
+          
+        case /^\/api\/admin\/tokens\/[^/]+$/.test(path) && request.method === 'DELETE':
+          response = await handleRevokeToken(path.split('/')[4], env.DB);
+          break;
+          
+        case path === '/api/sla/policies' && request.method === 'GET':
+          response = await handleGetSlaPolicies(env.DB);
+          break;
+          
+        case /^\/api\/sla\/policies\/[^/]+$/.test(path) && request.method === 'PUT':
+          response = await handleUpdateSlaPolicy(path.split('/').pop(), request, env.DB);
+          break;
+          
+        case path === '/api/sla/breaches' && request.method === 'GET':
+          response = await handleGetSlaBreaches(request, env.DB);
+          break;
+          
+        case path === '/api/escalation-rules' && request.method === 'GET':
+          response = await handleListEscalationRules(env.DB);
+          break;
+          
+        case path === '/api/escalation-rules' && request.method === 'POST':
+          response = await handleSaveEscalationRule(null, request, env.DB);
+          break;
+          
+        case /^\/api\/escalation-rules\/[^/]+$/.test(path) && request.method === 'PATCH':
+          response = await handleSaveEscalationRule(path.split('/').pop(), request, env.DB);
+          break;
+          
+        case /^\/api\/escalation-rules\/[^/]+$/.test(path) && request.method === 'DELETE':
+          response = await handleDeleteEscalationRule(path.split('/').pop(), env.DB);
+          break;
+          
+        case path === '/api/admin/escalations/run' && request.method === 'POST':
+          response = await handleRunEscalations(request, env.DB);
+          break;
+          
+        case path === '/api/admin/images/migrate' && request.method === 'POST':
+          response = await handleMigrateImages(request, env);
+          break;
+          
+        case path === '/api/admin/images/revoke-links' && request.method === 'POST':
+          response = await handleRevokeImageLinks(request, env.DB);
+          break;
+          
+        case path === '/api/admin/servers/backfill' && request.method === 'POST':
+          response = await handleBackfillServers(request, env.DB);
+          break;
+          
+        case path === '/api/servers' && request.method === 'GET':
+          response = await handleListServers(request, env.DB);
+          break;
+          
+        case path === '/api/servers' && request.method === 'POST':
+          response = await handleSaveServer(null, request, env.DB);
+          break;
+          
+        case /^\/api\/servers\/[^/]+$/.test(path) && request.method === 'GET':
+          response = await handleGetServer(decodeURIComponent(path.split('/').pop()), request, env.DB);
+          break;
+          
+        case /^\/api\/servers\/[^/]+$/.test(path) && request.method === 'PATCH':
+          response = await handleSaveServer(decodeURIComponent(path.split('/').pop()), request, env.DB);
+          break;
+          
+        case /^\/api\/servers\/[^/]+$/.test(path) && request.method === 'DELETE':
+          response = await handleDeleteServer(decodeURIComponent(path.split('/').pop()), env.DB);
+          break;
+          
+        case path === '/api/custom-fields' && request.method === 'GET':
+          response = await handleListCustomFields(request, env.DB);
+          break;
+          
+        case path === '/api/custom-fields' && request.method === 'POST':
+          response = await handleSaveCustomField(null, request, env.DB);
+          break;
+          
+        case /^\/api\/custom-fields\/[^/]+$/.test(path) && request.method === 'PATCH':
+          response = await handleSaveCustomField(path.split('/').pop(), request, env.DB);
+          break;
+          
+        case /^\/api\/custom-fields\/[^/]+$/.test(path) && request.method === 'DELETE':
+          response = await handleDeleteCustomField(path.split('/').pop(), request, env.DB);
+          break;
+          
+        case path === '/api/maintenance-windows' && request.method === 'GET':
+          response = await handleListMaintenanceWindows(request, env.DB);
+          break;
+          
+        case path === '/api/maintenance-windows' && request.method === 'POST':
+          response = await handleSaveMaintenanceWindow(null, request, env.DB);
+          break;
+          
+        case /^\/api\/maintenance-windows\/[^/]+$/.test(path) && request.method === 'GET':
+          response = await handleGetMaintenanceWindow(path.split('/').pop(), env.DB);
+          break;
+          
+        case /^\/api\/maintenance-windows\/[^/]+$/.test(path) && request.method === 'PATCH':
+          response = await handleSaveMaintenanceWindow(path.split('/').pop(), request, env.DB);
+          break;
+          
+        case /^\/api\/maintenance-windows\/[^/]+$/.test(path) && request.method === 'DELETE':
+          response = await handleDeleteMaintenanceWindow(path.split('/').pop(), env.DB);
+          break;
+          
+        case path === '/api/webhooks' && request.method === 'GET':
+          response = await handleListWebhooks(env.DB);
+          break;
+          
+        case path === '/api/webhooks' && request.method === 'POST':
+          response = await handleSaveWebhook(null, request, env.DB);
+          break;
+          
+        case /^\/api\/webhooks\/[^/]+$/.test(path) && request.method === 'PATCH':
+          response = await handleSaveWebhook(path.split('/').pop(), request, env.DB);
+          break;
+          
+        case /^\/api\/webhooks\/[^/]+$/.test(path) && request.method === 'DELETE':
+          response = await handleDeleteWebhook(path.split('/').pop(), env.DB);
+          break;
+          
+        case /^\/api\/webhooks\/[^/]+\/deliveries$/.test(path) && request.method === 'GET':
+          response = await handleListWebhookDeliveries(path.split('/')[3], request, env.DB);
+          break;
+          
+        case /^\/api\/webhooks\/[^/]+\/test$/.test(path) && request.method === 'POST':
+          response = await handleTestWebhook(path.split('/')[3], env.DB);
+          break;
+          
+        case /^\/api\/ingest\/[^/]+$/.test(path) && request.method === 'POST':
+          response = await handleIngestAlert(path.split('/').pop(), request, env, ctx);
+          break;
+          
+        case path === '/api/views' && request.method === 'GET':
+          response = await handleListViews(request, env.DB);
+          break;
+          
+        case path === '/api/views' && request.method === 'POST':
+          response = await handleSaveView(null, request, env.DB);
+          break;
+          
+        case /^\/api\/views\/[^/]+$/.test(path) && request.method === 'GET':
+          response = await handleGetView(path.split('/').pop(), request, env.DB);
+          break;
+          
+        case /^\/api\/views\/[^/]+$/.test(path) && request.method === 'PATCH':
+          response = await handleSaveView(path.split('/').pop(), request, env.DB);
+          break;
+          
+        case /^\/api\/views\/[^/]+$/.test(path) && request.method === 'DELETE':
+          response = await handleDeleteView(path.split('/').pop(), request, env.DB);
+          break;
+          
+        case path === '/api/workload' && request.method === 'GET':
+          response = await handleGetWorkload(env.DB);
           break;
           
         case path === '/api/analytics' && request.method === 'GET':
-          response = await handleGetAnalytics(request, env.DB);
+          response = await handleGetAnalytics(request, env.DB, env.DEFAULT_TIMEZONE);
           break;
           
         case path === '/api/upload' && request.method === 'POST':
-          response = await handleUploadImage(request, env.DB, env.R2_BUCKET);
+          response = await handleUploadImage(request, env);
           break;
           
-        case path.startsWith('/api/images/'):
-          const imageId = path.split('/').pop();
-          response = await handleGetImage(imageId, env.DB, env.R2_BUCKET);
+        case IMAGE_PATH_PATTERN.test(path) && (request.method === 'GET' || request.method === 'HEAD'):
+          response = await handleGetImage(path.split('/')[3], request, env, path.endsWith('/thumbnail'));
           break;
           
         case path === '/' || path === '/index.html':
@@ -154,8 +416,338 @@ export default {
       }, 500, corsHeaders);
     }
   },
+
+  // Cron Trigger: escalation, retry webhook + refresh system_stats
+  // event.scheduledTime dipakai sebagai clock supaya bisa dites dengan waktu palsu
+  async scheduled(event, env, ctx) {
+    const now = new Date(event.scheduledTime || Date.now());
+    
+    ctx.waitUntil((async () => {
+      // Hasil escalation tercatat di report_escalations + audit event, gagal migrasi image di images.migration_error
+      try {
+        await runEscalations(env.DB, now);
+      } catch (error) {
+        console.error('Scheduled escalation error:', error);
+      }
+      try {
+        await retryWebhookDeliveries(env.DB, now);
+      } catch (error) {
+        console.error('Scheduled webhook retry error:', error);
+      }
+      if (env.R2_BUCKET) {
+        try {
+          await migrateImagesToR2(env, IMAGE_MIGRATION_BATCH);
+        } catch (error) {
+          console.error('Scheduled image migration error:', error);
+        }
+      }
+      await updateSystemStats(env.DB, now);
+    })());
+  },
+};
+
+// ============ CONSTANTS ============
+
+// Nilai yang diizinkan oleh CHECK constraint di schema.sql
+const REPORT_STATUSES = ['on-progress', 'completed', 'pending', 'cancelled'];
+const REPORT_PRIORITIES = ['critical', 'high', 'medium', 'low'];
+// Status akhir: closed_at diisi saat report masuk ke salah satu status ini
+const CLOSED_STATUSES = ['completed', 'cancelled'];
+
+// Status state machine: transisi normal yang diizinkan per status
+const STATUS_TRANSITIONS = {
+  'pending': ['on-progress', 'completed', 'cancelled'],
+  'on-progress': ['pending', 'completed', 'cancelled'],
+  'completed': [],
+  'cancelled': []
+};
+
+// Transisi tambahan yang hanya diizinkan dengan "reopen": true
+const REOPEN_TRANSITIONS = {
+  'completed': ['pending', 'on-progress'],
+  'cancelled': ['pending', 'on-progress']
+};
+
+// Field report yang boleh diubah lewat PATCH/PUT
+const UPDATABLE_REPORT_FIELDS = ['status', 'priority', 'description', 'assigned_to', 'notes', 'server_id'];
+
+// Field PATCH/PUT yang disimpan di tabel terpisah (report_tags, report_field_values)
+const UPDATABLE_REPORT_EXTRAS = ['tags', 'custom_fields'];
+
+// Default SLA policy per priority (menit), dipakai jika tabel sla_policies kosong
+const DEFAULT_SLA_POLICIES = {
+  'critical': { acknowledge_minutes: 15, resolve_minutes: 240 },
+  'high': { acknowledge_minutes: 30, resolve_minutes: 480 },
+  'medium': { acknowledge_minutes: 120, resolve_minutes: 1440 },
+  'low': { acknowledge_minutes: 480, resolve_minutes: 4320 }
+};
+
+// Waktu acknowledge/resolve efektif di SQL (data lama tanpa lifecycle timestamp memakai updated_at)
+const SQL_ACK_TIME = `COALESCE(r.acknowledged_at, CASE WHEN r.status = 'pending' THEN NULL ELSE r.updated_at END)`;
+const SQL_RESOLVE_TIME = `COALESCE(r.resolved_at, CASE WHEN r.status = 'completed' THEN r.updated_at END)`;
+const SQL_ACK_BREACHED = `julianday(COALESCE(${SQL_ACK_TIME}, 'now')) > julianday(r.created_at) + p.acknowledge_minutes / 1440.0`;
+const SQL_RESOLVE_BREACHED = `julianday(COALESCE(${SQL_RESOLVE_TIME}, 'now')) > julianday(r.created_at) + p.resolve_minutes / 1440.0`;
+
+// Rentang /api/stats dan /api/analytics (?from / ?to, format parseDateParam), report yang dihitung sebagai incident
+// (bukan merged / maintenance) dan yang dihitung di MTTA / MTTR
+const SQL_CREATED_RANGE = `strftime('%Y-%m-%d %H:%M:%f', r.created_at) BETWEEN ? AND ?`;
+const SQL_INCIDENT_SCOPE = `r.merged_into IS NULL AND r.maintenance_id IS NULL`;
+const SQL_RELIABILITY_SCOPE = `${SQL_INCIDENT_SCOPE} AND r.status != 'cancelled'`;
+
+// Urutan kenaikan priority untuk escalation
+const PRIORITY_ESCALATION = {
+  'low': 'medium',
+  'medium': 'high',
+  'high': 'critical'
+};
+
+// Aksi escalation yang didukung
+const ESCALATION_ACTIONS = ['bump_priority', 'reassign'];
+
+// Event webhook yang bisa di-subscribe ('*' = semua event)
+const WEBHOOK_EVENTS = ['report.created', 'report.status_changed', 'report.completed', 'report.deleted'];
+
+// Field report yang bisa dipakai sebagai filter webhook
+const WEBHOOK_FILTER_FIELDS = ['priority', 'status', 'platform', 'server_name'];
+
+// Retry webhook: jeda sebelum percobaan berikutnya (detik), setelah habis status menjadi failed
+const WEBHOOK_RETRY_DELAYS = [60, 300, 1800, 7200];
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+// Query param GET /api/reports yang bisa disimpan di saved view (ditambah cf.<key> untuk custom field)
+const SAVED_VIEW_PARAMS = [
+  'status', 'priority', 'platform', 'server', 'server_id', 'assigned_to', 'source', 'ip', 'tag',
+  'maintenance_id', 'include_suppressed', 'include_merged', 'created_from', 'created_to', 'updated_from', 'updated_to',
+  'search', 'unassigned', 'sort', 'order'
+];
+
+// Field sort GET /api/reports -> ekspresi SQL (tanggal dinormalisasi karena ada format ISO dan CURRENT_TIMESTAMP)
+const REPORT_SORT_FIELDS = {
+  created_at: `strftime('%Y-%m-%d %H:%M:%f', r.created_at)`,
+  updated_at: `strftime('%Y-%m-%d %H:%M:%f', r.updated_at)`,
+  priority: `CASE r.priority WHEN 'critical' THEN 4 WHEN 'high' THEN 3 WHEN 'medium' THEN 2 ELSE 1 END`,
+  status: `r.status`,
+  server_name: `r.server_name`,
+  report_id: `r.report_id`
+};
+
+// Qualifier pencarian -> kolom reports_fts (urutan kolom sama dengan CREATE VIRTUAL TABLE)
+const SEARCH_FTS_COLUMNS = {
+  id: 'report_number', number: 'report_number',
+  server: 'server_name', host: 'server_name',
+  ip: 'ip_address',
+  platform: 'platform',
+  desc: 'description', description: 'description',
+  notes: 'notes',
+  comment: 'comments', comments: 'comments'
 };
 
+// Qualifier pencarian -> filter exact di tabel reports
+const SEARCH_FILTER_COLUMNS = {
+  status: 'status',
+  priority: 'priority',
+  assigned: 'assigned_to', assignee: 'assigned_to',
+  source: 'source'
+};
+
+// Bobot bm25 per kolom reports_fts: nomor report dan server paling relevan
+const SEARCH_RANK_WEIGHTS = [10, 5, 5, 2, 1, 1, 0.5];
+
+// Export report: format yang didukung, batas baris dan jumlah thumbnail evidence di PDF
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+  pdf: { contentType: 'application/pdf' }
+};
+const EXPORT_MAX_ROWS = 5000;
+const EXPORT_PDF_MAX_IMAGES = 24;
+
+// Periode laporan harian/mingguan -> default created_from
+const EXPORT_PERIODS = {
+  daily: { from: '-24h', title: 'Daily Report' },
+  weekly: { from: '-7d', title: 'Weekly Report' }
+};
+
+// Kolom CSV/XLSX (width = lebar kolom di XLSX)
+const EXPORT_COLUMNS = [
+  { key: 'report_id', label: 'Report #', width: 18 },
+  { key: 'created_at', label: 'Created', width: 20 },
+  { key: 'server_name', label: 'Server', width: 20 },
+  { key: 'ip_address', label: 'IP Address', width: 15 },
+  { key: 'platform', label: 'Platform', width: 14 },
+  { key: 'priority', label: 'Priority', width: 10 },
+  { key: 'status', label: 'Status', width: 12 },
+  { key: 'description', label: 'Description', width: 50 },
+  { key: 'assigned_to', label: 'Assigned To', width: 16 },
+  { key: 'created_by', label: 'Created By', width: 16 },
+  { key: 'source', label: 'Source', width: 12 },
+  { key: 'occurrence_count', label: 'Occurrences', width: 12 },
+  { key: 'acknowledged_at', label: 'Acknowledged', width: 20 },
+  { key: 'resolved_at', label: 'Resolved', width: 20 },
+  { key: 'closed_at', label: 'Closed', width: 20 },
+  { key: 'sla_breached', label: 'SLA Breached', width: 13 },
+  { key: 'updated_at', label: 'Updated', width: 20 },
+  { key: 'notes', label: 'Notes', width: 40 }
+];
+
+// Bulk action POST /api/reports/bulk dan jumlah report maksimal per request
+const BULK_ACTIONS = ['set_status', 'set_priority', 'assign', 'tag', 'untag', 'delete'];
+const BULK_MAX_ITEMS = 200;
+const MAX_TAG_LENGTH = 50;
+const MAX_TAGS_PER_REPORT = 20;
+
+// Custom field report: tipe yang didukung, format key, dan query param filter (cf.<key>, cf.<key>.from / .to)
+const CUSTOM_FIELD_TYPES = ['text', 'number', 'enum', 'date'];
+const CUSTOM_FIELD_KEY_PATTERN = /^[a-z][a-z0-9_]{0,39}$/;
+const CUSTOM_FIELD_PARAM_PATTERN = /^cf\.([a-z][a-z0-9_]*)(?:\.(from|to))?$/;
+const MAX_CUSTOM_FIELD_VALUE_LENGTH = 500;
+
+// Kolom report yang bisa dipakai di /api/analytics?group_by= (selain server, tag dan cf.<key>)
+const ANALYTICS_GROUP_COLUMNS = ['platform', 'priority', 'status', 'source', 'assigned_to'];
+const ANALYTICS_GROUP_LIMIT = 50;
+
+// Breakdown MTTA / MTTR di /api/analytics (key response -> group_by) dan persentil waktu resolusi
+const RELIABILITY_DIMENSIONS = { priority: 'priority', platform: 'platform', server: 'server', assignee: 'assigned_to' };
+const RELIABILITY_PERCENTILES = [50, 90, 99];
+
+// Bucket deret waktu /api/stats dan /api/analytics (?bucket=) -> perkiraan panjang untuk batas jumlah bucket
+const STATS_BUCKETS = { hour: 3600000, day: 86400000, week: 7 * 86400000, month: 28 * 86400000 };
+const STATS_MAX_BUCKETS = 2000;
+const STATS_TIMELINE_DAYS = 7;
+// Rentang pencarian perpindahan DST untuk query tanpa ?from (mis. active_days seluruh data)
+const TIMEZONE_LOOKBACK_DAYS = 730;
+
+// Inventaris server: nilai yang diizinkan oleh CHECK constraint tabel servers
+const SERVER_ENVIRONMENTS = ['production', 'staging', 'development', 'testing', 'dr'];
+const SERVER_CRITICALITIES = ['critical', 'high', 'medium', 'low'];
+const SERVER_LIST_MAX = 500;
+// Jumlah report terbaru di GET /api/servers/:id dan jumlah nama server per request backfill
+const SERVER_HISTORY_LIMIT = 50;
+const SERVER_BACKFILL_BATCH = 200;
+
+// Maintenance window: recurrence, durasi maksimal per occurrence (jam) dan rentang kalender GET /api/maintenance-windows
+const MAINTENANCE_RECURRENCES = ['none', 'daily', 'weekly', 'monthly'];
+const MAINTENANCE_PERIOD_MS = { daily: 86400000, weekly: 7 * 86400000 };
+const MAINTENANCE_MAX_DURATION_HOURS = { daily: 24, weekly: 7 * 24, monthly: 28 * 24 };
+const MAINTENANCE_CALENDAR_MAX_DAYS = 92;
+const MAINTENANCE_MAX_OCCURRENCES = 200;
+const DEFAULT_MAINTENANCE_TAG = 'maintenance';
+
+// Evidence image di R2: tipe dicek dari isi file (magic bytes), bukan dari mime_type yang dikirim client
+const IMAGE_MIME_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+const IMAGE_MAX_BYTES = 10 * 1024 * 1024;
+const IMAGE_MAX_PER_REPORT = 20;
+
+// Thumbnail: sisi terpanjang dalam pixel. Tanpa binding IMAGES hanya PNG yang bisa di-resize di worker,
+// dan PNG yang lebih besar dari batas pixel ini tidak di-decode (memori worker terbatas)
+const THUMBNAIL_SIZE = 320;
+const THUMBNAIL_MAX_PIXELS = 8000000;
+
+// Route image asli dan thumbnail: /api/images/:id dan /api/images/:id/thumbnail
+const IMAGE_PATH_PATTERN = /^\/api\/images\/[^/]+(\/thumbnail)?$/;
+
+// Signed URL image (?exp=&sig=): masa berlaku default / maksimal dalam menit (IMAGE_URL_TTL_MINUTES).
+// exp dibulatkan ke atas per 5 menit supaya URL yang sama tetap bisa di-cache browser
+const DEFAULT_IMAGE_URL_TTL_MINUTES = 60;
+const MAX_IMAGE_URL_TTL_MINUTES = 7 * 24 * 60;
+const IMAGE_URL_EXP_STEP_SECONDS = 300;
+
+// Jumlah image base64 lama yang dipindah ke R2 per run (cron / POST /api/admin/images/migrate)
+const IMAGE_MIGRATION_BATCH = 25;
+const IMAGE_MIGRATION_MAX_BATCH = 200;
+
+// Import report: batas baris per request dan jumlah baris per D1 batch()
+const IMPORT_MAX_ROWS = 5000;
+const IMPORT_BATCH_SIZE = 50;
+
+// Kolom report yang bisa diisi dari file import
+const IMPORT_FIELDS = [
+  'external_id', 'report_id', 'server_name', 'ip_address', 'description', 'status', 'priority',
+  'platform', 'assigned_to', 'created_by', 'notes', 'source', 'occurrence_count',
+  'created_at', 'updated_at', 'acknowledged_at', 'resolved_at', 'closed_at'
+];
+
+// Nama header lain -> kolom import (label EXPORT_COLUMNS juga dikenali, jadi file export bisa diimport ulang)
+const IMPORT_COLUMN_ALIASES = {
+  report_number: 'report_id',
+  server: 'server_name', host: 'server_name', hostname: 'server_name',
+  ip: 'ip_address',
+  assignee: 'assigned_to',
+  external_ref: 'external_id'
+};
+
+// Format nomor report: {PREFIX}, {YYYY}, {YY}, {SEQ} atau {SEQ:n} (zero-padded n digit)
+const DEFAULT_REPORT_NUMBER_FORMAT = '{PREFIX}-{YYYY}-{SEQ:5}';
+
+// Mapping severity dari tool monitoring ke priority report
+const ALERT_SEVERITY_PRIORITIES = {
+  // Prometheus / Grafana (label severity)
+  critical: 'critical', page: 'critical', emergency: 'critical', fatal: 'critical',
+  high: 'high', error: 'high', major: 'high',
+  warning: 'medium', warn: 'medium', medium: 'medium', minor: 'medium',
+  low: 'low', info: 'low', information: 'low', none: 'low',
+  // Zabbix ({EVENT.SEVERITY} / {EVENT.NSEVERITY})
+  disaster: 'critical', average: 'medium', 'not classified': 'low',
+  5: 'critical', 4: 'high', 3: 'medium', 2: 'medium', 1: 'low', 0: 'low'
+};
+
+// Role user, urut dari hak akses terendah ke tertinggi
+const USER_ROLES = ['viewer', 'reporter', 'engineer', 'admin'];
+
+// Path satu report (/api/reports/:id); dipakai router dan ROUTE_ROLES agar rule admin DELETE tidak bisa dilewati
+const REPORT_ITEM_PATH = /^\/api\/reports\/[^/]+$/;
+
+// Role minimum untuk melihat comment internal (work note)
+const INTERNAL_COMMENT_ROLE = 'reporter';
+
+// Role minimum per route (rule pertama yang cocok dipakai)
+const ROUTE_ROLES = [
+  { pattern: /^\/api\/admin\//, role: 'admin' },
+  { pattern: /^\/api\/escalation-rules/, role: 'admin' },
+  { pattern: /^\/api\/webhooks/, role: 'admin' },
+  { method: 'GET', pattern: /^\/api\/custom-fields$/, role: 'viewer' },
+  { pattern: /^\/api\/custom-fields/, role: 'admin' },
+  { method: 'GET', pattern: /^\/api\/me$/, role: 'viewer' },
+  // Saved views milik sendiri boleh dikelola semua role (dicek per owner di handler)
+  { pattern: /^\/api\/views/, role: 'viewer' },
+  { method: 'POST', pattern: /^\/api\/reports\/import$/, role: 'admin' },
+  { method: 'DELETE', pattern: /^\/api\/servers\/[^/]+$/, role: 'admin' },
+  { method: 'POST', pattern: /^\/api\/servers$/, role: 'engineer' },
+  { method: 'POST', pattern: /^\/api\/maintenance-windows$/, role: 'engineer' },
+  // Bulk delete dicek lagi di handler (admin)
+  { method: 'POST', pattern: /^\/api\/reports\/bulk$/, role: 'engineer' },
+  { method: 'DELETE', pattern: REPORT_ITEM_PATH, role: 'admin' },
+  // Comment milik sendiri boleh dihapus (author / admin dicek di handler)
+  { method: 'DELETE', pattern: /^\/api\/reports\/[^/]+\/comments\/[^/]+$/, role: 'reporter' },
+  { method: 'POST', pattern: /^\/api\/reports\/[^/]+\/(merge|split)$/, role: 'engineer' },
+  { method: 'PUT', pattern: /^\/api\/sla\/policies\//, role: 'admin' },
+  { method: 'DELETE', pattern: /^\/api\//, role: 'engineer' },
+  { method: 'PATCH', pattern: /^\/api\//, role: 'engineer' },
+  { method: 'PUT', pattern: /^\/api\//, role: 'engineer' },
+  { method: 'POST', pattern: /^\/api\//, role: 'reporter' },
+  { method: 'GET', pattern: /^\/api\//, role: 'viewer' }
+];
+
+// Identity mode terbuka (development): hanya selama API_KEY dan SESSION_SECRET tidak di-set dan belum ada user
+const ANONYMOUS_IDENTITY = { id: null, username: 'anonymous', role: 'admin', anonymous: true };
+
+// Identity untuk request image yang hanya membawa signed URL (tanpa login / API key)
+const SIGNED_URL_IDENTITY = { id: null, username: 'signed-url', role: 'viewer', signed_url: true };
+
+// Identity hasil autentikasi per request
+const requestIdentities = new WeakMap();
+
+// Intl.DateTimeFormat per zona waktu (getZonedParts)
+const zonedFormatters = new Map();
+
+// Session cookie untuk dashboard
+const SESSION_COOKIE = 'itr_session';
+const DEFAULT_SESSION_TTL_HOURS = 12;
+
+// PBKDF2 di Workers dibatasi maksimal 100000 iterasi
+const PASSWORD_ITERATIONS = 100000;
+const MIN_PASSWORD_LENGTH = 8;
+
 // ============ HELPER FUNCTIONS ============
 
 // Helper untuk JSON response
@@ -169,404 +761,2607 @@ function jsonResponse(data, status = 200, corsHeaders = {}) {
   });
 }
 
-// ============ API HANDLERS ============
+// Helper untuk menentukan siapa yang melakukan aksi
+// User yang terautentikasi selalu menang; field body hanya dipakai di mode terbuka
+function resolveActor(request, fallback) {
+  const identity = requestIdentities.get(request);
+  if (identity && !identity.anonymous) {
+    return identity.username;
+  }
+  return fallback || 'System';
+}
 
-// 1. Health Check Endpoint
-async function handleHealthCheck(db) {
+// Parse tanggal dari D1 (ISO string, atau format CURRENT_TIMESTAMP yang selalu UTC)
+function parseDbDate(value) {
+  if (!value) {
+    return null;
+  }
+  const normalized = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}(\.\d+)?$/.test(value) ? `${value.replace(' ', 'T')}Z` : value;
+  const date = new Date(normalized);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+// Timestamp lifecycle yang ikut berubah saat status berubah
+// closed_at: saat report pertama kali masuk status akhir (completed/cancelled), di-reset saat reopen
+function getLifecycleChanges(previous, nextStatus, timestamp) {
+  const changes = {};
+  if ((nextStatus === 'on-progress' || nextStatus === 'completed') && !previous.acknowledged_at) {
+    changes.acknowledged_at = timestamp;
+  }
+  if (nextStatus === 'completed') {
+    changes.resolved_at = timestamp;
+  } else if (previous.status === 'completed') {
+    changes.resolved_at = null;
+  }
+  if (CLOSED_STATUSES.includes(nextStatus) && !CLOSED_STATUSES.includes(previous.status)) {
+    changes.closed_at = timestamp;
+  } else if (!CLOSED_STATUSES.includes(nextStatus) && CLOSED_STATUSES.includes(previous.status)) {
+    changes.closed_at = null;
+  }
+  return changes;
+}
+
+// Ambil SLA policy per priority (fallback ke DEFAULT_SLA_POLICIES)
+async function getSlaPolicies(db) {
+  const policies = { ...DEFAULT_SLA_POLICIES };
   try {
-    // Test database connection
-    let dbTest;
-    try {
-      dbTest = await db.prepare('SELECT 1 as test').first();
-    } catch (dbError) {
-      console.error('Database connection error:', dbError);
-      dbTest = null;
-    }
-    
-    // Get system info
-    let stats = {
-      total_reports: 0,
-      active_issues: 0,
-      total_images: 0
-    };
-    
-    try {
-      const statsResult = await db.prepare(`
-        SELECT 
-          COUNT(*) as total_reports,
-          COUNT(CASE WHEN status IN ('on-progress', 'pending') THEN 1 END) as active_issues,
-          (SELECT COUNT(*) FROM images) as total_images
-        FROM reports
-      `).first();
-      
-      if (statsResult) {
-        stats = statsResult;
-      }
-    } catch (statsError) {
-      console.error('Stats query error:', statsError);
+    const rows = await db.prepare(`
+      SELECT priority, acknowledge_minutes, resolve_minutes FROM sla_policies
+    `).all();
+    for (const row of rows.results || []) {
+      policies[row.priority] = row;
     }
-
-    return jsonResponse({
-      success: true,
-      healthy: true,
-      status: 'operational',
-      database: dbTest ? 'connected' : 'disconnected',
-      timestamp: new Date().toISOString(),
-      system: {
-        reports: stats.total_reports || 0,
-        active_issues: stats.active_issues || 0,
-        images: stats.total_images || 0
-      },
-      version: '1.0.0',
-      environment: 'production'
-    });
   } catch (error) {
-    console.error('Health check error:', error);
-    return jsonResponse({
-      success: false,
-      healthy: false,
-      error: error.message,
-      timestamp: new Date().toISOString()
-    }, 503);
+    console.error('Failed to load SLA policies:', error);
   }
+  return policies;
 }
 
-// 2. GET All Reports with filtering
-async function handleGetReports(request, db) {
-  try {
-    const url = new URL(request.url);
-    const params = url.searchParams;
-    
-    const limit = parseInt(params.get('limit')) || 50;
-    const offset = parseInt(params.get('offset')) || 0;
-    const status = params.get('status');
-    const priority = params.get('priority');
-    const search = params.get('search');
-    
-    let query = `
-      SELECT 
-        r.*,
-        COALESCE((SELECT COUNT(*) FROM images WHERE report_id = r.id), 0) as image_count,
-        COALESCE((SELECT filename FROM images WHERE report_id = r.id ORDER BY created_at LIMIT 1), '') as preview_image
-      FROM reports r
-      WHERE 1=1
-    `;
-    
-    const queryParams = [];
-    let paramIndex = 1;
-    
-    if (status) {
-      query += ` AND r.status = ?`;
-      queryParams.push(status);
-    }
-    
-    if (priority) {
-      query += ` AND r.priority = ?`;
-      queryParams.push(priority);
-    }
-    
-    if (search) {
-      query += ` AND (r.server_name LIKE ? OR r.description LIKE ? OR r.report_id LIKE ?)`;
-      const searchTerm = `%${search}%`;
-      queryParams.push(searchTerm, searchTerm, searchTerm);
-    }
-    
-    query += ` ORDER BY r.created_at DESC LIMIT ? OFFSET ?`;
-    queryParams.push(limit, offset);
-    
-    let reports;
-    try {
-      const stmt = db.prepare(query);
-      reports = await stmt.bind(...queryParams).all();
-    } catch (queryError) {
-      console.error('Query error:', queryError);
-      reports = { results: [] };
-    }
-    
-    // Get total count for pagination
-    let countQuery = `SELECT COUNT(*) as total FROM reports WHERE 1=1`;
-    const countParams = [];
-    
-    if (status) {
-      countQuery += ` AND status = ?`;
-      countParams.push(status);
-    }
-    
-    if (priority) {
-      countQuery += ` AND priority = ?`;
-      countParams.push(priority);
-    }
-    
-    if (search) {
-      countQuery += ` AND (server_name LIKE ? OR description LIKE ? OR report_id LIKE ?)`;
-      const searchTerm = `%${search}%`;
-      countParams.push(searchTerm, searchTerm, searchTerm);
-    }
-    
-    let total = { total: 0 };
-    try {
-      total = await db.prepare(countQuery).bind(...countParams).first();
-    } catch (countError) {
-      console.error('Count query error:', countError);
-    }
-    
-    return jsonResponse({
-      success: true,
-      data: reports.results || [],
-      meta: {
-        total: total?.total || 0,
-        limit,
-        offset,
-        has_more: (offset + limit) < (total?.total || 0)
-      },
-      filters: {
-        status,
-        priority,
-        search
-      },
-      timestamp: new Date().toISOString()
-    });
-  } catch (error) {
-    console.error('Get reports error:', error);
-    throw new Error(`Failed to get reports: ${error.message}`);
+// Tambahkan field SLA terhitung ke report
+function applySla(report, policies, now = new Date()) {
+  const policy = policies[report.priority];
+  const created = parseDbDate(report.created_at);
+
+  // Report yang dibatalkan atau dibuat selama maintenance window tidak dihitung dalam SLA
+  if (!policy || !created || report.status === 'cancelled' || report.maintenance_id) {
+    return { ...report, sla_ack_due_at: null, sla_due_at: null, sla_ack_breached: false, sla_breached: false };
   }
+
+  const ackDue = new Date(created.getTime() + policy.acknowledge_minutes * 60 * 1000);
+  const resolveDue = new Date(created.getTime() + policy.resolve_minutes * 60 * 1000);
+  const acknowledged = parseDbDate(report.acknowledged_at) ||
+                       (report.status === 'pending' ? now : parseDbDate(report.updated_at) || now);
+  const resolved = parseDbDate(report.resolved_at) ||
+                   (report.status === 'completed' ? parseDbDate(report.updated_at) || now : now);
+
+  return {
+    ...report,
+    sla_ack_due_at: ackDue.toISOString(),
+    sla_due_at: resolveDue.toISOString(),
+    sla_ack_breached: acknowledged > ackDue,
+    sla_breached: resolved > resolveDue
+  };
 }
 
-// 3. CREATE New Report
-async function handleCreateReport(request, db) {
-  try {
-    let data;
-    try {
-      data = await request.json();
-    } catch (parseError) {
-      return jsonResponse({
-        success: false,
-        error: 'Invalid JSON',
-        message: 'Request body must be valid JSON'
-      }, 400);
-    }
-    
-    // Validation
-    const requiredFields = ['server_name', 'status', 'priority'];
-    const missingFields = requiredFields.filter(field => !data[field]);
-    
-    if (missingFields.length > 0) {
-      return jsonResponse({
-        success: false,
-        error: 'Missing required fields',
-        missing: missingFields,
-        message: `Required: ${missingFields.join(', ')}`
-      }, 400);
-    }
-    
-    // Generate IDs
-    const id = `rep_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-    const reportId = `REP-${new Date().getFullYear()}-${String(Math.floor(Math.random() * 10000)).padStart(4, '0')}`;
-    const timestamp = new Date().toISOString();
-    
-    // Insert report
-    let result;
-    try {
-      result = await db.prepare(`
-        INSERT INTO reports (
-          id, report_id, server_name, ip_address, description, 
-          status, priority, platform, created_by, timestamp, created_at
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-      `).bind(
-        id,
-        reportId,
-        data.server_name,
-        data.ip_address || '',
-        data.description || '',
-        data.status,
-        data.priority,
-        data.platform || '',
-        data.created_by || 'System',
-        data.timestamp || timestamp,
-        timestamp
-      ).run();
-    } catch (insertError) {
-      console.error('Insert error:', insertError);
-      throw new Error('Database insertion failed');
-    }
-    
-    if (result.success) {
-      // Get the created report
-      let createdReport;
-      try {
-        createdReport = await db.prepare(`
-          SELECT * FROM reports WHERE id = ?
-        `).bind(id).first();
-      } catch (selectError) {
-        console.error('Select created report error:', selectError);
-        createdReport = { id, report_id: reportId };
-      }
-      
-      // Update system stats (async)
-      ctx.waitUntil(updateSystemStats(db));
-      
-      return jsonResponse({
-        success: true,
-        message: 'Report created successfully',
-        data: createdReport,
-        report_id: reportId,
-        id: id,
-        timestamp: timestamp
-      }, 201);
-    } else {
-      throw new Error('Database insertion failed');
+// Helper untuk mengubah bytes menjadi hex string
+function toHex(buffer) {
+  return [...new Uint8Array(buffer)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// Helper untuk SHA-256 hex digest
+async function sha256Hex(value) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(value));
+  return toHex(digest);
+}
+
+// Helper untuk HMAC-SHA256 hex signature
+async function hmacHex(secret, value) {
+  const key = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  return toHex(await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(value)));
+}
+
+// Helper untuk membandingkan string tanpa bocor timing
+function timingSafeEqual(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) {
+    return false;
+  }
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return diff === 0;
+}
+
+// Helper untuk membuat token acak (hex)
+function generateToken(bytes = 32) {
+  return toHex(crypto.getRandomValues(new Uint8Array(bytes)));
+}
+
+// Hash password dengan PBKDF2-SHA256, format: pbkdf2$iterations$salt$hash
+async function hashPassword(password, salt = generateToken(16), iterations = PASSWORD_ITERATIONS) {
+  const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']);
+  const bits = await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', hash: 'SHA-256', salt: new TextEncoder().encode(salt), iterations },
+    key,
+    256
+  );
+  return `pbkdf2$${iterations}$${salt}$${toHex(bits)}`;
+}
+
+// Verifikasi password terhadap hash yang tersimpan
+async function verifyPassword(password, storedHash) {
+  const [scheme, iterations, salt] = (storedHash || '').split('$');
+  if (scheme !== 'pbkdf2' || !salt) {
+    return false;
+  }
+  return timingSafeEqual(await hashPassword(password, salt, parseInt(iterations)), storedHash);
+}
+
+// Secret untuk sign session cookie
+function getSessionSecret(env) {
+  return env.SESSION_SECRET || env.API_KEY || null;
+}
+
+// Ambil nilai cookie dari request
+function getCookie(request, name) {
+  const cookies = request.headers.get('Cookie') || '';
+  for (const part of cookies.split(';')) {
+    const [key, ...rest] = part.trim().split('=');
+    if (key === name) {
+      return rest.join('=');
     }
-  } catch (error) {
-    console.error('Create report error:', error);
-    throw new Error(`Failed to create report: ${error.message}`);
   }
+  return null;
 }
 
-// 4. GET Single Report
-async function handleGetReport(id, db) {
+// Buat header Set-Cookie untuk session
+function buildSessionCookie(value, maxAgeSeconds) {
+  return `${SESSION_COOKIE}=${value}; Path=/; HttpOnly; Secure; SameSite=Strict; Max-Age=${maxAgeSeconds}`;
+}
+
+// Autentikasi dari session cookie yang di-sign
+async function authenticateSession(request, env) {
+  const cookie = getCookie(request, SESSION_COOKIE);
+  const secret = getSessionSecret(env);
+  if (!cookie || !secret) {
+    return null;
+  }
+
+  const [sessionId, signature] = cookie.split('.');
+  if (!sessionId || !timingSafeEqual(signature, await hmacHex(secret, sessionId))) {
+    return null;
+  }
+
   try {
-    // Get report details
-    let report;
-    try {
-      report = await db.prepare(`
-        SELECT * FROM reports WHERE id = ?
-      `).bind(id).first();
-    } catch (selectError) {
-      console.error('Select report error:', selectError);
-      report = null;
-    }
-    
-    if (!report) {
-      return jsonResponse({
-        success: false,
-        error: 'Report not found'
-      }, 404);
-    }
-    
-    // Get associated images
-    let images = { results: [] };
-    try {
-      images = await db.prepare(`
-        SELECT id, filename, file_size, mime_type, image_data, created_at 
-        FROM images 
-        WHERE report_id = ?
-        ORDER BY created_at
-      `).bind(id).all();
-    } catch (imagesError) {
-      console.error('Get images error:', imagesError);
-    }
-    
-    return jsonResponse({
-      success: true,
-      data: {
-        ...report,
-        images: images.results || []
-      }
-    });
+    const row = await env.DB.prepare(`
+      SELECT s.id as session_id, s.expires_at, u.id, u.username, u.display_name, u.role
+      FROM sessions s
+      JOIN users u ON u.id = s.user_id
+      WHERE s.id = ? AND s.expires_at > ? AND u.is_active = 1
+    `).bind(sessionId, new Date().toISOString()).first();
+
+    return row || null;
   } catch (error) {
-    console.error('Get report error:', error);
-    throw new Error(`Failed to get report: ${error.message}`);
+    console.error('Session authentication error:', error);
+    return null;
   }
 }
 
-// 5. DELETE Report
-async function handleDeleteReport(id, db) {
-  try {
-    // First, delete associated images
-    try {
-      await db.prepare(`
-        DELETE FROM images WHERE report_id = ?
-      `).bind(id).run();
-    } catch (deleteImagesError) {
-      console.error('Delete images error:', deleteImagesError);
-      // Continue even if image deletion fails
-    }
-    
-    // Then delete the report
-    let result;
-    try {
-      result = await db.prepare(`
-        DELETE FROM reports WHERE id = ?
-      `).bind(id).run();
-    } catch (deleteError) {
-      console.error('Delete report error:', deleteError);
-      throw new Error('Failed to delete report');
-    }
-    
-    if (result.meta.changes === 0) {
-      return jsonResponse({
-        success: false,
-        error: 'Report not found'
-      }, 404);
+// Autentikasi request dari X-API-Key, Authorization: Bearer, atau session cookie
+async function authenticateRequest(request, env) {
+  const authorization = request.headers.get('Authorization') || '';
+  const token = request.headers.get('X-API-Key') ||
+                (authorization.startsWith('Bearer ') ? authorization.slice(7).trim() : null);
+  
+  if (!token) {
+    const session = await authenticateSession(request, env);
+    if (session) {
+      return session;
     }
+    return await isOpenMode(env) ? ANONYMOUS_IDENTITY : null;
+  }
+  
+  // Shared key lama tetap berlaku sebagai admin key (untuk bootstrap user pertama)
+  if (env.API_KEY && token === env.API_KEY) {
+    return { id: null, username: 'api-key', role: 'admin' };
+  }
+  
+  try {
+    const row = await env.DB.prepare(`
+      SELECT t.id as token_id, u.id, u.username, u.display_name, u.role
+      FROM api_tokens t
+      JOIN users u ON u.id = t.user_id
+      WHERE t.token_hash = ?
+        AND t.revoked_at IS NULL
+        AND (t.expires_at IS NULL OR t.expires_at > ?)
+        AND u.is_active = 1
+    `).bind(await sha256Hex(token), new Date().toISOString()).first();
     
-    // Update system stats (async)
-    ctx.waitUntil(updateSystemStats(db));
-    
-    return jsonResponse({
-      success: true,
-      message: 'Report deleted successfully',
-      deleted: result.meta.changes
-    });
+    return row || null;
   } catch (error) {
-    console.error('Delete report error:', error);
-    throw new Error(`Failed to delete report: ${error.message}`);
+    console.error('Authentication error:', error);
+    return null;
   }
 }
 
-// 6. SEARCH Reports
-async function handleSearchReports(request, db) {
+// Mode terbuka hanya untuk development: tertutup begitu ada secret atau user pertama dibuat
+async function isOpenMode(env) {
+  if (env.API_KEY || env.SESSION_SECRET) {
+    return false;
+  }
   try {
-    const url = new URL(request.url);
-    const query = url.searchParams.get('q');
-    
-    if (!query || query.trim().length < 2) {
-      return jsonResponse({
-        success: false,
-        error: 'Search query must be at least 2 characters'
-      }, 400);
-    }
-    
-    const searchTerm = `%${query}%`;
-    
-    let results;
-    try {
-      results = await db.prepare(`
-        SELECT 
-          id, report_id, server_name, ip_address, 
-          description, status, priority, timestamp, created_at
-        FROM reports 
-        WHERE 
-          server_name LIKE ? OR
-          ip_address LIKE ? OR
-          description LIKE ? OR
-          report_id LIKE ?
-        ORDER BY created_at DESC
-        LIMIT 20
-      `).bind(searchTerm, searchTerm, searchTerm, searchTerm).all();
-    } catch (searchError) {
-      console.error('Search error:', searchError);
-      results = { results: [] };
-    }
-    
-    return jsonResponse({
-      success: true,
-      query: query,
-      results: results.results || [],
-      count: results.results?.length || 0,
-      timestamp: new Date().toISOString()
-    });
+    const user = await env.DB.prepare(`SELECT 1 as found FROM users LIMIT 1`).first();
+    return !user;
   } catch (error) {
-    console.error('Search reports error:', error);
-    throw new Error(`Search failed: ${error.message}`);
+    console.error('Open mode check error:', error);
+    return false;
   }
 }
 
-// 7. GET System Statistics
-async function handleGetStats(db) {
-  try {
-    // Get comprehensive statistics
-    let stats = {
+// Cari role minimum untuk sebuah route
+function getRequiredRole(method, path) {
+  const rule = ROUTE_ROLES.find(r => (!r.method || r.method === method) && r.pattern.test(path));
+  return rule ? rule.role : null;
+}
+
+// Cek apakah identity memiliki role minimum
+function hasRole(identity, role) {
+  return USER_ROLES.indexOf(identity.role) >= USER_ROLES.indexOf(role);
+}
+
+// Catat waktu terakhir token dipakai
+async function touchApiToken(db, tokenId) {
+  try {
+    await db.prepare(`
+      UPDATE api_tokens SET last_used_at = ? WHERE id = ?
+    `).bind(new Date().toISOString(), tokenId).run();
+  } catch (error) {
+    console.error('Failed to update token usage:', error);
+  }
+}
+
+// Helper untuk membuat statement insert report_events (dipakai di db.batch)
+function buildEventStatement(db, reportId, eventType, actor, field = null, oldValue = null, newValue = null) {
+  return db.prepare(`
+    INSERT INTO report_events (report_id, event_type, field, old_value, new_value, actor, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).bind(
+    reportId,
+    eventType,
+    field,
+    oldValue === null ? null : String(oldValue),
+    newValue === null ? null : String(newValue),
+    actor || 'System',
+    new Date().toISOString()
+  );
+}
+
+// Record satu event tanpa menggagalkan request utama
+async function recordEvent(db, reportId, eventType, actor, field = null, oldValue = null, newValue = null) {
+  try {
+    await buildEventStatement(db, reportId, eventType, actor, field, oldValue, newValue).run();
+  } catch (error) {
+    console.error('Failed to record report event:', error);
+  }
+}
+
+// Simpan report baru + audit event + webhook (dipakai oleh POST /api/reports dan ingest)
+// Report dengan fingerprint yang sama dengan report terbuka digabung sebagai occurrence
+// ("dedup": false di body memaksa report baru)
+// options.registerServer: server yang belum ada di inventaris didaftarkan otomatis (ingest)
+// Report di dalam maintenance window diberi tag window dan (jika suppress) disembunyikan dari list default
+async function createReport(db, data, actor, ctx, numbering = getReportNumbering({}), options = {}) {
+  const timestamp = new Date().toISOString();
+  const fingerprint = await computeFingerprint(data);
+  
+  const duplicate = data.dedup !== false ? await db.prepare(`
+    SELECT * FROM reports
+    WHERE fingerprint = ? AND status IN ('pending', 'on-progress') AND merged_into IS NULL
+    ORDER BY created_at
+    LIMIT 1
+  `).bind(fingerprint).first() : null;
+  
+  if (duplicate) {
+    await db.batch([
+      db.prepare(`
+        UPDATE reports SET occurrence_count = occurrence_count + 1, last_seen_at = ? WHERE id = ?
+      `).bind(timestamp, duplicate.id),
+      buildEventStatement(db, duplicate.id, 'occurrence', actor, null, null, JSON.stringify({
+        description: data.description || '',
+        ip_address: data.ip_address || ''
+      }))
+    ]);
+    
+    return {
+      ...duplicate,
+      occurrence_count: (duplicate.occurrence_count || 1) + 1,
+      last_seen_at: timestamp,
+      deduplicated: true
+    };
+  }
+  
+  // Generate IDs
+  const id = `rep_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  const reportId = await allocateReportNumber(db, numbering, data, new Date(timestamp));
+  const lifecycle = getLifecycleChanges({}, data.status, timestamp);
+  const serverId = data.server_id || await findOrRegisterServer(db, data, options.registerServer === true);
+  const maintenance = await matchMaintenanceWindow(db, { server_id: serverId, tags: data.tags }, new Date(timestamp));
+  const suppressed = maintenance?.suppress === 1;
+  
+  // Insert report
+  let result;
+  try {
+    result = await db.prepare(`
+      INSERT INTO reports (
+        id, report_id, server_name, ip_address, description, 
+        status, priority, platform, created_by, assigned_to, notes, timestamp, created_at,
+        acknowledged_at, resolved_at, closed_at, source, source_ref, fingerprint, last_seen_at, server_id,
+        maintenance_id, suppressed, ip_number
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).bind(
+      id,
+      reportId,
+      data.server_name,
+      data.ip_address || '',
+      data.description || '',
+      data.status,
+      data.priority,
+      data.platform || '',
+      actor,
+      data.assigned_to || null,
+      data.notes || null,
+      data.timestamp || timestamp,
+      timestamp,
+      lifecycle.acknowledged_at || null,
+      lifecycle.resolved_at || null,
+      lifecycle.closed_at || null,
+      data.source || 'manual',
+      data.source_ref || null,
+      fingerprint,
+      timestamp,
+      serverId,
+      maintenance?.id || null,
+      suppressed ? 1 : 0,
+      ipToNumber(data.ip_address)
+    ).run();
+  } catch (insertError) {
+    console.error('Insert error:', insertError);
+    throw new Error('Database insertion failed');
+  }
+  
+  if (!result.success) {
+    throw new Error('Database insertion failed');
+  }
+  
+  const tags = maintenance && !(data.tags || []).includes(maintenance.tag)
+    ? [...(data.tags || []), maintenance.tag]
+    : data.tags || [];
+  const extraStatements = [
+    ...(tags.length > 0 ? [db.prepare(`
+      INSERT OR IGNORE INTO report_tags (report_id, tag) SELECT ?, value FROM json_each(?)
+    `).bind(id, JSON.stringify(tags))] : []),
+    ...buildFieldValueStatements(db, id, data.custom_fields)
+  ];
+  if (extraStatements.length > 0) {
+    await db.batch(extraStatements);
+  }
+  
+  // Get the created report
+  let createdReport;
+  try {
+    createdReport = await db.prepare(`
+      SELECT * FROM reports WHERE id = ?
+    `).bind(id).first();
+  } catch (selectError) {
+    console.error('Select created report error:', selectError);
+    createdReport = { id, report_id: reportId, created_at: timestamp };
+  }
+  
+  // Record audit event
+  await recordEvent(db, id, 'created', actor, null, null, JSON.stringify({
+    status: data.status,
+    priority: data.priority,
+    server_name: data.server_name,
+    assigned_to: data.assigned_to || null,
+    ...(tags.length > 0 ? { tags } : {}),
+    ...(maintenance ? { maintenance_id: maintenance.id, suppressed } : {})
+  }));
+  
+  // Notify webhook subscribers (async) - report yang di-suppress maintenance tidak dikirim
+  if (!suppressed) {
+    ctx.waitUntil(emitWebhookEvent(db, 'report.created', { report: createdReport, actor }));
+  }
+  
+  return createdReport;
+}
+
+// Konfigurasi nomor report dari env (REPORT_NUMBER_FORMAT, REPORT_NUMBER_PREFIX, REPORT_NUMBER_PREFIXES)
+function getReportNumbering(env) {
+  let prefixes = {};
+  try {
+    prefixes = JSON.parse(env.REPORT_NUMBER_PREFIXES || '{}');
+  } catch (error) {
+    console.error('Invalid REPORT_NUMBER_PREFIXES:', error);
+  }
+  return {
+    format: env.REPORT_NUMBER_FORMAT || DEFAULT_REPORT_NUMBER_FORMAT,
+    prefix: env.REPORT_NUMBER_PREFIX || 'REP',
+    // Key prefix dicocokkan dengan platform report (case-insensitive)
+    prefixes: Object.fromEntries(Object.entries(prefixes).map(([key, value]) => [key.toLowerCase(), value]))
+  };
+}
+
+// Ambil nomor berikutnya dari report_counters secara atomik (satu statement upsert + RETURNING)
+// Counter terpisah per prefix (jika format memakai {PREFIX}) dan per tahun (jika memakai {YYYY}/{YY})
+async function allocateReportNumber(db, numbering, data, date) {
+  const { prefix, scope, year } = getReportNumberScope(numbering, data, date);
+
+  const counter = await db.prepare(`
+    INSERT INTO report_counters (scope, year, last_number) VALUES (?, ?, 1)
+    ON CONFLICT (scope, year) DO UPDATE SET last_number = last_number + 1
+    RETURNING last_number
+  `).bind(scope, year).first();
+
+  return formatReportNumber(numbering, prefix, date, counter.last_number);
+}
+
+// Prefix dan counter (scope, year) yang dipakai untuk nomor report baru
+function getReportNumberScope(numbering, data, date) {
+  const prefix = numbering.prefixes[String(data.platform || '').toLowerCase()] || numbering.prefix;
+  return {
+    prefix,
+    scope: numbering.format.includes('{PREFIX}') ? prefix : '*',
+    year: /\{YY(YY)?\}/.test(numbering.format) ? date.getUTCFullYear() : 0
+  };
+}
+
+// Isi placeholder format nomor report dengan prefix, tahun dan nomor urut
+function formatReportNumber(numbering, prefix, date, sequence) {
+  return numbering.format.replace(/\{(PREFIX|YYYY|YY|SEQ)(?::(\d+))?\}/g, (match, token, width) => {
+    switch (token) {
+      case 'PREFIX':
+        return prefix;
+      case 'YYYY':
+        return String(date.getUTCFullYear());
+      case 'YY':
+        return String(date.getUTCFullYear()).slice(-2);
+      default:
+        return String(sequence).padStart(parseInt(width) || 0, '0');
+    }
+  });
+}
+
+// Kebalikan formatReportNumber: nomor report yang sudah ada -> { scope, year, sequence }
+// Dipakai import agar counter tidak mengeluarkan nomor yang sudah dipakai data historis
+function parseReportNumber(numbering, reportNumber) {
+  const escape = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const prefixes = [numbering.prefix, ...Object.values(numbering.prefixes)];
+  const groups = [];
+  const pattern = numbering.format.split(/(\{(?:PREFIX|YYYY|YY|SEQ)(?::\d+)?\})/).map(part => {
+    const token = /^\{(PREFIX|YYYY|YY|SEQ)/.exec(part);
+    if (!token) return escape(part);
+    groups.push(token[1]);
+    return {
+      PREFIX: `(${prefixes.map(escape).join('|')})`,
+      YYYY: '(\\d{4})',
+      YY: '(\\d{2})',
+      SEQ: '(\\d+)'
+    }[token[1]];
+  }).join('');
+
+  const match = new RegExp(`^${pattern}$`).exec(reportNumber);
+  if (!match) {
+    return null;
+  }
+  const values = Object.fromEntries(groups.map((token, index) => [token, match[index + 1]]));
+  if (!values.SEQ) {
+    return null;
+  }
+  const year = values.YYYY ? parseInt(values.YYYY) : values.YY ? 2000 + parseInt(values.YY) : 0;
+  return {
+    scope: numbering.format.includes('{PREFIX}') ? values.PREFIX : '*',
+    year,
+    sequence: parseInt(values.SEQ)
+  };
+}
+
+// Cari id internal report dari id, nomor report, atau nomor lama sebelum renumbering
+async function resolveReportId(db, ref) {
+  const row = await db.prepare(`
+    SELECT id FROM reports WHERE id = ? OR report_id = ?
+    UNION ALL
+    SELECT report_id as id FROM report_number_aliases WHERE alias = ?
+    LIMIT 1
+  `).bind(ref, ref, ref).first();
+  return row?.id || null;
+}
+
+// Nama server -> kunci pencocokan: huruf kecil, hanya huruf/angka, leading zero dibuang
+// "WEB-SVR-01", "web-svr-01", "WEB_SVR1" -> "web-svr-1"
+function serverNameKey(name) {
+  const parts = String(name ?? '').toLowerCase().match(/[a-z]+|\d+/g) || [];
+  return parts.map(part => part.replace(/^0+(?=\d)/, '')).join('-');
+}
+
+// Format row servers untuk response (JSON array di-parse)
+function formatServer(row) {
+  const { name_key, ...server } = row;
+  return {
+    ...server,
+    ip_addresses: JSON.parse(row.ip_addresses || '[]'),
+    tags: JSON.parse(row.tags || '[]'),
+    auto_registered: row.auto_registered === 1
+  };
+}
+
+// Validasi body POST/PATCH server; PATCH: field yang tidak dikirim tetap memakai nilai lama
+function normalizeServerData(data, existing) {
+  const pick = (field, fallback = null) => data[field] !== undefined ? data[field] : (existing?.[field] ?? fallback);
+  const rawIps = pick('ip_addresses', []);
+  const ipAddresses = [...new Set((Array.isArray(rawIps) ? rawIps : String(rawIps ?? '').split(','))
+    .map(ip => String(ip).trim()).filter(Boolean))];
+  const tags = normalizeTags(pick('tags', []));
+  const server = {
+    name: String(pick('name', '') ?? '').trim(),
+    ip_addresses: ipAddresses,
+    environment: pick('environment') || null,
+    owner_team: String(pick('owner_team', '') ?? '').trim() || null,
+    criticality: pick('criticality', 'medium') || 'medium',
+    tags: tags.tags,
+    notes: pick('notes') || null
+  };
+
+  const errors = [];
+  if (!server.name || !serverNameKey(server.name)) {
+    errors.push('name is required and must contain letters or digits');
+  }
+  const invalidIps = ipAddresses.filter(ip => !isValidIpAddress(ip));
+  if (invalidIps.length > 0) {
+    errors.push(`invalid ip_addresses: ${invalidIps.join(', ')}`);
+  }
+  if (server.environment !== null && !SERVER_ENVIRONMENTS.includes(server.environment)) {
+    errors.push(`environment must be one of: ${SERVER_ENVIRONMENTS.join(', ')}`);
+  }
+  if (!SERVER_CRITICALITIES.includes(server.criticality)) {
+    errors.push(`criticality must be one of: ${SERVER_CRITICALITIES.join(', ')}`);
+  }
+  if (tags.invalid.length > 0) {
+    errors.push(`tags must be at most ${MAX_TAG_LENGTH} characters`);
+  }
+
+  return { server, errors };
+}
+
+// IPv4 (tanpa CIDR) atau IPv6
+function isValidIpAddress(value) {
+  if (value.includes(':')) {
+    return /^[0-9a-f:.]+$/i.test(value) && value.split('::').length <= 2;
+  }
+  return !value.includes('/') && parseIpRange(value) !== null;
+}
+
+// Server berdasarkan id atau nama (nama dicocokkan lewat name_key)
+async function findServer(db, ref) {
+  return db.prepare(`
+    SELECT * FROM servers WHERE id = ? OR name_key = ?
+    ORDER BY id = ? DESC
+    LIMIT 1
+  `).bind(ref, serverNameKey(ref), ref).first();
+}
+
+// Cari server untuk report: nama ternormalisasi, lalu IP (hanya jika tepat satu server yang punya IP itu)
+// register = true (ingest, backfill) -> nama yang belum dikenal didaftarkan sebagai server auto_registered
+async function findOrRegisterServer(db, data, register = false) {
+  const nameKey = serverNameKey(data.server_name);
+  if (!nameKey) {
+    return null;
+  }
+
+  const byName = await db.prepare(`
+    SELECT id FROM servers WHERE name_key = ?
+  `).bind(nameKey).first();
+  if (byName) {
+    return byName.id;
+  }
+
+  const ip = String(data.ip_address || '').trim();
+  if (ip) {
+    const byIp = await db.prepare(`
+      SELECT DISTINCT s.id FROM servers s, json_each(s.ip_addresses) ip WHERE ip.value = ? LIMIT 2
+    `).bind(ip).all();
+    if ((byIp.results || []).length === 1) {
+      return byIp.results[0].id;
+    }
+  }
+
+  if (!register) {
+    return null;
+  }
+
+  // ON CONFLICT: dua alert untuk server baru yang sama bisa masuk bersamaan
+  const timestamp = new Date().toISOString();
+  const registered = await db.prepare(`
+    INSERT INTO servers (id, name, name_key, ip_addresses, auto_registered, created_at, updated_at)
+    VALUES (?, ?, ?, ?, 1, ?, ?)
+    ON CONFLICT(name_key) DO UPDATE SET name_key = excluded.name_key
+    RETURNING id
+  `).bind(
+    `srv_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    String(data.server_name).trim(),
+    nameKey,
+    JSON.stringify(ip && isValidIpAddress(ip) ? [ip] : []),
+    timestamp,
+    timestamp
+  ).first();
+  return registered.id;
+}
+
+// Link report yang belum punya server_id dan namanya cocok dengan name_key server
+async function linkReportsByName(db, serverId, nameKey) {
+  const names = await db.prepare(`
+    SELECT DISTINCT server_name FROM reports WHERE server_id IS NULL
+  `).all();
+  const matching = (names.results || []).map(row => row.server_name).filter(name => serverNameKey(name) === nameKey);
+  if (matching.length === 0) {
+    return 0;
+  }
+
+  const result = await db.prepare(`
+    UPDATE reports SET server_id = ?
+    WHERE server_id IS NULL AND server_name IN (SELECT value FROM json_each(?))
+  `).bind(serverId, JSON.stringify(matching)).run();
+  return result.meta.changes;
+}
+
+// Bangun WHERE untuk daftar report dari query params (dipakai GET /api/reports dan saved views)
+function buildReportFilters(params) {
+  const search = params.get('search');
+  const unassigned = params.get('unassigned') === 'true';
+  const filters = {
+    status: splitListParam(params.get('status')),
+    priority: splitListParam(params.get('priority')),
+    platform: splitListParam(params.get('platform')),
+    server_name: splitListParam(params.get('server') || params.get('server_name')),
+    server_id: splitListParam(params.get('server_id')),
+    maintenance_id: splitListParam(params.get('maintenance_id')),
+    assigned_to: unassigned ? [] : splitListParam(params.get('assigned_to')),
+    source: splitListParam(params.get('source')),
+    ip: splitListParam(params.get('ip')),
+    tag: splitListParam(params.get('tag')).map(tag => tag.toLowerCase())
+  };
+  
+  const errors = [];
+  const ipRanges = filters.ip.map(parseIpRange);
+  
+  if (filters.status.some(value => !REPORT_STATUSES.includes(value))) {
+    errors.push(`status must be one of: ${REPORT_STATUSES.join(', ')}`);
+  }
+  if (filters.priority.some(value => !REPORT_PRIORITIES.includes(value))) {
+    errors.push(`priority must be one of: ${REPORT_PRIORITIES.join(', ')}`);
+  }
+  if (ipRanges.includes(null)) {
+    errors.push('ip must be an IPv4 address or CIDR range (e.g. 10.0.0.0/24)');
+  }
+  
+  // Rentang tanggal: *_from inklusif, *_to dengan tanggal saja berarti sampai akhir hari itu
+  const dateRanges = {};
+  for (const field of ['created', 'updated']) {
+    for (const bound of ['from', 'to']) {
+      const value = params.get(`${field}_${bound}`);
+      if (!value) continue;
+      const date = parseDateParam(value, bound === 'to');
+      if (!date) {
+        errors.push(`${field}_${bound} must be a date (YYYY-MM-DD), ISO timestamp or relative (-7d, -24h, today)`);
+      } else {
+        dateRanges[`${field}_${bound}`] = date;
+      }
+    }
+  }
+  
+  let where = ` WHERE 1=1`;
+  const whereParams = [];
+  
+  for (const field of ['status', 'priority', 'platform', 'server_name', 'server_id', 'maintenance_id', 'assigned_to', 'source']) {
+    if (filters[field].length > 0) {
+      const collate = field === 'server_name' || field === 'platform' ? ' COLLATE NOCASE' : '';
+      where += ` AND r.${field}${collate} IN (${filters[field].map(() => '?').join(', ')})`;
+      whereParams.push(...filters[field]);
+    }
+  }
+  
+  // Report yang di-suppress maintenance window disembunyikan kecuali diminta (atau difilter per window)
+  if (params.get('include_suppressed') !== 'true' && filters.maintenance_id.length === 0) {
+    where += ` AND r.suppressed = 0`;
+  }
+  
+  // Report yang sudah di-merge ke report lain disembunyikan kecuali diminta
+  if (params.get('include_merged') !== 'true') {
+    where += ` AND r.merged_into IS NULL`;
+  }
+  
+  if (filters.tag.length > 0) {
+    where += ` AND r.id IN (SELECT report_id FROM report_tags WHERE tag IN (${filters.tag.map(() => '?').join(', ')}))`;
+    whereParams.push(...filters.tag);
+  }
+  
+  // Custom field: cf.<key>=a,b (salah satu nilai, case-insensitive), cf.<key>.from / .to untuk number dan date
+  const customFields = {};
+  for (const [param, value] of params) {
+    const match = CUSTOM_FIELD_PARAM_PATTERN.exec(param);
+    if (!match || !value) continue;
+    const [, key, bound] = match;
+    customFields[param] = value;
+    if (!bound) {
+      const values = splitListParam(value);
+      where += ` AND EXISTS (SELECT 1 FROM report_field_values v WHERE v.report_id = r.id AND v.field_key = ?
+        AND v.value COLLATE NOCASE IN (${values.map(() => '?').join(', ')}))`;
+      whereParams.push(key, ...values);
+      continue;
+    }
+    const operator = bound === 'from' ? '>=' : '<=';
+    if (value.trim() !== '' && Number.isFinite(Number(value))) {
+      where += ` AND EXISTS (SELECT 1 FROM report_field_values v WHERE v.report_id = r.id AND v.field_key = ? AND v.value_number ${operator} ?)`;
+      whereParams.push(key, Number(value));
+    } else if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      where += ` AND EXISTS (SELECT 1 FROM report_field_values v WHERE v.report_id = r.id AND v.field_key = ? AND v.value ${operator} ?)`;
+      whereParams.push(key, value);
+    } else {
+      errors.push(`${param} must be a number or a date (YYYY-MM-DD)`);
+    }
+  }
+  
+  if (ipRanges.length > 0 && !ipRanges.includes(null)) {
+    where += ` AND (${ipRanges.map(() => 'r.ip_number BETWEEN ? AND ?').join(' OR ')})`;
+    whereParams.push(...ipRanges.flat());
+  }
+  
+  for (const [key, date] of Object.entries(dateRanges)) {
+    const [field, bound] = key.split('_');
+    where += ` AND strftime('%Y-%m-%d %H:%M:%f', r.${field}_at) ${bound === 'from' ? '>=' : '<='} ?`;
+    whereParams.push(date);
+  }
+  
+  if (search) {
+    const parsed = parseSearchQuery(search);
+    if (parsed.match) {
+      where += ` AND r.rowid IN (SELECT rowid FROM reports_fts WHERE reports_fts MATCH ?)`;
+      whereParams.push(parsed.match);
+    }
+    for (const filter of parsed.filters) {
+      where += ` AND ${filter.sql}`;
+      whereParams.push(filter.value);
+    }
+  }
+  
+  if (unassigned) {
+    where += ` AND (r.assigned_to IS NULL OR r.assigned_to = '')`;
+  }
+  
+  return {
+    where,
+    whereParams,
+    filters: { ...filters, ...dateRanges, ...customFields, search, unassigned },
+    errors
+  };
+}
+
+// Format row saved_views untuk response
+function formatSavedView(row, actor) {
+  return {
+    ...row,
+    filters: JSON.parse(row.filters || '{}'),
+    is_shared: row.is_shared === 1,
+    show_on_dashboard: row.show_on_dashboard === 1,
+    is_owner: row.owner === actor
+  };
+}
+
+// Filter report boleh berupa object atau query string ("status=pending&priority=critical") -> object string
+function normalizeFilterParams(rawFilters) {
+  return Object.fromEntries(
+    [...new URLSearchParams(typeof rawFilters === 'string' ? rawFilters : Object.entries(rawFilters || {})
+      .map(([key, value]) => [key, Array.isArray(value) ? value.join(',') : String(value)]))]
+      .filter(([key, value]) => value !== '')
+  );
+}
+
+// Tag dari string ("a, b") atau array -> lowercase, unik; tag tidak valid dikembalikan terpisah
+function normalizeTags(value) {
+  const list = Array.isArray(value) ? value : String(value ?? '').split(',');
+  const tags = [...new Set(list.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+  return {
+    tags: tags.filter(tag => tag.length <= MAX_TAG_LENGTH),
+    invalid: tags.filter(tag => tag.length > MAX_TAG_LENGTH)
+  };
+}
+
+// Format row maintenance_windows untuk response; active = sedang berjalan pada `now`
+function formatMaintenanceWindow(row, now = new Date(), serverNames = {}) {
+  const serverIds = JSON.parse(row.server_ids || '[]');
+  return {
+    ...row,
+    server_ids: serverIds,
+    servers: serverIds.map(id => ({ id, name: serverNames[id] || null })),
+    tags: JSON.parse(row.tags || '[]'),
+    suppress: row.suppress === 1,
+    active: maintenanceOccurrences(row, now, new Date(now.getTime() + 1)).length > 0
+  };
+}
+
+// Nama server di scope maintenance window (id -> name), satu query untuk semua window
+async function getMaintenanceServerNames(db, rows) {
+  const ids = [...new Set(rows.flatMap(row => JSON.parse(row.server_ids || '[]')))];
+  if (ids.length === 0) {
+    return {};
+  }
+  const servers = await db.prepare(`
+    SELECT id, name FROM servers WHERE id IN (SELECT value FROM json_each(?))
+  `).bind(JSON.stringify(ids)).all();
+  return Object.fromEntries((servers.results || []).map(server => [server.id, server.name]));
+}
+
+// Timestamp body maintenance window -> ISO UTC (null jika tidak valid)
+function parseMaintenanceDate(value) {
+  if (!value) {
+    return null;
+  }
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+// Awal occurrence ke-n; monthly memakai tanggal yang sama (dibatasi hari terakhir bulan itu)
+function maintenanceOccurrenceStart(start, recurrence, n) {
+  if (recurrence === 'monthly') {
+    const month = start.getUTCMonth() + n;
+    const lastDay = new Date(Date.UTC(start.getUTCFullYear(), month + 1, 0)).getUTCDate();
+    return new Date(Date.UTC(
+      start.getUTCFullYear(), month, Math.min(start.getUTCDate(), lastDay),
+      start.getUTCHours(), start.getUTCMinutes(), start.getUTCSeconds(), start.getUTCMilliseconds()
+    ));
+  }
+  return new Date(start.getTime() + n * MAINTENANCE_PERIOD_MS[recurrence]);
+}
+
+// Occurrence window yang beririsan dengan [from, to)
+function maintenanceOccurrences(window, from, to) {
+  const start = new Date(window.starts_at);
+  const duration = new Date(window.ends_at) - start;
+  const until = window.recurrence_until ? new Date(window.recurrence_until) : null;
+
+  if (window.recurrence === 'none') {
+    return start < to && start.getTime() + duration > from ? [{ starts_at: start, ends_at: new Date(start.getTime() + duration) }] : [];
+  }
+
+  // Mulai dari occurrence terakhir sebelum `from` yang mungkin masih berjalan
+  const first = window.recurrence === 'monthly'
+    ? (from.getUTCFullYear() - start.getUTCFullYear()) * 12 + from.getUTCMonth() - start.getUTCMonth() - 1
+    : Math.floor((from - start - duration) / MAINTENANCE_PERIOD_MS[window.recurrence]);
+
+  const occurrences = [];
+  for (let n = Math.max(0, first); occurrences.length < MAINTENANCE_MAX_OCCURRENCES; n++) {
+    const occurrenceStart = maintenanceOccurrenceStart(start, window.recurrence, n);
+    if (occurrenceStart >= to || (until && occurrenceStart > until)) break;
+    const occurrenceEnd = new Date(occurrenceStart.getTime() + duration);
+    if (occurrenceEnd > from) {
+      occurrences.push({ starts_at: occurrenceStart, ends_at: occurrenceEnd });
+    }
+  }
+  return occurrences;
+}
+
+// Maintenance window yang berlaku untuk report baru (server di scope, atau tag server / report di scope)
+async function matchMaintenanceWindow(db, report, time) {
+  const iso = time.toISOString();
+  const candidates = await db.prepare(`
+    SELECT * FROM maintenance_windows
+    WHERE starts_at <= ?
+      AND (ends_at > ? OR (recurrence != 'none' AND (recurrence_until IS NULL OR recurrence_until >= ?)))
+    ORDER BY starts_at
+  `).bind(iso, iso, iso).all();
+
+  const active = (candidates.results || [])
+    .filter(window => maintenanceOccurrences(window, time, new Date(time.getTime() + 1)).length > 0);
+  if (active.length === 0) {
+    return null;
+  }
+
+  let tags = report.tags || [];
+  if (report.server_id) {
+    const server = await db.prepare(`
+      SELECT tags FROM servers WHERE id = ?
+    `).bind(report.server_id).first();
+    tags = [...tags, ...JSON.parse(server?.tags || '[]')];
+  }
+
+  return active.find(window =>
+    JSON.parse(window.server_ids || '[]').includes(report.server_id) ||
+    JSON.parse(window.tags || '[]').some(tag => tags.includes(tag))
+  ) || null;
+}
+
+// Format row custom_fields untuk response
+function formatCustomField(row) {
+  return {
+    ...row,
+    options: row.options ? JSON.parse(row.options) : null,
+    required: row.required === 1,
+    is_active: row.is_active === 1
+  };
+}
+
+// Definisi custom field, urut sort_order
+async function getCustomFields(db, includeInactive = true) {
+  const rows = await db.prepare(`
+    SELECT * FROM custom_fields ${includeInactive ? '' : 'WHERE is_active = 1'} ORDER BY sort_order, label COLLATE NOCASE
+  `).all();
+  return (rows.results || []).map(formatCustomField);
+}
+
+// Validasi { key: value } custom field dari body create/update -> { key: { value, value_number } | null }
+// null / '' menghapus nilai; isCreate = true -> field required yang aktif wajib diisi
+function validateCustomFieldValues(input, definitions, isCreate = false) {
+  const values = {};
+  const errors = [];
+
+  if (input === undefined || input === null) {
+    input = {};
+  }
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return { values, errors: ['custom_fields must be an object of { key: value }'] };
+  }
+
+  const byKey = new Map(definitions.map(field => [field.key, field]));
+  for (const [key, raw] of Object.entries(input)) {
+    const field = byKey.get(key);
+    if (!field) {
+      errors.push(`unknown custom field: ${key}`);
+      continue;
+    }
+    if (!field.is_active) {
+      errors.push(`custom field ${key} is inactive`);
+      continue;
+    }
+
+    const text = raw === null || raw === undefined ? '' : String(raw).trim();
+    if (text === '') {
+      if (field.required) {
+        errors.push(`${key} is required`);
+      } else if (!isCreate) {
+        values[key] = null;
+      }
+      continue;
+    }
+
+    if (field.type === 'number') {
+      const number = Number(text);
+      if (!Number.isFinite(number)) {
+        errors.push(`${key} must be a number`);
+        continue;
+      }
+      values[key] = { value: String(number), value_number: number };
+    } else if (field.type === 'date') {
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(text) || isNaN(new Date(`${text}T00:00:00Z`).getTime())) {
+        errors.push(`${key} must be a date (YYYY-MM-DD)`);
+        continue;
+      }
+      values[key] = { value: text, value_number: null };
+    } else if (field.type === 'enum') {
+      // Nilai enum dicocokkan case-insensitive, disimpan sesuai penulisan di options
+      const option = field.options.find(item => item.toLowerCase() === text.toLowerCase());
+      if (!option) {
+        errors.push(`${key} must be one of: ${field.options.join(', ')}`);
+        continue;
+      }
+      values[key] = { value: option, value_number: null };
+    } else {
+      if (text.length > MAX_CUSTOM_FIELD_VALUE_LENGTH) {
+        errors.push(`${key} must be at most ${MAX_CUSTOM_FIELD_VALUE_LENGTH} characters`);
+        continue;
+      }
+      values[key] = { value: text, value_number: null };
+    }
+  }
+
+  if (isCreate) {
+    for (const field of definitions) {
+      if (field.required && field.is_active && !values[field.key] && !errors.some(error => error.startsWith(`${field.key} `))) {
+        errors.push(`${field.key} is required`);
+      }
+    }
+  }
+
+  return { values, errors };
+}
+
+// Statement upsert / hapus nilai custom field hasil validateCustomFieldValues
+function buildFieldValueStatements(db, reportId, values) {
+  return Object.entries(values || {}).map(([key, entry]) => entry === null
+    ? db.prepare(`
+        DELETE FROM report_field_values WHERE report_id = ? AND field_key = ?
+      `).bind(reportId, key)
+    : db.prepare(`
+        INSERT INTO report_field_values (report_id, field_key, value, value_number) VALUES (?, ?, ?, ?)
+        ON CONFLICT(report_id, field_key) DO UPDATE SET value = excluded.value, value_number = excluded.value_number
+      `).bind(reportId, key, entry.value, entry.value_number));
+}
+
+// Nilai custom field sebuah report -> { key: value } (number dikembalikan sebagai angka)
+async function getReportFieldValues(db, reportId) {
+  const rows = await db.prepare(`
+    SELECT field_key, value, value_number FROM report_field_values WHERE report_id = ? ORDER BY field_key
+  `).bind(reportId).all();
+  return Object.fromEntries((rows.results || []).map(row => [row.field_key, row.value_number ?? row.value]));
+}
+
+// Tag dari body create/update report -> { tags, errors }
+function validateReportTags(value) {
+  if (value === undefined || value === null) {
+    return { tags: [], errors: [] };
+  }
+  const { tags, invalid } = normalizeTags(value);
+  const errors = [];
+  if (invalid.length > 0) {
+    errors.push(`tags must be at most ${MAX_TAG_LENGTH} characters`);
+  }
+  if (tags.length > MAX_TAGS_PER_REPORT) {
+    errors.push(`at most ${MAX_TAGS_PER_REPORT} tags per report`);
+  }
+  return { tags, errors };
+}
+
+// Ekspresi GROUP BY untuk /api/analytics?group_by= (kolom report, server, tag atau cf.<key>)
+function buildAnalyticsGrouping(groupBy) {
+  if (ANALYTICS_GROUP_COLUMNS.includes(groupBy)) {
+    return { join: '', joinParams: [], expression: `COALESCE(NULLIF(r.${groupBy}, ''), '(none)')` };
+  }
+  if (groupBy === 'server') {
+    return {
+      join: 'LEFT JOIN servers s ON s.id = r.server_id',
+      joinParams: [],
+      expression: `COALESCE(s.name, r.server_name)`
+    };
+  }
+  if (groupBy === 'tag') {
+    // Report dengan beberapa tag dihitung di setiap tag-nya
+    return {
+      join: 'LEFT JOIN report_tags t ON t.report_id = r.id',
+      joinParams: [],
+      expression: `COALESCE(t.tag, '(none)')`
+    };
+  }
+  const match = /^cf\.([a-z][a-z0-9_]*)$/.exec(groupBy);
+  if (match) {
+    return {
+      join: 'LEFT JOIN report_field_values v ON v.report_id = r.id AND v.field_key = ?',
+      joinParams: [match[1]],
+      expression: `COALESCE(v.value, '(none)')`,
+      field: match[1]
+    };
+  }
+  return null;
+}
+
+// MTTA / MTTR dan persentil waktu resolusi (nearest-rank) per grup, hanya dari acknowledged_at / resolved_at asli
+async function getReliabilityMetrics(db, grouping, range, limit = ANALYTICS_GROUP_LIMIT) {
+  const percentiles = RELIABILITY_PERCENTILES.map(p => `
+      ROUND(MIN(CASE WHEN resolve_minutes IS NOT NULL AND resolve_rank >= ${p / 100} * resolved
+        THEN resolve_minutes END), 1) as p${p}_minutes`).join(',');
+
+  const rows = await db.prepare(`
+    WITH base AS (
+      SELECT ${grouping.expression} as value,
+        (julianday(r.acknowledged_at) - julianday(r.created_at)) * 1440 as ack_minutes,
+        (julianday(r.resolved_at) - julianday(r.created_at)) * 1440 as resolve_minutes
+      FROM reports r
+      ${grouping.join}
+      WHERE ${SQL_CREATED_RANGE} AND ${SQL_RELIABILITY_SCOPE}
+    ),
+    ranked AS (
+      SELECT *,
+        ROW_NUMBER() OVER (PARTITION BY value, resolve_minutes IS NULL ORDER BY resolve_minutes) as resolve_rank,
+        COUNT(resolve_minutes) OVER (PARTITION BY value) as resolved
+      FROM base
+    )
+    SELECT value,
+      COUNT(*) as reports,
+      COUNT(ack_minutes) as acknowledged,
+      ROUND(AVG(ack_minutes), 1) as mtta_minutes,
+      MAX(resolved) as resolved,
+      ROUND(AVG(resolve_minutes), 1) as mttr_minutes,${percentiles}
+    FROM ranked
+    GROUP BY value
+    ORDER BY reports DESC, value
+    LIMIT ?
+  `).bind(...grouping.joinParams, range.from, range.to, limit).all();
+
+  return rows.results || [];
+}
+
+// Row getReliabilityMetrics -> response (grup tanpa report tetap punya semua key)
+function formatReliabilityRow(row = {}) {
+  return {
+    reports: row.reports || 0,
+    acknowledged: row.acknowledged || 0,
+    resolved: row.resolved || 0,
+    mtta_minutes: row.mtta_minutes ?? null,
+    mttr_minutes: row.mttr_minutes ?? null,
+    resolution_percentiles: Object.fromEntries(RELIABILITY_PERCENTILES.map(p => [`p${p}`, row[`p${p}_minutes`] ?? null]))
+  };
+}
+
+// Metrik per minggu (7 hari dari ?from) dengan perubahan (%) terhadap minggu sebelumnya
+// Minggu sebelum ?from ikut dihitung agar minggu pertama juga punya pembanding
+async function getWeeklyReliability(db, range) {
+  const weekMs = 7 * 86400000;
+  const from = parseDbDate(range.from);
+  const to = parseDbDate(range.to);
+  const start = new Date(from.getTime() - weekMs);
+  // julianday dari epoch ms, disisipkan sebagai angka (bukan input user)
+  const startJulian = start.getTime() / 86400000 + 2440587.5;
+  const rows = await getReliabilityMetrics(db, {
+    join: '',
+    joinParams: [],
+    expression: `CAST((julianday(r.created_at) - ${startJulian}) / 7 AS INTEGER)`
+  }, { from: start.toISOString().replace('T', ' ').replace('Z', ''), to: range.to }, Math.ceil((to - start) / weekMs) + 1);
+
+  const weeks = [];
+  let previous = formatReliabilityRow(rows.find(row => row.value === 0));
+  for (let index = 1; start.getTime() + index * weekMs < to.getTime(); index++) {
+    const current = formatReliabilityRow(rows.find(row => row.value === index));
+    const weekStart = new Date(start.getTime() + index * weekMs);
+    weeks.push({
+      week_start: weekStart.toISOString(),
+      week_end: new Date(Math.min(weekStart.getTime() + weekMs, to.getTime())).toISOString(),
+      ...current,
+      change_pct: {
+        reports: percentChange(current.reports, previous.reports),
+        mtta: percentChange(current.mtta_minutes, previous.mtta_minutes),
+        mttr: percentChange(current.mttr_minutes, previous.mttr_minutes),
+        p90: percentChange(current.resolution_percentiles.p90, previous.resolution_percentiles.p90)
+      }
+    });
+    previous = current;
+  }
+  return weeks;
+}
+
+// Perubahan dalam persen (1 desimal); null jika salah satu nilai tidak ada atau pembanding 0
+function percentChange(current, previous) {
+  if (current === null || current === undefined || !previous) {
+    return null;
+  }
+  return Math.round(((current - previous) / previous) * 1000) / 10;
+}
+
+// Owner atau admin boleh mengubah / menghapus saved view
+function canManageView(request, view, actor) {
+  return view.owner === actor || requestIdentities.get(request)?.role === 'admin';
+}
+
+// Author atau admin boleh menghapus comment
+function canDeleteComment(request, comment) {
+  return comment.author === resolveActor(request) || requestIdentities.get(request)?.role === 'admin';
+}
+
+// Jumlah report yang cocok dengan filter saved view (untuk stat card dashboard)
+async function countViewReports(db, filters) {
+  const { where, whereParams, errors } = buildReportFilters(new URLSearchParams(filters));
+  if (errors.length > 0) {
+    return null;
+  }
+  try {
+    const row = await db.prepare(`SELECT COUNT(*) as total FROM reports r ${where}`).bind(...whereParams).first();
+    return row?.total || 0;
+  } catch (error) {
+    console.error('Count view reports error:', error);
+    return null;
+  }
+}
+
+// Parameter list dipisah koma: "pending,on-progress" -> ['pending', 'on-progress']
+function splitListParam(value) {
+  return value ? value.split(',').map(item => item.trim()).filter(Boolean) : [];
+}
+
+// Parse tanggal filter ke format yang sama dengan strftime('%Y-%m-%d %H:%M:%f')
+// Relatif terhadap sekarang juga didukung (-7d, -24h, -2w, today) agar saved view tetap berlaku
+function parseDateParam(value, endOfDay = false) {
+  const relative = /^-(\d+)([hdw])$/.exec(value);
+  if (relative) {
+    const hours = { h: 1, d: 24, w: 168 }[relative[2]] * parseInt(relative[1]);
+    return new Date(Date.now() - hours * 3600000).toISOString().replace('T', ' ').replace('Z', '');
+  }
+  if (value === 'today') {
+    value = new Date().toISOString().slice(0, 10);
+  }
+  const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+  const date = new Date(dateOnly ? `${value}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}Z` : value);
+  if (isNaN(date.getTime())) {
+    return null;
+  }
+  return date.toISOString().replace('T', ' ').replace('Z', '');
+}
+
+// Zona waktu IANA (mis. Asia/Jakarta) atau UTC yang dikenali Intl
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Jam dinding di zona waktu pada suatu instant (year, month, day, hour, minute, second)
+// Formatter Intl di-cache per zona waktu (dipanggil berulang saat mencari perpindahan DST)
+function getZonedParts(timeZone, date) {
+  if (!zonedFormatters.has(timeZone)) {
+    zonedFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone, hourCycle: 'h23',
+      year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit'
+    }));
+  }
+  const parts = zonedFormatters.get(timeZone).formatToParts(date);
+  return Object.fromEntries(parts.filter(part => part.type !== 'literal').map(part => [part.type, Number(part.value)]));
+}
+
+// Offset zona waktu (menit dari UTC) pada suatu instant
+function getTimeZoneOffset(timeZone, date) {
+  const parts = getZonedParts(timeZone, date);
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((wallClock - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+// Tanggal lokal (YYYY-MM-DD) di zona waktu -> instant awal hari itu (atau akhir hari jika endOfDay)
+function zonedDateToUtc(value, timeZone, endOfDay = false) {
+  const [year, month, day] = value.split('-').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day + (endOfDay ? 1 : 0));
+  // Dua langkah agar offset yang dipakai adalah offset setelah perpindahan DST (jika ada)
+  let instant = wallClock - getTimeZoneOffset(timeZone, new Date(wallClock)) * 60000;
+  instant = wallClock - getTimeZoneOffset(timeZone, new Date(instant)) * 60000;
+  return new Date(endOfDay ? instant - 1 : instant);
+}
+
+// Tanggal (YYYY-MM-DD) di zona waktu pada suatu instant, default hari ini
+function getZonedDate(timeZone, date = new Date()) {
+  const parts = getZonedParts(timeZone, date);
+  return `${parts.year}-${String(parts.month).padStart(2, '0')}-${String(parts.day).padStart(2, '0')}`;
+}
+
+// Seperti parseDateParam, tetapi tanggal saja dan 'today' dihitung di zona waktu tz
+function parseZonedDateParam(value, timeZone, endOfDay = false) {
+  if (value === 'today') {
+    value = getZonedDate(timeZone);
+  }
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    const date = zonedDateToUtc(value, timeZone, endOfDay);
+    return isNaN(date.getTime()) ? null : date.toISOString().replace('T', ' ').replace('Z', '');
+  }
+  return parseDateParam(value, endOfDay);
+}
+
+// tz, bucket dan rentang from / to untuk /api/stats dan /api/analytics
+// from / to null jika tidak dikirim (default ditentukan handler)
+function resolveTimeWindow(params, defaultTimeZone) {
+  const errors = [];
+  const timeZone = params.get('tz') || defaultTimeZone || 'UTC';
+  const bucket = params.get('bucket') || 'day';
+
+  if (!isValidTimeZone(timeZone)) {
+    errors.push('tz must be an IANA time zone (e.g. Asia/Jakarta, Asia/Singapore, UTC)');
+  }
+  if (!STATS_BUCKETS[bucket]) {
+    errors.push(`bucket must be one of: ${Object.keys(STATS_BUCKETS).join(', ')}`);
+  }
+
+  const range = { from: null, to: null };
+  if (errors.length === 0) {
+    for (const bound of ['from', 'to']) {
+      const value = params.get(bound);
+      if (!value) continue;
+      range[bound] = parseZonedDateParam(value, timeZone, bound === 'to');
+      if (!range[bound]) {
+        errors.push(`${bound} must be a date (YYYY-MM-DD), ISO timestamp or relative (-7d, -24h, today)`);
+      }
+    }
+  }
+  if (range.from && range.to && range.from >= range.to) {
+    errors.push('to must be after from');
+  }
+
+  return { timeZone, bucket, ...range, errors };
+}
+
+// Jumlah bucket maksimal per deret waktu (mis. bucket=hour untuk rentang setahun ditolak)
+function checkBucketCount(window) {
+  const buckets = (parseDbDate(window.to) - parseDbDate(window.from)) / STATS_BUCKETS[window.bucket];
+  return buckets <= STATS_MAX_BUCKETS
+    ? null
+    : `Range has too many ${window.bucket} buckets (max ${STATS_MAX_BUCKETS}); use a larger bucket or a shorter range`;
+}
+
+// Ekspresi SQL waktu lokal (datetime) dari kolom UTC
+// Offset diambil dari Intl per segmen antara perpindahan DST di rentang from..to;
+// nilai di luar rentang memakai offset segmen terdekat
+function buildLocalTimeSql(column, timeZone, from, to) {
+  const end = parseDbDate(to) || new Date();
+  const start = parseDbDate(from) || new Date(end.getTime() - TIMEZONE_LOOKBACK_DAYS * 86400000);
+  const modifier = offset => `'${offset >= 0 ? '+' : ''}${offset} minutes'`;
+
+  // Sampling per minggu (perpindahan DST berjarak berbulan-bulan), lalu binary search ke menitnya
+  const step = 7 * 86400000;
+  const segments = [];
+  let offset = getTimeZoneOffset(timeZone, start);
+  for (let time = start.getTime(); time < end.getTime(); time += step) {
+    const next = Math.min(time + step, end.getTime());
+    const nextOffset = getTimeZoneOffset(timeZone, new Date(next));
+    if (nextOffset === offset) continue;
+    let low = time;
+    let high = next;
+    while (high - low > 60000) {
+      const middle = Math.floor((low + high) / 2);
+      if (getTimeZoneOffset(timeZone, new Date(middle)) === offset) {
+        low = middle;
+      } else {
+        high = middle;
+      }
+    }
+    segments.push({ until: high, offset });
+    offset = nextOffset;
+  }
+
+  if (segments.length === 0) {
+    return `datetime(${column}, ${modifier(offset)})`;
+  }
+  // julianday dari epoch ms, disisipkan sebagai angka (bukan input user)
+  const cases = segments
+    .map(segment => `WHEN julianday(${column}) < ${segment.until / 86400000 + 2440587.5} THEN ${modifier(segment.offset)}`)
+    .join(' ');
+  return `datetime(${column}, CASE ${cases} ELSE ${modifier(offset)} END)`;
+}
+
+// Label bucket dari ekspresi waktu lokal: hour, day, week (mulai Senin) atau month
+function buildBucketSql(localTime, bucket) {
+  return {
+    hour: `strftime('%Y-%m-%d %H:00', ${localTime})`,
+    day: `date(${localTime})`,
+    week: `date(${localTime}, 'weekday 0', '-6 days')`,
+    month: `strftime('%Y-%m', ${localTime})`
+  }[bucket];
+}
+
+// IPv4 atau CIDR -> [awal, akhir] dalam bentuk angka (sama dengan kolom reports.ip_number)
+function parseIpRange(value) {
+  const match = /^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})(?:\/(\d{1,2}))?$/.exec(value);
+  if (!match) {
+    return null;
+  }
+  const octets = match.slice(1, 5).map(Number);
+  const bits = match[5] === undefined ? 32 : Number(match[5]);
+  if (octets.some(octet => octet > 255) || bits > 32) {
+    return null;
+  }
+  const address = octets.reduce((number, octet) => number * 256 + octet, 0);
+  const size = 2 ** (32 - bits);
+  const start = Math.floor(address / size) * size;
+  return [start, start + size - 1];
+}
+
+// ip_address -> kolom reports.ip_number (null jika bukan IPv4), diisi setiap kali ip_address ditulis
+function ipToNumber(value) {
+  const ip = String(value ?? '').trim();
+  return ip.includes('/') ? null : parseIpRange(ip)?.[0] ?? null;
+}
+
+// Cursor pagination opaque (base64url JSON)
+function encodeCursor(value) {
+  return btoa(JSON.stringify(value)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const value = JSON.parse(atob(cursor.replace(/-/g, '+').replace(/_/g, '/')));
+    return value && typeof value === 'object' && typeof value.id === 'string' ? value : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Ubah query pencarian user ke sintaks FTS5 + filter SQL
+// Mendukung "frasa", prefix*, dan qualifier seperti server:WEB-SVR-01 priority:critical
+function parseSearchQuery(query) {
+  const terms = [];
+  const filters = [];
+  const tokenPattern = /(?:(\w+):)?(?:"([^"]*)"|(\S+))/g;
+  let token;
+
+  while ((token = tokenPattern.exec(query)) !== null) {
+    const [, field, phrase, word] = token;
+    const key = field?.toLowerCase();
+    const value = phrase ?? word;
+
+    if (key && SEARCH_FILTER_COLUMNS[key]) {
+      filters.push({ field: key, sql: `r.${SEARCH_FILTER_COLUMNS[key]} = ?`, value });
+      continue;
+    }
+
+    // Token tanpa huruf/angka (mis. "*" atau "-") diabaikan agar query FTS selalu valid
+    const prefix = phrase === undefined && value.endsWith('*');
+    const text = (prefix ? value.slice(0, -1) : value).replace(/"/g, '""');
+    if (!/[\p{L}\p{N}]/u.test(text)) {
+      continue;
+    }
+
+    const column = key && SEARCH_FTS_COLUMNS[key];
+    // Qualifier yang tidak dikenal (mis. "http:") dianggap bagian dari kata kunci
+    const term = `"${key && !column ? `${field}:${text}` : text}"${prefix ? '*' : ''}`;
+    terms.push(column ? `${column} : ${term}` : term);
+  }
+
+  return { match: terms.join(' '), filters };
+}
+
+// Fingerprint dedup: dedup_key eksplisit, atau server + platform + deskripsi yang dinormalisasi
+// (angka, hex id dan spasi diabaikan agar "CPU 95%" dan "CPU 97%" dianggap alert yang sama)
+async function computeFingerprint(data) {
+  if (data.dedup_key) {
+    return sha256Hex(`key:${String(data.dedup_key).trim()}`);
+  }
+  const description = String(data.description || '')
+    .toLowerCase()
+    .replace(/\b[0-9a-f]{8,}\b/g, '#')
+    .replace(/\d+(\.\d+)?/g, '#')
+    .replace(/\s+/g, ' ')
+    .trim();
+  return sha256Hex([
+    String(data.server_name || '').trim().toLowerCase(),
+    String(data.platform || '').trim().toLowerCase(),
+    description
+  ].join('|'));
+}
+
+// Ambil host dan IP dari label instance Prometheus ("10.0.0.5:9100" / "web-01:9100")
+function parseAlertInstance(labels) {
+  const instance = labels.instance || '';
+  const host = instance.replace(/^\[?([^\]]+?)\]?(:\d+)?$/, '$1');
+  const isIp = /^\d{1,3}(\.\d{1,3}){3}$/.test(host) || host.includes(':');
+  return {
+    server_name: labels.hostname || labels.host || labels.nodename || labels.server || host || labels.job || '',
+    ip_address: labels.ip || labels.ip_address || (isIp ? host : '')
+  };
+}
+
+// Normalisasi satu alert format Alertmanager (juga dipakai Grafana unified alerting)
+function parseAlertmanagerAlert(alert, payload, platform) {
+  const labels = { ...(payload.commonLabels || {}), ...(alert.labels || {}) };
+  const annotations = { ...(payload.commonAnnotations || {}), ...(alert.annotations || {}) };
+  const summary = annotations.summary || annotations.description || annotations.message || '';
+  const links = [alert.generatorURL, alert.dashboardURL, alert.panelURL].filter(Boolean);
+
+  return {
+    source_ref: alert.fingerprint || JSON.stringify(Object.entries(labels).sort()),
+    resolved: (alert.status || payload.status) === 'resolved',
+    ...parseAlertInstance(labels),
+    priority: ALERT_SEVERITY_PRIORITIES[String(labels.severity || '').toLowerCase()] || 'medium',
+    platform,
+    description: [labels.alertname, summary].filter(Boolean).join(': '),
+    notes: links.length > 0 ? links.join('\n') : null,
+    timestamp: alert.startsAt && !alert.startsAt.startsWith('0001') ? alert.startsAt : undefined
+  };
+}
+
+// Parser payload webhook per tool monitoring -> daftar alert ternormalisasi
+const ALERT_PARSERS = {
+  alertmanager(payload) {
+    return (Array.isArray(payload.alerts) ? payload.alerts : [])
+      .map(alert => parseAlertmanagerAlert(alert, payload, 'Prometheus'));
+  },
+
+  // Zabbix media type "Webhook" dengan parameter: event_id, event_value, event_severity,
+  // event_nseverity, trigger_name, host_name, host_ip, event_opdata, event_url
+  zabbix(payload) {
+    const eventId = payload.event_id ?? payload.eventid;
+    const hostName = payload.host_name || payload.hostname || payload.host;
+    if (!eventId || !hostName) {
+      return [];
+    }
+
+    const severity = String(payload.event_nseverity ?? payload.event_severity ?? payload.severity ?? '').toLowerCase();
+    const status = String(payload.event_status || payload.status || '').toUpperCase();
+    const name = payload.trigger_name || payload.event_name || payload.subject || '';
+
+    return [{
+      // {EVENT.ID} pada pesan recovery tetap berisi ID event problem aslinya
+      source_ref: String(eventId),
+      resolved: String(payload.event_value) === '0' || status === 'RESOLVED' || status === 'OK',
+      server_name: hostName,
+      ip_address: payload.host_ip || payload.ip || '',
+      priority: ALERT_SEVERITY_PRIORITIES[severity] || 'medium',
+      platform: 'Zabbix',
+      description: [name, payload.event_opdata].filter(Boolean).join(' - '),
+      notes: payload.event_url || payload.message || null
+    }];
+  },
+
+  // Grafana unified alerting (format Alertmanager) atau legacy alerting (ruleId/state)
+  grafana(payload) {
+    if (Array.isArray(payload.alerts)) {
+      return payload.alerts.map(alert => parseAlertmanagerAlert(alert, payload, 'Grafana'));
+    }
+    if (payload.ruleId === undefined || !payload.state) {
+      return [];
+    }
+
+    const tags = { ...(payload.evalMatches?.[0]?.tags || {}), ...(payload.tags || {}) };
+    const { server_name, ip_address } = parseAlertInstance(tags);
+
+    return [{
+      source_ref: `rule-${payload.ruleId}`,
+      resolved: payload.state === 'ok',
+      server_name: server_name || payload.ruleName || 'grafana',
+      ip_address,
+      priority: ALERT_SEVERITY_PRIORITIES[String(tags.severity || '').toLowerCase()] || 'medium',
+      platform: 'Grafana',
+      description: [payload.ruleName || payload.title, payload.message].filter(Boolean).join(': '),
+      notes: payload.ruleUrl || null
+    }];
+  }
+};
+
+// Jalankan escalation rules terhadap report yang tertahan terlalu lama
+// pending dihitung dari created_at, on-progress dari acknowledged_at
+async function runEscalations(db, now = new Date()) {
+  const nowIso = now.toISOString();
+  const actions = [];
+
+  const rules = await db.prepare(`
+    SELECT * FROM escalation_rules WHERE is_active = 1 ORDER BY after_minutes
+  `).all();
+
+  for (const rule of rules.results || []) {
+    const candidates = await db.prepare(`
+      SELECT r.*
+      FROM reports r
+      WHERE r.status = ? AND r.maintenance_id IS NULL
+        AND (? IS NULL OR r.priority = ?)
+        AND julianday(?) - julianday(
+          CASE WHEN r.status = 'pending' THEN r.created_at ELSE COALESCE(r.acknowledged_at, r.created_at) END
+        ) > ? / 1440.0
+        AND NOT EXISTS (
+          SELECT 1 FROM report_escalations e WHERE e.report_id = r.id AND e.rule_id = ?
+        )
+      LIMIT 100
+    `).bind(rule.status, rule.priority, rule.priority, nowIso, rule.after_minutes, rule.id).all();
+
+    for (const report of candidates.results || []) {
+      const actor = `escalation:${rule.name}`;
+      const field = rule.action === 'bump_priority' ? 'priority' : 'assigned_to';
+      const oldValue = report[field] ?? null;
+      const newValue = rule.action === 'bump_priority'
+        ? (PRIORITY_ESCALATION[report.priority] || report.priority)
+        : rule.assign_to;
+
+      const statements = [
+        db.prepare(`
+          INSERT INTO report_escalations (report_id, rule_id, action, escalated_at)
+          VALUES (?, ?, ?, ?)
+        `).bind(report.id, rule.id, rule.action, nowIso)
+      ];
+
+      // Priority sudah critical / assignee sudah sama: tandai saja tanpa perubahan
+      if (newValue !== oldValue) {
+        statements.push(
+          db.prepare(`
+            UPDATE reports SET ${field} = ? WHERE id = ?
+          `).bind(newValue, report.id),
+          buildEventStatement(db, report.id, 'escalated', actor, field, oldValue, newValue)
+        );
+      }
+
+      try {
+        await db.batch(statements);
+        actions.push({
+          report_id: report.id,
+          rule_id: rule.id,
+          action: rule.action,
+          field,
+          old_value: oldValue,
+          new_value: newValue,
+          changed: newValue !== oldValue
+        });
+      } catch (escalationError) {
+        console.error(`Escalation of ${report.id} by rule ${rule.id} failed:`, escalationError);
+      }
+    }
+  }
+
+  return actions;
+}
+
+// Format row webhook untuk response (tanpa secret)
+function formatWebhook(row) {
+  const { secret, ...webhook } = row;
+  return {
+    ...webhook,
+    events: JSON.parse(row.events || '[]'),
+    filters: JSON.parse(row.filters || '{}'),
+    is_active: row.is_active === 1
+  };
+}
+
+// Cek apakah report cocok dengan filter webhook ({ priority: ['critical'], ... })
+function matchesWebhookFilters(filters, report) {
+  return Object.entries(filters || {}).every(([field, allowed]) =>
+    !report || allowed.length === 0 || allowed.includes(String(report[field] ?? ''))
+  );
+}
+
+// Webhook untuk perubahan status (status_changed, plus completed saat selesai)
+async function emitStatusChange(db, previousStatus, report, actor) {
+  const payload = { report, previous_status: previousStatus, actor };
+  await emitWebhookEvent(db, 'report.status_changed', payload);
+  if (report.status === 'completed') {
+    await emitWebhookEvent(db, 'report.completed', payload);
+  }
+}
+
+// Kirim event ke semua webhook yang subscribe dan filternya cocok
+async function emitWebhookEvent(db, event, data) {
+  try {
+    const webhooks = await db.prepare(`
+      SELECT * FROM webhooks WHERE is_active = 1
+    `).all();
+
+    const targets = (webhooks.results || []).filter(webhook => {
+      const events = JSON.parse(webhook.events || '[]');
+      return (events.includes('*') || events.includes(event)) &&
+             matchesWebhookFilters(JSON.parse(webhook.filters || '{}'), data.report);
+    });
+
+    for (const webhook of targets) {
+      const delivery = await createWebhookDelivery(db, webhook, event, data);
+      await deliverWebhook(db, webhook, delivery, new Date());
+    }
+  } catch (error) {
+    console.error(`Failed to emit webhook event ${event}:`, error);
+  }
+}
+
+// Simpan delivery baru (payload disimpan agar retry mengirim body yang sama)
+async function createWebhookDelivery(db, webhook, event, data) {
+  const id = `dlv_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  const timestamp = new Date().toISOString();
+  const payload = JSON.stringify({ id, event, timestamp, data });
+
+  await db.prepare(`
+    INSERT INTO webhook_deliveries (id, webhook_id, event, payload, status, attempt_count, created_at)
+    VALUES (?, ?, ?, ?, 'pending', 0, ?)
+  `).bind(id, webhook.id, event, payload, timestamp).run();
+
+  return { id, event, payload, attempt_count: 0 };
+}
+
+// Kirim satu delivery dengan signature HMAC-SHA256, lalu catat hasil / jadwal retry
+async function deliverWebhook(db, webhook, delivery, now) {
+  const attempt = (delivery.attempt_count || 0) + 1;
+  const timestamp = Math.floor(now.getTime() / 1000);
+  let responseStatus = null;
+  let responseBody = null;
+  let errorMessage = null;
+
+  try {
+    const signature = await hmacHex(webhook.secret, `${timestamp}.${delivery.payload}`);
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'IT-Report-System-Webhooks/1.0',
+        'X-Webhook-Id': webhook.id,
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery': delivery.id,
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': `sha256=${signature}`
+      },
+      body: delivery.payload,
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+    });
+    responseStatus = response.status;
+    responseBody = (await response.text()).substring(0, 1000);
+    if (!response.ok) {
+      errorMessage = `HTTP ${response.status}`;
+    }
+  } catch (fetchError) {
+    errorMessage = fetchError.message;
+  }
+
+  const succeeded = errorMessage === null;
+  const retryDelay = WEBHOOK_RETRY_DELAYS[attempt - 1];
+  const status = succeeded ? 'success' : (retryDelay ? 'pending' : 'failed');
+  const nextAttemptAt = !succeeded && retryDelay
+    ? new Date(now.getTime() + retryDelay * 1000).toISOString()
+    : null;
+
+  try {
+    await db.prepare(`
+      UPDATE webhook_deliveries
+      SET status = ?, attempt_count = ?, response_status = ?, response_body = ?, error = ?,
+          next_attempt_at = ?, delivered_at = ?
+      WHERE id = ?
+    `).bind(
+      status,
+      attempt,
+      responseStatus,
+      responseBody,
+      errorMessage,
+      nextAttemptAt,
+      succeeded ? now.toISOString() : null,
+      delivery.id
+    ).run();
+  } catch (updateError) {
+    console.error('Failed to update webhook delivery:', updateError);
+  }
+
+  return {
+    delivery_id: delivery.id,
+    status,
+    attempt_count: attempt,
+    response_status: responseStatus,
+    error: errorMessage,
+    next_attempt_at: nextAttemptAt
+  };
+}
+
+// Kirim ulang delivery yang jadwal retry-nya sudah lewat (dipanggil dari Cron Trigger)
+async function retryWebhookDeliveries(db, now = new Date()) {
+  const due = await db.prepare(`
+    SELECT d.id, d.event, d.payload, d.attempt_count, w.id as webhook_id, w.url, w.secret
+    FROM webhook_deliveries d
+    JOIN webhooks w ON w.id = d.webhook_id
+    WHERE d.status = 'pending' AND d.next_attempt_at IS NOT NULL AND d.next_attempt_at <= ? AND w.is_active = 1
+    ORDER BY d.next_attempt_at
+    LIMIT 50
+  `).bind(now.toISOString()).all();
+
+  const results = [];
+  for (const row of due.results || []) {
+    results.push(await deliverWebhook(db, { id: row.webhook_id, url: row.url, secret: row.secret }, row, now));
+  }
+  return results;
+}
+
+// Update system statistics
+async function updateSystemStats(db, now = new Date()) {
+  try {
+    const stats = await db.prepare(`
+      SELECT 
+        COUNT(*) as total_reports,
+        COUNT(CASE WHEN status IN ('on-progress', 'pending') THEN 1 END) as active_issues,
+        COUNT(CASE WHEN status = 'completed' THEN 1 END) as completed_reports,
+        COUNT(CASE WHEN priority = 'critical' THEN 1 END) as critical_issues
+      FROM reports
+      WHERE maintenance_id IS NULL
+    `).first();
+    
+    await db.prepare(`
+      INSERT OR REPLACE INTO system_stats 
+      (id, total_reports, active_issues, completed_reports, critical_issues, last_updated)
+      VALUES (1, ?, ?, ?, ?, ?)
+    `).bind(
+      stats?.total_reports || 0,
+      stats?.active_issues || 0,
+      stats?.completed_reports || 0,
+      stats?.critical_issues || 0,
+      now.toISOString()
+    ).run();
+  } catch (error) {
+    console.error('Failed to update system stats:', error);
+  }
+}
+
+// Log API request
+async function logRequest(db, endpoint, method, statusCode, responseTime, userAgent) {
+  try {
+    await db.prepare(`
+      INSERT INTO api_logs (endpoint, method, status_code, response_time, user_agent, timestamp)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).bind(
+      endpoint,
+      method,
+      statusCode,
+      responseTime,
+      userAgent || '',
+      new Date().toISOString()
+    ).run();
+  } catch (error) {
+    console.error('Failed to log request:', error);
+  }
+}
+
+// Parser CSV (RFC 4180): field ber-quote boleh berisi koma, "" dan newline
+// Delimiter dideteksi dari baris header (koma, titik koma dari Excel locale Indonesia, atau tab)
+function parseCsv(text) {
+  const headerLine = text.slice(0, text.search(/\r?\n|$/));
+  const delimiter = [',', ';', '\t'].reduce((best, candidate) =>
+    headerLine.split(candidate).length > headerLine.split(best).length ? candidate : best, ',');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error('CSV has an unterminated quoted field');
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(values => values.some(value => value.trim() !== ''));
+}
+
+// Body import -> array object per baris. Menerima CSV, JSON array / { "reports": [...] }, atau multipart field "file"
+async function readImportRows(request) {
+  const contentType = request.headers.get('content-type') || '';
+  let text;
+  let isJson;
+
+  if (contentType.includes('multipart/form-data')) {
+    const formData = await request.formData();
+    const file = formData.get('file');
+    if (!file || typeof file === 'string') {
+      throw new Error('Form field "file" is required');
+    }
+    text = await file.text();
+    isJson = /\.json$/i.test(file.name || '') || (file.type || '').includes('json');
+  } else {
+    text = await request.text();
+    isJson = contentType.includes('json');
+  }
+
+  text = text.replace(/^\uFEFF/, '');
+  if (isJson || /^\s*[[{]/.test(text)) {
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch (parseError) {
+      throw new Error('Request body must be valid JSON');
+    }
+    const rows = Array.isArray(parsed) ? parsed : parsed?.reports;
+    if (!Array.isArray(rows)) {
+      throw new Error('JSON body must be an array of reports or { "reports": [...] }');
+    }
+    return rows;
+  }
+
+  const [header, ...lines] = parseCsv(text);
+  if (!header) {
+    return [];
+  }
+  return lines.map(values => Object.fromEntries(header.map((name, index) => [name, values[index] ?? ''])));
+}
+
+// Header file import -> kolom reports (null jika kolom tidak dikenal dan diabaikan)
+function importColumnKey(name) {
+  const normalize = (value) => String(value).trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+  const key = normalize(name);
+  if (IMPORT_FIELDS.includes(key)) {
+    return key;
+  }
+  if (IMPORT_COLUMN_ALIASES[key]) {
+    return IMPORT_COLUMN_ALIASES[key];
+  }
+  const column = EXPORT_COLUMNS.find(column => normalize(column.label) === key);
+  return column && IMPORT_FIELDS.includes(column.key) ? column.key : null;
+}
+
+// Satu baris import -> { data, errors }; status/priority divalidasi terhadap CHECK constraint
+// dan tanggal dinormalisasi ke ISO agar timestamp asli tersimpan apa adanya
+function parseImportRow(raw) {
+  const data = {};
+  const errors = [];
+
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { data, errors: ['Row must be an object'] };
+  }
+
+  for (const [name, value] of Object.entries(raw)) {
+    const key = importColumnKey(name);
+    if (!key || value === null || value === undefined || typeof value === 'object') continue;
+    // Prefix ' dari export CSV (proteksi formula) dibuang lagi
+    const text = String(value).trim().replace(/^'(?=[=+\-@])/, '');
+    if (text !== '') {
+      data[key] = text;
+    }
+  }
+
+  if (!data.server_name) {
+    errors.push('server_name is required');
+  }
+
+  for (const [field, allowed] of [['status', REPORT_STATUSES], ['priority', REPORT_PRIORITIES]]) {
+    if (!data[field]) {
+      errors.push(`${field} is required`);
+      continue;
+    }
+    data[field] = data[field].toLowerCase().replace(/[\s_]+/g, '-');
+    if (!allowed.includes(data[field])) {
+      errors.push(`${field} must be one of: ${allowed.join(', ')} (got "${data[field]}")`);
+    }
+  }
+
+  const invalidDates = [];
+  for (const field of ['created_at', 'updated_at', 'acknowledged_at', 'resolved_at', 'closed_at']) {
+    if (!data[field]) continue;
+    const date = parseDateParam(data[field]);
+    if (!date) {
+      errors.push(`${field} must be a date (YYYY-MM-DD) or ISO timestamp`);
+      invalidDates.push(field);
+    } else {
+      data[field] = `${date.replace(' ', 'T')}Z`;
+    }
+  }
+  // Dibandingkan per detik: CURRENT_TIMESTAMP di D1 tidak menyimpan milidetik
+  if (data.created_at && !invalidDates.includes('created_at')) {
+    for (const field of ['updated_at', 'acknowledged_at', 'resolved_at', 'closed_at']) {
+      if (data[field] && !invalidDates.includes(field) && data[field].slice(0, 19) < data.created_at.slice(0, 19)) {
+        errors.push(`${field} cannot be before created_at`);
+      }
+    }
+  }
+
+  if (data.occurrence_count !== undefined) {
+    const count = Number(data.occurrence_count);
+    if (!Number.isInteger(count) || count < 1) {
+      errors.push('occurrence_count must be a positive integer');
+    } else {
+      data.occurrence_count = count;
+    }
+  }
+
+  if (data.external_id && data.external_id.length > 200) {
+    errors.push('external_id must be at most 200 characters');
+  }
+
+  return { data, errors };
+}
+
+// Statement D1 untuk satu baris import (create atau update report yang cocok per external_id)
+// Saat update, updated_at di-set dengan statement terpisah setelah trigger update_reports_timestamp berjalan
+async function buildImportStatements(db, entry, actor, now) {
+  const { data } = entry;
+
+  // Tanpa closed_at, report completed dianggap closed saat resolved
+  const closedAt = data.closed_at || (data.status === 'completed' ? data.resolved_at : null) || null;
+
+  if (entry.action === 'update') {
+    const id = entry.existing.id;
+    const statements = [
+      db.prepare(`
+        UPDATE reports SET
+          server_id = CASE WHEN server_name = ? THEN server_id ELSE (SELECT id FROM servers WHERE name_key = ?) END,
+          server_name = ?, status = ?, priority = ?,
+          ip_address = COALESCE(?, ip_address),
+          ip_number = CASE WHEN ? IS NULL THEN ip_number ELSE ? END,
+          description = COALESCE(?, description),
+          platform = COALESCE(?, platform),
+          assigned_to = COALESCE(?, assigned_to),
+          notes = COALESCE(?, notes),
+          occurrence_count = COALESCE(?, occurrence_count),
+          created_at = COALESCE(?, created_at),
+          acknowledged_at = COALESCE(?, acknowledged_at),
+          resolved_at = COALESCE(?, resolved_at),
+          closed_at = COALESCE(?, closed_at)
+        WHERE id = ?
+      `).bind(
+        data.server_name, serverNameKey(data.server_name),
+        data.server_name, data.status, data.priority,
+        data.ip_address ?? null, data.ip_address ?? null, ipToNumber(data.ip_address),
+        data.description ?? null, data.platform ?? null,
+        data.assigned_to ?? null, data.notes ?? null, data.occurrence_count ?? null,
+        data.created_at ?? null, data.acknowledged_at ?? null, data.resolved_at ?? null, closedAt,
+        id
+      )
+    ];
+    if (data.updated_at) {
+      statements.push(db.prepare(`UPDATE reports SET updated_at = ? WHERE id = ?`).bind(data.updated_at, id));
+    }
+    statements.push(buildEventStatement(db, id, 'reimported', actor, 'external_id', null, data.external_id));
+    return statements;
+  }
+
+  const id = `rep_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  const createdAt = data.created_at || now;
+  const updatedAt = data.updated_at ||
+    [closedAt, data.resolved_at, data.acknowledged_at, createdAt].filter(Boolean).sort().pop();
+
+  return [
+    db.prepare(`
+      INSERT INTO reports (
+        id, report_id, external_id, server_name, ip_address, description,
+        status, priority, platform, created_by, assigned_to, notes, source, fingerprint,
+        occurrence_count, timestamp, created_at, updated_at, acknowledged_at, resolved_at, closed_at, last_seen_at, ip_number,
+        server_id
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, (SELECT id FROM servers WHERE name_key = ?))
+    `).bind(
+      id,
+      data.report_id,
+      data.external_id || null,
+      data.server_name,
+      data.ip_address || '',
+      data.description || '',
+      data.status,
+      data.priority,
+      data.platform || '',
+      data.created_by || actor,
+      data.assigned_to || null,
+      data.notes || null,
+      data.source || 'import',
+      await computeFingerprint(data),
+      data.occurrence_count || 1,
+      createdAt,
+      createdAt,
+      updatedAt,
+      data.acknowledged_at || null,
+      data.resolved_at || null,
+      closedAt,
+      createdAt,
+      ipToNumber(data.ip_address),
+      serverNameKey(data.server_name)
+    ),
+    buildEventStatement(db, id, 'imported', actor, 'external_id', null, data.external_id || null)
+  ];
+}
+
+// ============ API HANDLERS ============
+
+// 1. Health Check Endpoint
+async function handleHealthCheck(db) {
+  try {
+    // Test database connection
+    let dbTest;
+    try {
+      dbTest = await db.prepare('SELECT 1 as test').first();
+    } catch (dbError) {
+      console.error('Database connection error:', dbError);
+      dbTest = null;
+    }
+    
+    // Get system info
+    let stats = {
+      total_reports: 0,
+      active_issues: 0,
+      total_images: 0
+    };
+    
+    try {
+      const statsResult = await db.prepare(`
+        SELECT 
+          COUNT(*) as total_reports,
+          COUNT(CASE WHEN status IN ('on-progress', 'pending') THEN 1 END) as active_issues,
+          (SELECT COUNT(*) FROM images) as total_images
+        FROM reports
+      `).first();
+      
+      if (statsResult) {
+        stats = statsResult;
+      }
+    } catch (statsError) {
+      console.error('Stats query error:', statsError);
+    }
+
+    return jsonResponse({
+      success: true,
+      healthy: true,
+      status: 'operational',
+      database: dbTest ? 'connected' : 'disconnected',
+      timestamp: new Date().toISOString(),
+      system: {
+        reports: stats.total_reports || 0,
+        active_issues: stats.active_issues || 0,
+        images: stats.total_images || 0
+      },
+      version: '1.0.0',
+      environment: 'production'
+    });
+  } catch (error) {
+    console.error('Health check error:', error);
+    return jsonResponse({
+      success: false,
+      healthy: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    }, 503);
+  }
+}
+
+// 2. GET All Reports with filtering
+// Filter multi-value dipisah koma (status=pending,on-progress), pagination via cursor atau offset
+async function handleGetReports(request, db) {
+  try {
+    const url = new URL(request.url);
+    const params = url.searchParams;
+    
+    const limit = Math.min(parseInt(params.get('limit')) || 50, 200);
+    const offset = parseInt(params.get('offset')) || 0;
+    const cursor = params.get('cursor');
+    const sort = params.get('sort') || 'created_at';
+    const order = params.get('order') === 'asc' ? 'asc' : 'desc';
+    const sortExpression = REPORT_SORT_FIELDS[sort];
+    
+    // Filter yang sama dipakai untuk query data, query count dan count saved view
+    const { where, whereParams, filters, errors } = buildReportFilters(params);
+    
+    if (!sortExpression) {
+      errors.push(`sort must be one of: ${Object.keys(REPORT_SORT_FIELDS).join(', ')}`);
+    }
+    
+    let cursorValue = null;
+    if (cursor) {
+      cursorValue = decodeCursor(cursor);
+      if (!cursorValue || cursorValue.sort !== sort || cursorValue.order !== order) {
+        errors.push('cursor is invalid or does not match sort/order');
+      }
+    }
+    
+    if (errors.length > 0) {
+      return jsonResponse({
+        success: false,
+        error: 'Invalid filters',
+        errors,
+        message: errors.join('; ')
+      }, 400);
+    }
+    
+    // Cursor: lanjut setelah (nilai sort, id) baris terakhir halaman sebelumnya,
+    // sehingga report baru yang masuk tidak menggeser halaman berikutnya
+    const cursorWhere = cursorValue
+      ? ` AND (${sortExpression}, r.id) ${order === 'desc' ? '<' : '>'} (?, ?)`
+      : '';
+    const cursorParams = cursorValue ? [cursorValue.value, cursorValue.id] : [];
+    
+    const query = `
+      SELECT 
+        r.*,
+        ${sortExpression} as sort_value,
+        COALESCE((SELECT COUNT(*) FROM images WHERE report_id = r.id), 0) as image_count,
+        COALESCE((SELECT filename FROM images WHERE report_id = r.id ORDER BY created_at LIMIT 1), '') as preview_image
+      FROM reports r
+      ${where}${cursorWhere}
+      ORDER BY ${sortExpression} ${order}, r.id ${order} LIMIT ? OFFSET ?
+    `;
+    const queryParams = [...whereParams, ...cursorParams, limit + 1, cursor ? 0 : offset];
+    
+    let reports;
+    try {
+      const stmt = db.prepare(query);
+      reports = await stmt.bind(...queryParams).all();
+    } catch (queryError) {
+      console.error('Query error:', queryError);
+      reports = { results: [] };
+    }
+    
+    // Get total count for pagination
+    let total = { total: 0 };
+    try {
+      total = await db.prepare(`SELECT COUNT(*) as total FROM reports r ${where}`).bind(...whereParams).first();
+    } catch (countError) {
+      console.error('Count query error:', countError);
+    }
+    
+    const rows = reports.results || [];
+    const hasMore = rows.length > limit;
+    const page = rows.slice(0, limit);
+    const last = page[page.length - 1];
+    const slaPolicies = await getSlaPolicies(db);
+    
+    return jsonResponse({
+      success: true,
+      data: page.map(({ sort_value, ...report }) => applySla(report, slaPolicies)),
+      meta: {
+        total: total?.total || 0,
+        limit,
+        offset: cursor ? null : offset,
+        has_more: hasMore,
+        next_cursor: hasMore && last ? encodeCursor({ sort, order, value: last.sort_value, id: last.id }) : null
+      },
+      filters: {
+        ...filters,
+        sort,
+        order
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Get reports error:', error);
+    throw new Error(`Failed to get reports: ${error.message}`);
+  }
+}
+
+// 3. CREATE New Report
+async function handleCreateReport(request, env, ctx) {
+  try {
+    const db = env.DB;
+    let data;
+    try {
+      data = await request.json();
+    } catch (parseError) {
+      return jsonResponse({
+        success: false,
+        error: 'Invalid JSON',
+        message: 'Request body must be valid JSON'
+      }, 400);
+    }
+    
+    // server_id dari autocomplete harus ada di inventaris; server_name boleh kosong (diisi nama server)
+    if (data.server_id) {
+      const server = await db.prepare(`
+        SELECT id, name FROM servers WHERE id = ?
+      `).bind(String(data.server_id)).first();
+      if (!server) {
+        return jsonResponse({
+          success: false,
+          error: 'Unknown server',
+          message: `Server ${data.server_id} is not in the inventory`
+        }, 400);
+      }
+      data.server_name = data.server_name || server.name;
+    }
+    
+    // Validation
+    const requiredFields = ['server_name', 'status', 'priority'];
+    const missingFields = requiredFields.filter(field => !data[field]);
+    
+    if (missingFields.length > 0) {
+      return jsonResponse({
+        success: false,
+        error: 'Missing required fields',
+        missing: missingFields,
+        message: `Required: ${missingFields.join(', ')}`
+      }, 400);
+    }
+    
+    // Tag bebas + custom field yang didefinisikan admin
+    const tags = validateReportTags(data.tags);
+    const customFields = validateCustomFieldValues(data.custom_fields, await getCustomFields(db), true);
+    const errors = [...tags.errors, ...customFields.errors];
+    if (errors.length > 0) {
+      return jsonResponse({
+        success: false,
+        error: 'Invalid report',
+        errors,
+        message: errors.join('; ')
+      }, 400);
+    }
+    
+    const actor = resolveActor(request, data.created_by);
+    const createdReport = await createReport(db, {
+      ...data,
+      tags: tags.tags,
+      custom_fields: customFields.values
+    }, actor, ctx, getReportNumbering(env));
+    
+    return jsonResponse({
+      success: true,
+      message: createdReport.deduplicated
+        ? `Duplicate of open report ${createdReport.report_id}; recorded as occurrence #${createdReport.occurrence_count}`
+        : 'Report created successfully',
+      data: applySla(createdReport, await getSlaPolicies(db)),
+      report_id: createdReport.report_id,
+      id: createdReport.id,
+      deduplicated: createdReport.deduplicated === true,
+      timestamp: createdReport.last_seen_at || createdReport.created_at
+    }, createdReport.deduplicated ? 200 : 201);
+  } catch (error) {
+    console.error('Create report error:', error);
+    throw new Error(`Failed to create report: ${error.message}`);
+  }
+}
+
+// 4. GET Single Report (id, nomor report, atau nomor lama)
+async function handleGetReport(ref, env) {
+  try {
+    const db = env.DB;
+    // Get report details
+    let report;
+    let id;
+    try {
+      id = await resolveReportId(db, ref);
+      report = id && await db.prepare(`
+        SELECT * FROM reports WHERE id = ?
+      `).bind(id).first();
+    } catch (selectError) {
+      console.error('Select report error:', selectError);
+      report = null;
+    }
+    
+    if (!report) {
+      return jsonResponse({
+        success: false,
+        error: 'Report not found'
+      }, 404);
+    }
+    
+    // Get associated images (metadata saja, isi file lewat signed URL /api/images/:id?exp=&sig=)
+    let images = { results: [] };
+    try {
+      images = await db.prepare(`
+        SELECT id, filename, file_size, mime_type, link_version, created_at 
+        FROM images 
+        WHERE report_id = ?
+        ORDER BY created_at
+      `).bind(id).all();
+    } catch (imagesError) {
+      console.error('Get images error:', imagesError);
+    }
+    
+    let tags = { results: [] };
+    try {
+      tags = await db.prepare(`
+        SELECT tag FROM report_tags WHERE report_id = ? ORDER BY tag
+      `).bind(id).all();
+    } catch (tagsError) {
+      console.error('Get tags error:', tagsError);
+    }
+    
+    let customFields = {};
+    try {
+      customFields = await getReportFieldValues(db, id);
+    } catch (fieldsError) {
+      console.error('Get custom fields error:', fieldsError);
+    }
+    
+    let server = null;
+    if (report.server_id) {
+      try {
+        server = await db.prepare(`
+          SELECT * FROM servers WHERE id = ?
+        `).bind(report.server_id).first();
+      } catch (serverError) {
+        console.error('Get server error:', serverError);
+      }
+    }
+    
+    return jsonResponse({
+      success: true,
+      data: {
+        ...applySla(report, await getSlaPolicies(db)),
+        images: await Promise.all((images.results || []).map(async ({ link_version, ...image }) => ({
+          ...image,
+          url: await signImageUrl(env, { ...image, link_version }),
+          thumbnail_url: await signImageUrl(env, { ...image, link_version }, true)
+        }))),
+        tags: (tags.results || []).map(row => row.tag),
+        custom_fields: customFields,
+        server: server ? formatServer(server) : null
+      }
+    });
+  } catch (error) {
+    console.error('Get report error:', error);
+    throw new Error(`Failed to get report: ${error.message}`);
+  }
+}
+
+// 5. DELETE Report
+async function handleDeleteReport(ref, request, db, r2Bucket, ctx) {
+  try {
+    // id, nomor report, atau nomor lama (sama seperti GET /api/reports/:id)
+    const id = await resolveReportId(db, ref) || ref;
+    // Snapshot report untuk audit history sebelum dihapus
+    let report;
+    try {
+      report = await db.prepare(`
+        SELECT * FROM reports WHERE id = ?
+      `).bind(id).first();
+    } catch (selectError) {
+      console.error('Select report error:', selectError);
+      report = null;
+    }
+    
+    if (!report) {
+      return jsonResponse({
+        success: false,
+        error: 'Report not found'
+      }, 404);
+    }
+    
+    // Data terkait, report dan audit event dihapus / ditulis dalam satu batch (satu transaksi, sama seperti bulk delete)
+    // Object R2 evidence dihapus setelah batch berhasil
+    const evidenceKeys = await listEvidenceKeys(db, [id]);
+    const actor = resolveActor(request);
+    let results;
+    try {
+      results = await db.batch([
+        db.prepare(`DELETE FROM images WHERE report_id = ?`).bind(id),
+        db.prepare(`DELETE FROM report_comments WHERE report_id = ?`).bind(id),
+        db.prepare(`DELETE FROM report_tags WHERE report_id = ?`).bind(id),
+        db.prepare(`DELETE FROM report_field_values WHERE report_id = ?`).bind(id),
+        db.prepare(`DELETE FROM report_escalations WHERE report_id = ?`).bind(id),
+        // Report yang di-merge ke report ini dilepas agar merged_into tidak menunjuk ke id yang hilang
+        db.prepare(`UPDATE reports SET merged_into = NULL WHERE merged_into = ?`).bind(id),
+        db.prepare(`DELETE FROM reports WHERE id = ?`).bind(id),
+        buildEventStatement(db, id, 'deleted', actor, null, JSON.stringify(report), null)
+      ]);
+    } catch (deleteError) {
+      console.error('Delete report error:', deleteError);
+      throw new Error('Failed to delete report');
+    }
+    const deleted = results[6].meta.changes; // DELETE FROM reports
+    
+    ctx.waitUntil(deleteEvidenceObjects(r2Bucket, evidenceKeys));
+    
+    // Notify webhook subscribers (async)
+    ctx.waitUntil(emitWebhookEvent(db, 'report.deleted', { report, actor }));
+    
+    return jsonResponse({
+      success: true,
+      message: 'Report deleted successfully',
+      deleted
+    });
+  } catch (error) {
+    console.error('Delete report error:', error);
+    throw new Error(`Failed to delete report: ${error.message}`);
+  }
+}
+
+// 6. SEARCH Reports
+async function handleSearchReports(request, db) {
+  try {
+    const url = new URL(request.url);
+    const query = url.searchParams.get('q');
+    const limit = Math.min(parseInt(url.searchParams.get('limit')) || 20, 100);
+    const offset = parseInt(url.searchParams.get('offset')) || 0;
+    
+    if (!query || query.trim().length < 2) {
+      return jsonResponse({
+        success: false,
+        error: 'Search query must be at least 2 characters'
+      }, 400);
+    }
+    
+    const parsed = parseSearchQuery(query);
+    
+    if (!parsed.match && parsed.filters.length === 0) {
+      return jsonResponse({
+        success: false,
+        error: 'Search query has no searchable terms'
+      }, 400);
+    }
+    
+    // Tanpa kata kunci full-text (hanya qualifier seperti priority:critical) -> urut terbaru
+    const from = parsed.match
+      ? `FROM reports_fts JOIN reports r ON r.rowid = reports_fts.rowid WHERE reports_fts MATCH ?`
+      : `FROM reports r WHERE 1=1`;
+    // Report yang sudah di-merge tidak ikut kecuali ?include_merged=true
+    const where = parsed.filters.map(filter => ` AND ${filter.sql}`).join('') +
+      (url.searchParams.get('include_merged') === 'true' ? '' : ' AND r.merged_into IS NULL');
+    const whereParams = [...(parsed.match ? [parsed.match] : []), ...parsed.filters.map(filter => filter.value)];
+    
+    let results;
+    let total = { total: 0 };
+    try {
+      results = await db.prepare(`
+        SELECT 
+          r.id, r.report_id, r.server_name, r.ip_address, r.platform,
+          r.description, r.status, r.priority, r.assigned_to, r.timestamp, r.created_at,
+          ${parsed.match ? `
+          bm25(reports_fts, ${SEARCH_RANK_WEIGHTS.join(', ')}) as rank,
+          highlight(reports_fts, 1, '<mark>', '</mark>') as server_name_highlight,
+          snippet(reports_fts, -1, '<mark>', '</mark>', '…', 16) as snippet
+          ` : `
+          0 as rank, r.server_name as server_name_highlight, substr(r.description, 1, 120) as snippet
+          `}
+        ${from}${where}
+        ORDER BY ${parsed.match ? 'rank, r.created_at DESC' : 'r.created_at DESC'}
+        LIMIT ? OFFSET ?
+      `).bind(...whereParams, limit, offset).all();
+      
+      total = await db.prepare(`SELECT COUNT(*) as total ${from}${where}`).bind(...whereParams).first();
+    } catch (searchError) {
+      console.error('Search error:', searchError);
+      return jsonResponse({
+        success: false,
+        error: 'Invalid search query',
+        message: searchError.message
+      }, 400);
+    }
+    
+    return jsonResponse({
+      success: true,
+      query: query,
+      match: parsed.match,
+      filters: Object.fromEntries(parsed.filters.map(filter => [filter.field, filter.value])),
+      results: results.results || [],
+      count: results.results?.length || 0,
+      meta: {
+        total: total?.total || 0,
+        limit,
+        offset,
+        has_more: (offset + limit) < (total?.total || 0)
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Search reports error:', error);
+    throw new Error(`Search failed: ${error.message}`);
+  }
+}
+
+// 7. GET System Statistics
+// ?tz= (default DEFAULT_TIMEZONE) untuk "hari ini" dan timeline; ?from= / ?to= membatasi semua angka ke rentang itu
+// ?bucket= (hour, day, week, month) untuk timeline (default: per hari, 7 hari terakhir)
+async function handleGetStats(request, db, defaultTimeZone) {
+  try {
+    const timeWindow = resolveTimeWindow(new URL(request.url).searchParams, defaultTimeZone);
+    const ranged = Boolean(timeWindow.from || timeWindow.to);
+    const now = new Date().toISOString().replace('T', ' ').replace('Z', '');
+    const range = {
+      from: timeWindow.from || (ranged ? '0000-01-01 00:00:00.000' : null),
+      to: timeWindow.to || now
+    };
+    // Timeline tanpa ?from: STATS_TIMELINE_DAYS hari terakhir sampai ?to, mulai tengah malam lokal
+    let timelineRange = range;
+    if (timeWindow.errors.length === 0) {
+      if (!timeWindow.from) {
+        const timelineStart = new Date(
+          Date.parse(getZonedDate(timeWindow.timeZone, parseDbDate(range.to))) - STATS_TIMELINE_DAYS * 86400000
+        );
+        timelineRange = {
+          from: parseZonedDateParam(timelineStart.toISOString().slice(0, 10), timeWindow.timeZone),
+          to: range.to
+        };
+      }
+      const bucketError = checkBucketCount({ ...timeWindow, ...timelineRange });
+      if (bucketError) timeWindow.errors.push(bucketError);
+    }
+    if (timeWindow.errors.length > 0) {
+      return jsonResponse({
+        success: false,
+        error: 'Invalid stats request',
+        errors: timeWindow.errors,
+        message: timeWindow.errors.join('; ')
+      }, 400);
+    }
+    
+    const rangeSql = ranged ? `AND ${SQL_CREATED_RANGE}` : '';
+    const rangeParams = ranged ? [range.from, range.to] : [];
+    // Image dihitung per waktu upload
+    const imageRangeSql = ranged ? `WHERE strftime('%Y-%m-%d %H:%M:%f', i.created_at) BETWEEN ? AND ?` : '';
+    const localTime = buildLocalTimeSql('r.created_at', timeWindow.timeZone, timeWindow.from, range.to);
+    
+    // Get comprehensive statistics
+    let stats = {
       total_reports: 0,
       on_progress: 0,
       completed: 0,
@@ -577,651 +3372,5292 @@ async function handleGetStats(db) {
       medium: 0,
       low: 0,
       total_images: 0,
-      active_days: 0
+      active_days: 0,
+      in_maintenance: 0
+    };
+    
+    // Report yang dibuat selama maintenance window tidak dihitung (hanya jumlahnya di in_maintenance)
+    try {
+      const statsResult = await db.prepare(`
+        SELECT 
+          COUNT(*) as total_reports,
+          COUNT(CASE WHEN status = 'on-progress' THEN 1 END) as on_progress,
+          COUNT(CASE WHEN status = 'completed' THEN 1 END) as completed,
+          COUNT(CASE WHEN status = 'pending' THEN 1 END) as pending,
+          COUNT(CASE WHEN status = 'cancelled' THEN 1 END) as cancelled,
+          COUNT(CASE WHEN priority = 'critical' THEN 1 END) as critical,
+          COUNT(CASE WHEN priority = 'high' THEN 1 END) as high,
+          COUNT(CASE WHEN priority = 'medium' THEN 1 END) as medium,
+          COUNT(CASE WHEN priority = 'low' THEN 1 END) as low,
+          (SELECT COUNT(*) FROM images i ${imageRangeSql}) as total_images,
+          COUNT(DISTINCT date(${localTime})) as active_days,
+          (SELECT COUNT(*) FROM reports r WHERE r.maintenance_id IS NOT NULL ${rangeSql}) as in_maintenance
+        FROM reports r
+        WHERE r.maintenance_id IS NULL ${rangeSql}
+      `).bind(...rangeParams, ...rangeParams, ...rangeParams).first();
+      
+      if (statsResult) {
+        stats = statsResult;
+      }
+    } catch (statsError) {
+      console.error('Stats query error:', statsError);
+    }
+    
+    // Get recent activity ("hari ini" menurut zona waktu tz, bukan UTC)
+    let recent = { reports_today: 0, unique_servers_today: 0 };
+    try {
+      const recentResult = await db.prepare(`
+        SELECT 
+          COUNT(*) as reports_today,
+          COUNT(DISTINCT server_name) as unique_servers_today
+        FROM reports r
+        WHERE ${SQL_CREATED_RANGE} AND maintenance_id IS NULL
+      `).bind(parseZonedDateParam('today', timeWindow.timeZone), now).first();
+      
+      if (recentResult) {
+        recent = recentResult;
+      }
+    } catch (recentError) {
+      console.error('Recent activity error:', recentError);
+    }
+    
+    // Get platform distribution
+    let platforms = { results: [] };
+    try {
+      platforms = await db.prepare(`
+        SELECT 
+          platform,
+          COUNT(*) as count
+        FROM reports r
+        WHERE platform IS NOT NULL AND platform != '' AND maintenance_id IS NULL ${rangeSql}
+        GROUP BY platform
+        ORDER BY count DESC
+      `).bind(...rangeParams).all();
+    } catch (platformsError) {
+      console.error('Platforms error:', platformsError);
+    }
+    
+    // Get status timeline (default: per hari, 7 hari terakhir)
+    let timeline = { results: [] };
+    try {
+      const bucket = buildBucketSql(
+        buildLocalTimeSql('r.created_at', timeWindow.timeZone, timelineRange.from, timelineRange.to),
+        timeWindow.bucket
+      );
+      timeline = await db.prepare(`
+        SELECT 
+          ${bucket} as date,
+          COUNT(*) as total,
+          COUNT(CASE WHEN status = 'completed' THEN 1 END) as completed
+        FROM reports r
+        WHERE ${SQL_CREATED_RANGE} AND maintenance_id IS NULL
+        GROUP BY ${bucket}
+        ORDER BY date
+      `).bind(timelineRange.from, timelineRange.to).all();
+    } catch (timelineError) {
+      console.error('Timeline error:', timelineError);
+    }
+    
+    // Get SLA compliance per priority
+    // Resolve dievaluasi untuk report completed atau yang sudah lewat target; acknowledge untuk yang sudah di-ack atau lewat target
+    let slaRows = { results: [] };
+    try {
+      slaRows = await db.prepare(`
+        SELECT 
+          r.priority,
+          COUNT(CASE WHEN r.status != 'pending' OR (${SQL_ACK_BREACHED}) THEN 1 END) as ack_evaluated,
+          COUNT(CASE WHEN ${SQL_ACK_BREACHED} THEN 1 END) as ack_breached,
+          COUNT(CASE WHEN r.status = 'completed' OR (${SQL_RESOLVE_BREACHED}) THEN 1 END) as resolve_evaluated,
+          COUNT(CASE WHEN ${SQL_RESOLVE_BREACHED} THEN 1 END) as resolve_breached
+        FROM reports r
+        JOIN sla_policies p ON p.priority = r.priority
+        WHERE r.status != 'cancelled' AND r.maintenance_id IS NULL ${rangeSql}
+        GROUP BY r.priority
+      `).bind(...rangeParams).all();
+    } catch (slaError) {
+      console.error('SLA compliance error:', slaError);
+    }
+    
+    const compliance = (evaluated, breached) => evaluated > 0
+      ? Math.round(((evaluated - breached) / evaluated) * 1000) / 10
+      : null;
+    
+    const sla = REPORT_PRIORITIES.map(priority => {
+      const row = (slaRows.results || []).find(r => r.priority === priority) || {};
+      return {
+        priority,
+        acknowledge: {
+          evaluated: row.ack_evaluated || 0,
+          breached: row.ack_breached || 0,
+          compliance_pct: compliance(row.ack_evaluated || 0, row.ack_breached || 0)
+        },
+        resolve: {
+          evaluated: row.resolve_evaluated || 0,
+          breached: row.resolve_breached || 0,
+          compliance_pct: compliance(row.resolve_evaluated || 0, row.resolve_breached || 0)
+        }
+      };
+    });
+    
+    return jsonResponse({
+      success: true,
+      data: {
+        overview: stats,
+        activity: recent,
+        platforms: platforms.results || [],
+        timeline: timeline.results || [],
+        sla,
+        timezone: timeWindow.timeZone,
+        bucket: timeWindow.bucket,
+        range: ranged ? { from: timeWindow.from && parseDbDate(timeWindow.from).toISOString(), to: parseDbDate(range.to).toISOString() } : null,
+        timestamp: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    console.error('Get stats error:', error);
+    throw new Error(`Failed to get stats: ${error.message}`);
+  }
+}
+
+// 8. GET Advanced Analytics
+// Rentang: ?from= / ?to= (tanggal di zona waktu ?tz, ISO atau relatif seperti -7d) atau ?days=N (default 30 hari terakhir)
+// ?bucket= (hour, day, week, month) untuk deret waktu, default per hari
+async function handleGetAnalytics(request, db, defaultTimeZone) {
+  try {
+    const url = new URL(request.url);
+    const days = parseInt(url.searchParams.get('days')) || 30;
+    const groupBy = url.searchParams.get('group_by');
+    
+    const timeWindow = resolveTimeWindow(url.searchParams, defaultTimeZone);
+    const to = timeWindow.to || new Date().toISOString().replace('T', ' ').replace('Z', '');
+    const range = {
+      from: timeWindow.from || new Date(parseDbDate(to).getTime() - days * 86400000).toISOString().replace('T', ' ').replace('Z', ''),
+      to
+    };
+    if (timeWindow.errors.length === 0 && range.from >= range.to) {
+      timeWindow.errors.push('to must be after from');
+    }
+    if (timeWindow.errors.length === 0) {
+      const bucketError = checkBucketCount({ ...timeWindow, ...range });
+      if (bucketError) timeWindow.errors.push(bucketError);
+    }
+    if (timeWindow.errors.length > 0) {
+      return jsonResponse({
+        success: false,
+        error: 'Invalid range',
+        errors: timeWindow.errors,
+        message: timeWindow.errors.join('; ')
+      }, 400);
+    }
+    const localTime = buildLocalTimeSql('r.created_at', timeWindow.timeZone, range.from, range.to);
+    const bucket = buildBucketSql(localTime, timeWindow.bucket);
+    
+    // group_by: platform, priority, status, source, assigned_to, server, tag atau cf.<key>
+    const grouping = groupBy ? buildAnalyticsGrouping(groupBy) : null;
+    if (groupBy && !grouping) {
+      return jsonResponse({
+        success: false,
+        error: 'Invalid group_by',
+        message: `group_by must be one of: ${[...ANALYTICS_GROUP_COLUMNS, 'server', 'tag'].join(', ')} or cf.<custom field key>`
+      }, 400);
+    }
+    if (grouping?.field) {
+      const field = await db.prepare(`
+        SELECT key FROM custom_fields WHERE key = ?
+      `).bind(grouping.field).first();
+      if (!field) {
+        return jsonResponse({
+          success: false,
+          error: 'Invalid group_by',
+          message: `Unknown custom field: ${grouping.field}`
+        }, 400);
+      }
+    }
+    
+    // Response time trends
+    let responseTimes = { results: [] };
+    try {
+      // Memakai acknowledged_at / resolved_at asli, bukan updated_at (berubah di setiap edit)
+      responseTimes = await db.prepare(`
+        SELECT 
+          ${bucket} as date,
+          ROUND(AVG((julianday(r.acknowledged_at) - julianday(r.created_at)) * 1440), 1) as avg_ack_minutes,
+          ROUND(AVG((julianday(r.resolved_at) - julianday(r.created_at)) * 1440), 1) as avg_response_minutes
+        FROM reports r
+        WHERE ${SQL_CREATED_RANGE} AND ${SQL_RELIABILITY_SCOPE}
+        GROUP BY ${bucket}
+        ORDER BY date
+      `).bind(range.from, range.to).all();
+    } catch (responseTimeError) {
+      console.error('Response times error:', responseTimeError);
+    }
+    
+    // Priority distribution over time
+    let priorityTrends = { results: [] };
+    try {
+      priorityTrends = await db.prepare(`
+        SELECT 
+          ${bucket} as date,
+          COUNT(CASE WHEN priority = 'critical' THEN 1 END) as critical,
+          COUNT(CASE WHEN priority = 'high' THEN 1 END) as high,
+          COUNT(CASE WHEN priority = 'medium' THEN 1 END) as medium,
+          COUNT(CASE WHEN priority = 'low' THEN 1 END) as low
+        FROM reports r
+        WHERE ${SQL_CREATED_RANGE} AND ${SQL_INCIDENT_SCOPE}
+        GROUP BY ${bucket}
+        ORDER BY date
+      `).bind(range.from, range.to).all();
+    } catch (priorityError) {
+      console.error('Priority trends error:', priorityError);
+    }
+    
+    // Server with most incidents (per server di inventaris; report yang belum ter-link per nama, case-insensitive)
+    let topServers = { results: [] };
+    try {
+      topServers = await db.prepare(`
+        SELECT 
+          COALESCE(s.name, MIN(r.server_name)) as server_name,
+          r.server_id,
+          s.environment,
+          s.criticality,
+          COUNT(*) as incident_count,
+          COUNT(CASE WHEN r.priority = 'critical' THEN 1 END) as critical_count
+        FROM reports r
+        LEFT JOIN servers s ON s.id = r.server_id
+        WHERE ${SQL_CREATED_RANGE} AND ${SQL_INCIDENT_SCOPE}
+        GROUP BY COALESCE(r.server_id, lower(trim(r.server_name)))
+        ORDER BY incident_count DESC
+        LIMIT 10
+      `).bind(range.from, range.to).all();
+    } catch (serversError) {
+      console.error('Top servers error:', serversError);
+    }
+    
+    // Hourly distribution
+    let hourlyDistribution = { results: [] };
+    try {
+      hourlyDistribution = await db.prepare(`
+        SELECT 
+          strftime('%H', ${localTime}) as hour,
+          COUNT(*) as count
+        FROM reports r
+        WHERE ${SQL_CREATED_RANGE} AND ${SQL_INCIDENT_SCOPE}
+        GROUP BY strftime('%H', ${localTime})
+        ORDER BY hour
+      `).bind(range.from, range.to).all();
+    } catch (hourlyError) {
+      console.error('Hourly distribution error:', hourlyError);
+    }
+    
+    // Incident per grup (report merged tidak dihitung)
+    let groups = { results: [] };
+    if (grouping) {
+      try {
+        groups = await db.prepare(`
+          SELECT 
+            ${grouping.expression} as value,
+            COUNT(*) as incident_count,
+            COUNT(CASE WHEN r.status IN ('pending', 'on-progress') THEN 1 END) as open_count,
+            COUNT(CASE WHEN r.priority = 'critical' THEN 1 END) as critical_count,
+            ROUND(AVG((julianday(r.resolved_at) - julianday(r.created_at)) * 1440), 1) as avg_resolution_minutes
+          FROM reports r
+          ${grouping.join}
+          WHERE ${SQL_CREATED_RANGE} AND r.merged_into IS NULL
+          GROUP BY value
+          ORDER BY incident_count DESC, value
+          LIMIT ?
+        `).bind(...grouping.joinParams, range.from, range.to, ANALYTICS_GROUP_LIMIT).all();
+      } catch (groupsError) {
+        console.error('Analytics groups error:', groupsError);
+      }
+    }
+    
+    // MTTA / MTTR dan persentil waktu resolusi: total, per dimensi, dan per minggu dibanding minggu sebelumnya
+    // Report cancelled, merged dan yang dibuat selama maintenance window tidak dihitung
+    let reliability = null;
+    try {
+      const [totals] = await getReliabilityMetrics(db, { join: '', joinParams: [], expression: `'all'` }, range);
+      reliability = {
+        overall: formatReliabilityRow(totals),
+        week_over_week: await getWeeklyReliability(db, range)
+      };
+      for (const [key, groupBy] of Object.entries(RELIABILITY_DIMENSIONS)) {
+        const rows = await getReliabilityMetrics(db, buildAnalyticsGrouping(groupBy), range);
+        reliability[`by_${key}`] = rows.map(row => ({ value: row.value, ...formatReliabilityRow(row) }));
+      }
+    } catch (reliabilityError) {
+      console.error('Reliability metrics error:', reliabilityError);
+    }
+    
+    return jsonResponse({
+      success: true,
+      data: {
+        response_times: responseTimes.results || [],
+        priority_trends: priorityTrends.results || [],
+        top_servers: topServers.results || [],
+        hourly_distribution: hourlyDistribution.results || [],
+        reliability,
+        ...(grouping ? { groups: { by: groupBy, data: groups.results || [] } } : {}),
+        range: { from: parseDbDate(range.from).toISOString(), to: parseDbDate(range.to).toISOString() },
+        timezone: timeWindow.timeZone,
+        bucket: timeWindow.bucket,
+        period_days: Math.round((parseDbDate(range.to) - parseDbDate(range.from)) / 86400000),
+        timestamp: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    console.error('Get analytics error:', error);
+    throw new Error(`Failed to get analytics: ${error.message}`);
+  }
+}
+
+// 9. UPLOAD Image - multipart (field "file") atau JSON dengan image_data base64 / data URL, disimpan di R2
+async function handleUploadImage(request, env) {
+  try {
+    const db = env.DB;
+    const contentType = request.headers.get('content-type') || '';
+    
+    if (!env.R2_BUCKET) {
+      return jsonResponse({
+        success: false,
+        error: 'R2 bucket not configured'
+      }, 501);
+    }
+    
+    // Tolak body yang jelas terlalu besar sebelum dibaca (base64 ~4/3 dari ukuran file)
+    const contentLength = parseInt(request.headers.get('content-length') || '0');
+    if (contentLength > Math.ceil(IMAGE_MAX_BYTES * 4 / 3) + 64 * 1024) {
+      return jsonResponse({
+        success: false,
+        error: 'Payload too large',
+        message: `Images must be at most ${IMAGE_MAX_BYTES / 1024 / 1024} MB`
+      }, 413);
+    }
+    
+    let reportId;
+    let filename;
+    let bytes;
+    let uploadedBy;
+    
+    if (contentType.includes('application/json')) {
+      let data;
+      try {
+        data = await request.json();
+      } catch (parseError) {
+        return jsonResponse({
+          success: false,
+          error: 'Invalid JSON'
+        }, 400);
+      }
+      
+      if (!data.report_id || !data.image_data || !data.filename) {
+        return jsonResponse({
+          success: false,
+          error: 'Missing required fields: report_id, image_data, filename'
+        }, 400);
+      }
+      
+      bytes = decodeBase64Image(data.image_data);
+      if (!bytes) {
+        return jsonResponse({
+          success: false,
+          error: 'Invalid image data',
+          message: 'image_data must be a base64 string or data URL'
+        }, 400);
+      }
+      reportId = data.report_id;
+      filename = String(data.filename);
+      uploadedBy = data.uploaded_by;
+      
+    } else if (contentType.includes('multipart/form-data')) {
+      let formData;
+      try {
+        formData = await request.formData();
+      } catch (parseError) {
+        return jsonResponse({
+          success: false,
+          error: 'Invalid multipart body'
+        }, 400);
+      }
+      
+      const file = formData.get('file');
+      reportId = formData.get('report_id');
+      
+      if (!reportId || !file || typeof file === 'string') {
+        return jsonResponse({
+          success: false,
+          error: 'Missing required fields: report_id, file'
+        }, 400);
+      }
+      
+      if (file.size > IMAGE_MAX_BYTES) {
+        return jsonResponse({
+          success: false,
+          error: 'Payload too large',
+          message: `Images must be at most ${IMAGE_MAX_BYTES / 1024 / 1024} MB`
+        }, 413);
+      }
+      
+      bytes = new Uint8Array(await file.arrayBuffer());
+      filename = file.name || 'image';
+      uploadedBy = formData.get('uploaded_by');
+    } else {
+      return jsonResponse({
+        success: false,
+        error: 'Unsupported content type. Use application/json or multipart/form-data'
+      }, 415);
+    }
+    
+    if (bytes.length === 0 || bytes.length > IMAGE_MAX_BYTES) {
+      return jsonResponse({
+        success: false,
+        error: bytes.length === 0 ? 'Empty file' : 'Payload too large',
+        message: `Images must be between 1 byte and ${IMAGE_MAX_BYTES / 1024 / 1024} MB`
+      }, bytes.length === 0 ? 400 : 413);
+    }
+    
+    // MIME type dari isi file; mime_type / Content-Type dari client tidak dipercaya
+    const mimeType = sniffImageType(bytes);
+    if (!mimeType) {
+      return jsonResponse({
+        success: false,
+        error: 'Unsupported image type',
+        message: `Allowed types: ${IMAGE_MIME_TYPES.join(', ')}`
+      }, 415);
+    }
+    
+    // Validate report exists
+    let report;
+    try {
+      report = await db.prepare(`
+        SELECT r.id, (SELECT COUNT(*) FROM images WHERE report_id = r.id) as image_count
+        FROM reports r WHERE r.id = ?
+      `).bind(reportId).first();
+    } catch (reportError) {
+      console.error('Report check error:', reportError);
+      report = null;
+    }
+    
+    if (!report) {
+      return jsonResponse({
+        success: false,
+        error: 'Report not found'
+      }, 404);
+    }
+    
+    if (report.image_count >= IMAGE_MAX_PER_REPORT) {
+      return jsonResponse({
+        success: false,
+        error: 'Too many images',
+        message: `A report can have at most ${IMAGE_MAX_PER_REPORT} images`
+      }, 409);
+    }
+    
+    const imageId = `img_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const stored = await storeEvidenceImage(env, { imageId, reportId, filename, bytes, mimeType });
+    
+    try {
+      await db.prepare(`
+        INSERT INTO images (id, report_id, filename, file_size, mime_type, r2_key, thumbnail_key, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `).bind(
+        imageId,
+        reportId,
+        filename,
+        bytes.length,
+        mimeType,
+        stored.r2_key,
+        stored.thumbnail_key,
+        new Date().toISOString()
+      ).run();
+    } catch (insertError) {
+      console.error('Insert image error:', insertError);
+      // Jangan tinggalkan object R2 tanpa metadata
+      await deleteEvidenceObjects(env.R2_BUCKET, [stored.r2_key, stored.thumbnail_key]);
+      throw new Error('Failed to save image');
+    }
+    
+    // Record audit event
+    await recordEvent(db, reportId, 'image_uploaded', resolveActor(request, uploadedBy), 'image', null, filename);
+    
+    return jsonResponse({
+      success: true,
+      id: imageId,
+      filename,
+      file_size: bytes.length,
+      mime_type: mimeType,
+      url: await signImageUrl(env, { id: imageId }),
+      thumbnail_url: await signImageUrl(env, { id: imageId }, true),
+      message: 'Image uploaded successfully'
+    });
+  } catch (error) {
+    console.error('Upload image error:', error);
+    throw new Error(`Upload failed: ${error.message}`);
+  }
+}
+
+// 10. GET Image / thumbnail - stream dari R2 dengan Range dan ETag (If-None-Match).
+// Butuh login / API key, atau signed URL yang masih berlaku
+async function handleGetImage(id, request, env, thumbnail = false) {
+  try {
+    const db = env.DB;
+    const r2Bucket = env.R2_BUCKET;
+    let image;
+    try {
+      image = await db.prepare(`
+        SELECT * FROM images WHERE id = ?
+      `).bind(id).first();
+    } catch (selectError) {
+      console.error('Select image error:', selectError);
+      image = null;
+    }
+    
+    // Request tanpa login: signature harus cocok (link_version ikut di-sign, jadi link yang di-revoke ditolak)
+    const identity = requestIdentities.get(request);
+    let cacheControl = 'private, max-age=86400';
+    if (identity && identity.signed_url) {
+      const params = new URL(request.url).searchParams;
+      if (!image || !(await verifyImageSignature(env, image, thumbnail, params))) {
+        return jsonResponse({
+          success: false,
+          error: 'Forbidden',
+          message: 'Image link is invalid, expired or revoked'
+        }, 403);
+      }
+      // Jangan di-cache lebih lama dari masa berlaku link
+      cacheControl = `private, max-age=${Math.min(86400, parseInt(params.get('exp')) - Math.floor(Date.now() / 1000))}`;
+    }
+    
+    if (!image) {
+      return jsonResponse({
+        success: false,
+        error: 'Image not found'
+      }, 404);
+    }
+    
+    // Thumbnail tidak dibuat untuk image kecil / format yang tidak bisa di-resize: pakai image asli
+    const key = (thumbnail && image.thumbnail_key) || image.r2_key || legacyImageKey(image);
+    
+    if (key) {
+      if (!r2Bucket) {
+        return jsonResponse({
+          success: false,
+          error: 'R2 bucket not configured'
+        }, 501);
+      }
+      return await serveR2Object(request, r2Bucket, key, image.filename, cacheControl);
+    }
+    
+    // Row lama yang belum dipindah ke R2 oleh migrasi
+    const bytes = image.image_data ? decodeBase64Image(image.image_data) : null;
+    if (!bytes) {
+      return jsonResponse({
+        success: false,
+        error: 'No image data available'
+      }, 404);
+    }
+    
+    return new Response(request.method === 'HEAD' ? null : bytes, {
+      headers: {
+        'Content-Type': image.mime_type || 'image/png',
+        'Content-Length': String(bytes.length),
+        'Content-Disposition': inlineDisposition(image.filename),
+        'Cache-Control': cacheControl
+      }
+    });
+  } catch (error) {
+    console.error('Get image error:', error);
+    throw new Error(`Failed to get image: ${error.message}`);
+  }
+}
+
+// 11. UPDATE Report (PATCH/PUT) with status transition rules
+async function handleUpdateReport(ref, request, db, ctx) {
+  try {
+    // id, nomor report, atau nomor lama (sama seperti GET /api/reports/:id)
+    const id = await resolveReportId(db, ref) || ref;
+    let data;
+    try {
+      data = await request.json();
+    } catch (parseError) {
+      return jsonResponse({
+        success: false,
+        error: 'Invalid JSON',
+        message: 'Request body must be valid JSON'
+      }, 400);
+    }
+
+    const fields = UPDATABLE_REPORT_FIELDS.filter(field => data[field] !== undefined);
+    const extras = UPDATABLE_REPORT_EXTRAS.filter(field => data[field] !== undefined);
+
+    if (fields.length === 0 && extras.length === 0) {
+      return jsonResponse({
+        success: false,
+        error: 'No updatable fields provided',
+        message: `Updatable: ${[...UPDATABLE_REPORT_FIELDS, ...UPDATABLE_REPORT_EXTRAS].join(', ')}`
+      }, 400);
+    }
+
+    // Field report harus string (atau null); object/array tidak di-String()-kan jadi "[object Object]"
+    const nonStringFields = fields.filter(field => data[field] !== null && typeof data[field] !== 'string');
+    if (nonStringFields.length > 0) {
+      return jsonResponse({
+        success: false,
+        error: 'Invalid field type',
+        message: `Must be a string or null: ${nonStringFields.join(', ')}`
+      }, 400);
+    }
+
+    // tags mengganti seluruh tag; custom_fields di-merge (null / '' menghapus nilai)
+    const tags = validateReportTags(data.tags);
+    const customFields = validateCustomFieldValues(data.custom_fields, data.custom_fields !== undefined ? await getCustomFields(db) : []);
+    const extraErrors = [...tags.errors, ...customFields.errors];
+    if (extraErrors.length > 0) {
+      return jsonResponse({
+        success: false,
+        error: 'Invalid report',
+        errors: extraErrors,
+        message: extraErrors.join('; ')
+      }, 400);
+    }
+
+    if (data.status !== undefined && !REPORT_STATUSES.includes(data.status)) {
+      return jsonResponse({
+        success: false,
+        error: 'Invalid status',
+        message: `Status must be one of: ${REPORT_STATUSES.join(', ')}`
+      }, 400);
+    }
+
+    if (data.priority !== undefined && !REPORT_PRIORITIES.includes(data.priority)) {
+      return jsonResponse({
+        success: false,
+        error: 'Invalid priority',
+        message: `Priority must be one of: ${REPORT_PRIORITIES.join(', ')}`
+      }, 400);
+    }
+
+    // server_id: null melepas link ke inventaris
+    if (data.server_id !== undefined && data.server_id !== null) {
+      const server = await db.prepare(`
+        SELECT id FROM servers WHERE id = ?
+      `).bind(String(data.server_id)).first();
+      if (!server) {
+        return jsonResponse({
+          success: false,
+          error: 'Unknown server',
+          message: `Server ${data.server_id} is not in the inventory`
+        }, 400);
+      }
+    }
+
+    // Get current report
+    let report;
+    try {
+      report = await db.prepare(`
+        SELECT * FROM reports WHERE id = ?
+      `).bind(id).first();
+    } catch (selectError) {
+      console.error('Select report error:', selectError);
+      report = null;
+    }
+
+    if (!report) {
+      return jsonResponse({
+        success: false,
+        error: 'Report not found'
+      }, 404);
+    }
+
+    // Enforce status state machine
+    if (data.status !== undefined && data.status !== report.status) {
+      const allowed = [...STATUS_TRANSITIONS[report.status] || []];
+      if (data.reopen === true) {
+        allowed.push(...(REOPEN_TRANSITIONS[report.status] || []));
+      }
+
+      if (!allowed.includes(data.status)) {
+        const reopenable = (REOPEN_TRANSITIONS[report.status] || []).includes(data.status);
+        return jsonResponse({
+          success: false,
+          error: 'Invalid status transition',
+          message: reopenable
+            ? `Report is ${report.status}; set "reopen": true to move it back to ${data.status}`
+            : `Cannot change status from ${report.status} to ${data.status}`,
+          from: report.status,
+          to: data.status,
+          allowed
+        }, 409);
+      }
+    }
+
+    // Update report (updated_at diisi oleh trigger update_reports_timestamp)
+    const values = fields.map(field => data[field] === null ? null : String(data[field]));
+    const actor = resolveActor(request, data.updated_by);
+
+    // acknowledged_at / resolved_at / closed_at ikut berubah saat status berubah
+    const lifecycle = data.status !== undefined && data.status !== report.status
+      ? getLifecycleChanges(report, data.status, new Date().toISOString())
+      : {};
+    const assignments = [...fields, ...Object.keys(lifecycle)].map(field => `${field} = ?`).join(', ');
+
+    // Satu event per field yang benar-benar berubah, ditulis dalam batch yang sama
+    const eventStatements = fields
+      .filter((field, index) => (report[field] ?? null) !== values[index])
+      .map(field => buildEventStatement(db, id, 'field_changed', actor, field, report[field] ?? null, data[field]));
+
+    // Tag dan custom field tidak mengubah updated_at report
+    const extraStatements = [];
+    const changedExtras = [];
+    let currentTags = [];
+    let currentFields = {};
+    if (data.tags !== undefined) {
+      currentTags = (await db.prepare(`
+        SELECT tag FROM report_tags WHERE report_id = ? ORDER BY tag
+      `).bind(id).all()).results.map(row => row.tag);
+      const nextTags = [...tags.tags].sort();
+      if (currentTags.join(',') !== nextTags.join(',')) {
+        extraStatements.push(
+          db.prepare(`DELETE FROM report_tags WHERE report_id = ?`).bind(id),
+          ...(nextTags.length > 0 ? [db.prepare(`
+            INSERT INTO report_tags (report_id, tag) SELECT ?, value FROM json_each(?)
+          `).bind(id, JSON.stringify(nextTags))] : []),
+          buildEventStatement(db, id, 'field_changed', actor, 'tags', currentTags.join(', '), nextTags.join(', '))
+        );
+        changedExtras.push('tags');
+      }
+    }
+    if (data.custom_fields !== undefined) {
+      currentFields = await getReportFieldValues(db, id);
+      const changedValues = Object.fromEntries(Object.entries(customFields.values).filter(([key, entry]) =>
+        (currentFields[key] === undefined ? null : String(currentFields[key])) !== (entry ? entry.value : null)));
+      extraStatements.push(
+        ...buildFieldValueStatements(db, id, changedValues),
+        ...Object.entries(changedValues).map(([key, entry]) =>
+          buildEventStatement(db, id, 'field_changed', actor, `cf.${key}`, currentFields[key] ?? null, entry ? entry.value : null))
+      );
+      changedExtras.push(...Object.keys(changedValues).map(key => `cf.${key}`));
+    }
+
+    try {
+      await db.batch([
+        ...(fields.length > 0 ? [db.prepare(`
+          UPDATE reports SET ${assignments} WHERE id = ?
+        `).bind(...values, ...Object.values(lifecycle), id)] : []),
+        ...eventStatements,
+        ...extraStatements
+      ]);
+    } catch (updateError) {
+      console.error('Update report error:', updateError);
+      throw new Error('Database update failed');
+    }
+
+    const updatedReport = await db.prepare(`
+      SELECT * FROM reports WHERE id = ?
+    `).bind(id).first();
+
+    // Notify webhook subscribers (async)
+    if (updatedReport.status !== report.status) {
+      ctx.waitUntil(emitStatusChange(db, report.status, updatedReport, actor));
+    }
+
+    return jsonResponse({
+      success: true,
+      message: 'Report updated successfully',
+      data: {
+        ...applySla(updatedReport, await getSlaPolicies(db)),
+        ...(data.tags !== undefined ? { tags: [...tags.tags].sort() } : {}),
+        ...(data.custom_fields !== undefined ? { custom_fields: await getReportFieldValues(db, id) } : {})
+      },
+      changed: [...fields.filter(field => report[field] !== updatedReport[field]), ...changedExtras]
+    });
+  } catch (error) {
+    console.error('Update report error:', error);
+    throw new Error(`Failed to update report: ${error.message}`);
+  }
+}
+
+// 12. GET Report History (audit timeline)
+async function handleGetReportHistory(ref, db) {
+  try {
+    // id, nomor report, atau nomor lama (sama seperti GET /api/reports/:id)
+    const id = await resolveReportId(db, ref) || ref;
+    let events = { results: [] };
+    try {
+      events = await db.prepare(`
+        SELECT id, report_id, event_type, field, old_value, new_value, actor, created_at
+        FROM report_events
+        WHERE report_id = ?
+        ORDER BY created_at, id
+      `).bind(id).all();
+    } catch (eventsError) {
+      console.error('Get history error:', eventsError);
+    }
+
+    const results = events.results || [];
+
+    if (results.length === 0) {
+      // Report tanpa event (mis. data lama) tetap valid selama report-nya ada
+      const report = await db.prepare(`
+        SELECT id FROM reports WHERE id = ?
+      `).bind(id).first();
+
+      if (!report) {
+        return jsonResponse({
+          success: false,
+          error: 'Report not found'
+        }, 404);
+      }
+    }
+
+    return jsonResponse({
+      success: true,
+      report_id: id,
+      data: results,
+      count: results.length
+    });
+  } catch (error) {
+    console.error('Get report history error:', error);
+    throw new Error(`Failed to get report history: ${error.message}`);
+  }
+}
+
+// 13. GET Report Comments
+async function handleGetComments(ref, request, db) {
+  try {
+    // id, nomor report, atau nomor lama (sama seperti GET /api/reports/:id)
+    const reportId = await resolveReportId(db, ref) || ref;
+    const url = new URL(request.url);
+    const visibility = url.searchParams.get('visibility'); // public | internal
+
+    const report = await db.prepare(`
+      SELECT id FROM reports WHERE id = ?
+    `).bind(reportId).first();
+
+    if (!report) {
+      return jsonResponse({
+        success: false,
+        error: 'Report not found'
+      }, 404);
+    }
+
+    let query = `
+      SELECT id, report_id, author, body, is_internal, created_at
+      FROM report_comments
+      WHERE report_id = ?
+    `;
+    const queryParams = [reportId];
+
+    // Work note internal tidak dikirim ke role di bawah INTERNAL_COMMENT_ROLE
+    const identity = requestIdentities.get(request);
+    if (identity && !hasRole(identity, INTERNAL_COMMENT_ROLE)) {
+      query += ` AND is_internal = 0`;
+    }
+
+    if (visibility === 'public' || visibility === 'internal') {
+      query += ` AND is_internal = ?`;
+      queryParams.push(visibility === 'internal' ? 1 : 0);
+    }
+
+    query += ` ORDER BY created_at, id`;
+
+    let comments = { results: [] };
+    try {
+      comments = await db.prepare(query).bind(...queryParams).all();
+    } catch (commentsError) {
+      console.error('Get comments error:', commentsError);
+    }
+
+    const results = (comments.results || []).map(comment => ({
+      ...comment,
+      is_internal: comment.is_internal === 1,
+      can_delete: canDeleteComment(request, comment)
+    }));
+
+    return jsonResponse({
+      success: true,
+      report_id: reportId,
+      data: results,
+      count: results.length
+    });
+  } catch (error) {
+    console.error('Get comments error:', error);
+    throw new Error(`Failed to get comments: ${error.message}`);
+  }
+}
+
+// 14. CREATE Report Comment
+async function handleCreateComment(ref, request, db) {
+  try {
+    // id, nomor report, atau nomor lama (sama seperti GET /api/reports/:id)
+    const reportId = await resolveReportId(db, ref) || ref;
+    let data;
+    try {
+      data = await request.json();
+    } catch (parseError) {
+      return jsonResponse({
+        success: false,
+        error: 'Invalid JSON',
+        message: 'Request body must be valid JSON'
+      }, 400);
+    }
+
+    if (!data.body || !String(data.body).trim()) {
+      return jsonResponse({
+        success: false,
+        error: 'Missing required fields',
+        missing: ['body'],
+        message: 'Required: body'
+      }, 400);
+    }
+
+    const report = await db.prepare(`
+      SELECT id FROM reports WHERE id = ?
+    `).bind(reportId).first();
+
+    if (!report) {
+      return jsonResponse({
+        success: false,
+        error: 'Report not found'
+      }, 404);
+    }
+
+    const id = `cmt_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const author = resolveActor(request, data.author);
+    const isInternal = data.is_internal === true ? 1 : 0;
+    const timestamp = new Date().toISOString();
+
+    try {
+      await db.batch([
+        db.prepare(`
+          INSERT INTO report_comments (id, report_id, author, body, is_internal, created_at)
+          VALUES (?, ?, ?, ?, ?, ?)
+        `).bind(id, reportId, author, String(data.body).trim(), isInternal, timestamp),
+        buildEventStatement(db, reportId, 'comment_added', author, 'comment', null, id)
+      ]);
+    } catch (insertError) {
+      console.error('Insert comment error:', insertError);
+      throw new Error('Database insertion failed');
+    }
+
+    return jsonResponse({
+      success: true,
+      message: 'Comment added successfully',
+      data: {
+        id,
+        report_id: reportId,
+        author,
+        body: String(data.body).trim(),
+        is_internal: isInternal === 1,
+        created_at: timestamp
+      }
+    }, 201);
+  } catch (error) {
+    console.error('Create comment error:', error);
+    throw new Error(`Failed to create comment: ${error.message}`);
+  }
+}
+
+// 15. DELETE Report Comment
+async function handleDeleteComment(ref, commentId, request, db) {
+  try {
+    // id, nomor report, atau nomor lama (sama seperti GET /api/reports/:id)
+    const reportId = await resolveReportId(db, ref) || ref;
+    const comment = await db.prepare(`
+      SELECT id, author, body FROM report_comments WHERE id = ? AND report_id = ?
+    `).bind(commentId, reportId).first();
+
+    if (!comment) {
+      return jsonResponse({
+        success: false,
+        error: 'Comment not found'
+      }, 404);
+    }
+
+    if (!canDeleteComment(request, comment)) {
+      return jsonResponse({
+        success: false,
+        error: 'Forbidden',
+        message: 'Only the author or an admin can delete this comment'
+      }, 403);
+    }
+
+    try {
+      await db.batch([
+        db.prepare(`
+          DELETE FROM report_comments WHERE id = ?
+        `).bind(commentId),
+        buildEventStatement(db, reportId, 'comment_deleted', resolveActor(request), 'comment', commentId, null)
+      ]);
+    } catch (deleteError) {
+      console.error('Delete comment error:', deleteError);
+      throw new Error('Failed to delete comment');
+    }
+
+    return jsonResponse({
+      success: true,
+      message: 'Comment deleted successfully',
+      deleted: 1
+    });
+  } catch (error) {
+    console.error('Delete comment error:', error);
+    throw new Error(`Failed to delete comment: ${error.message}`);
+  }
+}
+
+// 16. GET Workload per Assignee (open reports by priority)
+async function handleGetWorkload(db) {
+  try {
+    let workload = { results: [] };
+    try {
+      workload = await db.prepare(`
+        SELECT 
+          COALESCE(NULLIF(assigned_to, ''), 'unassigned') as assignee,
+          COUNT(*) as open_total,
+          COUNT(CASE WHEN status = 'on-progress' THEN 1 END) as on_progress,
+          COUNT(CASE WHEN status = 'pending' THEN 1 END) as pending,
+          COUNT(CASE WHEN priority = 'critical' THEN 1 END) as critical,
+          COUNT(CASE WHEN priority = 'high' THEN 1 END) as high,
+          COUNT(CASE WHEN priority = 'medium' THEN 1 END) as medium,
+          COUNT(CASE WHEN priority = 'low' THEN 1 END) as low,
+          MIN(created_at) as oldest_open
+        FROM reports
+        WHERE status IN ('on-progress', 'pending')
+        GROUP BY COALESCE(NULLIF(assigned_to, ''), 'unassigned')
+        ORDER BY critical DESC, high DESC, open_total DESC
+      `).all();
+    } catch (workloadError) {
+      console.error('Workload query error:', workloadError);
+    }
+
+    const results = workload.results || [];
+
+    return jsonResponse({
+      success: true,
+      data: results.filter(row => row.assignee !== 'unassigned'),
+      unassigned: results.find(row => row.assignee === 'unassigned') || null,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Get workload error:', error);
+    throw new Error(`Failed to get workload: ${error.message}`);
+  }
+}
+
+// 17. GET Users (admin)
+async function handleListUsers(db) {
+  try {
+    let users = { results: [] };
+    try {
+      users = await db.prepare(`
+        SELECT 
+          u.id, u.username, u.display_name, u.role, u.is_active, u.created_at, u.updated_at,
+          (SELECT COUNT(*) FROM api_tokens t WHERE t.user_id = u.id AND t.revoked_at IS NULL) as active_tokens
+        FROM users u
+        ORDER BY u.username
+      `).all();
+    } catch (usersError) {
+      console.error('List users error:', usersError);
+    }
+
+    return jsonResponse({
+      success: true,
+      data: (users.results || []).map(user => ({ ...user, is_active: user.is_active === 1 })),
+      count: users.results?.length || 0
+    });
+  } catch (error) {
+    console.error('List users error:', error);
+    throw new Error(`Failed to list users: ${error.message}`);
+  }
+}
+
+// 18. CREATE User (admin)
+async function handleCreateUser(request, db) {
+  try {
+    let data;
+    try {
+      data = await request.json();
+    } catch (parseError) {
+      return jsonResponse({
+        success: false,
+        error: 'Invalid JSON',
+        message: 'Request body must be valid JSON'
+      }, 400);
+    }
+
+    if (!data.username || !/^[a-zA-Z0-9._-]{2,64}$/.test(data.username)) {
+      return jsonResponse({
+        success: false,
+        error: 'Invalid username',
+        message: 'Username must be 2-64 characters: letters, numbers, dot, dash or underscore'
+      }, 400);
+    }
+
+    const role = data.role || 'viewer';
+    if (!USER_ROLES.includes(role)) {
+      return jsonResponse({
+        success: false,
+        error: 'Invalid role',
+        message: `Role must be one of: ${USER_ROLES.join(', ')}`
+      }, 400);
+    }
+
+    if (data.password !== undefined && String(data.password).length < MIN_PASSWORD_LENGTH) {
+      return jsonResponse({
+        success: false,
+        error: 'Invalid password',
+        message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`
+      }, 400);
+    }
+
+    const existing = await db.prepare(`
+      SELECT id FROM users WHERE username = ?
+    `).bind(data.username).first();
+
+    if (existing) {
+      return jsonResponse({
+        success: false,
+        error: 'Username already exists'
+      }, 409);
+    }
+
+    const id = `usr_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const timestamp = new Date().toISOString();
+
+    try {
+      await db.prepare(`
+        INSERT INTO users (id, username, display_name, role, password_hash, is_active, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, 1, ?, ?)
+      `).bind(
+        id,
+        data.username,
+        data.display_name || data.username,
+        role,
+        data.password !== undefined ? await hashPassword(String(data.password)) : null,
+        timestamp,
+        timestamp
+      ).run();
+    } catch (insertError) {
+      console.error('Insert user error:', insertError);
+      throw new Error('Database insertion failed');
+    }
+
+    return jsonResponse({
+      success: true,
+      message: 'User created successfully',
+      data: {
+        id,
+        username: data.username,
+        display_name: data.display_name || data.username,
+        role,
+        is_active: true,
+        created_at: timestamp
+      }
+    }, 201);
+  } catch (error) {
+    console.error('Create user error:', error);
+    throw new Error(`Failed to create user: ${error.message}`);
+  }
+}
+
+// 19. UPDATE User (admin) - role, display name, aktif/nonaktif
+async function handleUpdateUser(id, request, db) {
+  try {
+    let data;
+    try {
+      data = await request.json();
+    } catch (parseError) {
+      return jsonResponse({
+        success: false,
+        error: 'Invalid JSON',
+        message: 'Request body must be valid JSON'
+      }, 400);
+    }
+
+    if (data.role !== undefined && !USER_ROLES.includes(data.role)) {
+      return jsonResponse({
+        success: false,
+        error: 'Invalid role',
+        message: `Role must be one of: ${USER_ROLES.join(', ')}`
+      }, 400);
+    }
+
+    const updates = [];
+    const values = [];
+
+    if (data.role !== undefined) {
+      updates.push('role = ?');
+      values.push(data.role);
+    }
+    if (data.display_name !== undefined) {
+      updates.push('display_name = ?');
+      values.push(String(data.display_name));
+    }
+    if (data.is_active !== undefined) {
+      updates.push('is_active = ?');
+      values.push(data.is_active ? 1 : 0);
+    }
+    if (data.password !== undefined) {
+      if (String(data.password).length < MIN_PASSWORD_LENGTH) {
+        return jsonResponse({
+          success: false,
+          error: 'Invalid password',
+          message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`
+        }, 400);
+      }
+      updates.push('password_hash = ?');
+      values.push(await hashPassword(String(data.password)));
+    }
+
+    if (updates.length === 0) {
+      return jsonResponse({
+        success: false,
+        error: 'No updatable fields provided',
+        message: 'Updatable: role, display_name, is_active, password'
+      }, 400);
+    }
+
+    const result = await db.prepare(`
+      UPDATE users SET ${updates.join(', ')}, updated_at = ? WHERE id = ?
+    `).bind(...values, new Date().toISOString(), id).run();
+
+    if (result.meta.changes === 0) {
+      return jsonResponse({
+        success: false,
+        error: 'User not found'
+      }, 404);
+    }
+
+    // Password baru atau user dinonaktifkan: session lama tidak berlaku lagi
+    if (data.password !== undefined || data.is_active === false) {
+      await db.prepare(`
+        DELETE FROM sessions WHERE user_id = ?
+      `).bind(id).run();
+    }
+
+    const user = await db.prepare(`
+      SELECT id, username, display_name, role, is_active, created_at, updated_at FROM users WHERE id = ?
+    `).bind(id).first();
+
+    return jsonResponse({
+      success: true,
+      message: 'User updated successfully',
+      data: { ...user, is_active: user.is_active === 1 }
+    });
+  } catch (error) {
+    console.error('Update user error:', error);
+    throw new Error(`Failed to update user: ${error.message}`);
+  }
+}
+
+// 20. GET API Tokens of a User (admin) - tanpa hash
+async function handleListTokens(userId, db) {
+  try {
+    let tokens = { results: [] };
+    try {
+      tokens = await db.prepare(`
+        SELECT id, user_id, name, token_prefix, expires_at, last_used_at, revoked_at, created_at
+        FROM api_tokens
+        WHERE user_id = ?
+        ORDER BY created_at DESC
+      `).bind(userId).all();
+    } catch (tokensError) {
+      console.error('List tokens error:', tokensError);
+    }
+
+    return jsonResponse({
+      success: true,
+      data: tokens.results || [],
+      count: tokens.results?.length || 0
+    });
+  } catch (error) {
+    console.error('List tokens error:', error);
+    throw new Error(`Failed to list tokens: ${error.message}`);
+  }
+}
+
+// 21. ISSUE API Token (admin) - token plaintext hanya dikembalikan sekali
+async function handleIssueToken(userId, request, db) {
+  try {
+    let data = {};
+    try {
+      data = await request.json();
+    } catch (parseError) {
+      // Body opsional
+    }
+
+    const user = await db.prepare(`
+      SELECT id, username, is_active FROM users WHERE id = ?
+    `).bind(userId).first();
+
+    if (!user) {
+      return jsonResponse({
+        success: false,
+        error: 'User not found'
+      }, 404);
+    }
+
+    if (user.is_active !== 1) {
+      return jsonResponse({
+        success: false,
+        error: 'User is inactive'
+      }, 409);
+    }
+
+    const expiresInDays = parseInt(data.expires_in_days) || null;
+    const token = `itr_${generateToken()}`;
+    const id = `tok_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const timestamp = new Date().toISOString();
+    const expiresAt = expiresInDays
+      ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000).toISOString()
+      : null;
+
+    try {
+      await db.prepare(`
+        INSERT INTO api_tokens (id, user_id, name, token_hash, token_prefix, expires_at, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `).bind(id, userId, data.name || 'default', await sha256Hex(token), token.substring(0, 12), expiresAt, timestamp).run();
+    } catch (insertError) {
+      console.error('Insert token error:', insertError);
+      throw new Error('Database insertion failed');
+    }
+
+    return jsonResponse({
+      success: true,
+      message: 'Token issued. Store it now, it cannot be retrieved again.',
+      data: {
+        id,
+        user_id: userId,
+        name: data.name || 'default',
+        token,
+        token_prefix: token.substring(0, 12),
+        expires_at: expiresAt,
+        created_at: timestamp
+      }
+    }, 201);
+  } catch (error) {
+    console.error('Issue token error:', error);
+    throw new Error(`Failed to issue token: ${error.message}`);
+  }
+}
+
+// 22. REVOKE API Token (admin)
+async function handleRevokeToken(tokenId, db) {
+  try {
+    const result = await db.prepare(`
+      UPDATE api_tokens SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL
+    `).bind(new Date().toISOString(), tokenId).run();
+
+    if (result.meta.changes === 0) {
+      return jsonResponse({
+        success: false,
+        error: 'Token not found or already revoked'
+      }, 404);
+    }
+
+    return jsonResponse({
+      success: true,
+      message: 'Token revoked successfully',
+      revoked: tokenId
+    });
+  } catch (error) {
+    console.error('Revoke token error:', error);
+    throw new Error(`Failed to revoke token: ${error.message}`);
+  }
+}
+
+// 23. LOGIN (username/password -> session cookie)
+async function handleLogin(request, env) {
+  try {
+    const db = env.DB;
+    const secret = getSessionSecret(env);
+
+    if (!secret) {
+      return jsonResponse({
+        success: false,
+        error: 'Session login not configured',
+        message: 'Set SESSION_SECRET (or API_KEY) to enable dashboard login'
+      }, 501);
+    }
+
+    let data;
+    try {
+      data = await request.json();
+    } catch (parseError) {
+      return jsonResponse({
+        success: false,
+        error: 'Invalid JSON',
+        message: 'Request body must be valid JSON'
+      }, 400);
+    }
+
+    if (!data.username || !data.password) {
+      return jsonResponse({
+        success: false,
+        error: 'Missing required fields',
+        missing: ['username', 'password'].filter(field => !data[field]),
+        message: 'Required: username, password'
+      }, 400);
+    }
+
+    const user = await db.prepare(`
+      SELECT id, username, display_name, role, password_hash
+      FROM users
+      WHERE username = ? AND is_active = 1
+    `).bind(data.username).first();
+
+    if (!user || !(await verifyPassword(String(data.password), user.password_hash))) {
+      return jsonResponse({
+        success: false,
+        error: 'Invalid username or password'
+      }, 401);
+    }
+
+    const ttlHours = parseInt(env.SESSION_TTL_HOURS) || DEFAULT_SESSION_TTL_HOURS;
+    const sessionId = generateToken();
+    const expiresAt = new Date(Date.now() + ttlHours * 60 * 60 * 1000).toISOString();
+
+    // Bersihkan session user yang sudah expired sekalian
+    await db.batch([
+      db.prepare(`
+        DELETE FROM sessions WHERE user_id = ? AND expires_at <= ?
+      `).bind(user.id, new Date().toISOString()),
+      db.prepare(`
+        INSERT INTO sessions (id, user_id, expires_at, user_agent, created_at)
+        VALUES (?, ?, ?, ?, ?)
+      `).bind(sessionId, user.id, expiresAt, request.headers.get('user-agent') || '', new Date().toISOString())
+    ]);
+
+    const response = jsonResponse({
+      success: true,
+      message: 'Logged in successfully',
+      data: {
+        id: user.id,
+        username: user.username,
+        display_name: user.display_name,
+        role: user.role,
+        expires_at: expiresAt
+      }
+    });
+    response.headers.append('Set-Cookie', buildSessionCookie(`${sessionId}.${await hmacHex(secret, sessionId)}`, ttlHours * 60 * 60));
+    return response;
+  } catch (error) {
+    console.error('Login error:', error);
+    throw new Error(`Login failed: ${error.message}`);
+  }
+}
+
+// 24. LOGOUT (hapus session + cookie)
+async function handleLogout(request, env) {
+  try {
+    const session = await authenticateSession(request, env);
+
+    if (session) {
+      await env.DB.prepare(`
+        DELETE FROM sessions WHERE id = ?
+      `).bind(session.session_id).run();
+    }
+
+    const response = jsonResponse({
+      success: true,
+      message: 'Logged out successfully'
+    });
+    response.headers.append('Set-Cookie', buildSessionCookie('', 0));
+    return response;
+  } catch (error) {
+    console.error('Logout error:', error);
+    throw new Error(`Logout failed: ${error.message}`);
+  }
+}
+
+// 25. GET SLA Policies
+async function handleGetSlaPolicies(db) {
+  try {
+    const policies = await getSlaPolicies(db);
+
+    return jsonResponse({
+      success: true,
+      data: REPORT_PRIORITIES.map(priority => ({
+        priority,
+        acknowledge_minutes: policies[priority].acknowledge_minutes,
+        resolve_minutes: policies[priority].resolve_minutes
+      }))
+    });
+  } catch (error) {
+    console.error('Get SLA policies error:', error);
+    throw new Error(`Failed to get SLA policies: ${error.message}`);
+  }
+}
+
+// 26. UPDATE SLA Policy (admin)
+async function handleUpdateSlaPolicy(priority, request, db) {
+  try {
+    if (!REPORT_PRIORITIES.includes(priority)) {
+      return jsonResponse({
+        success: false,
+        error: 'Invalid priority',
+        message: `Priority must be one of: ${REPORT_PRIORITIES.join(', ')}`
+      }, 400);
+    }
+
+    let data;
+    try {
+      data = await request.json();
+    } catch (parseError) {
+      return jsonResponse({
+        success: false,
+        error: 'Invalid JSON',
+        message: 'Request body must be valid JSON'
+      }, 400);
+    }
+
+    const acknowledgeMinutes = parseInt(data.acknowledge_minutes);
+    const resolveMinutes = parseInt(data.resolve_minutes);
+
+    if (!(acknowledgeMinutes > 0) || !(resolveMinutes > 0) || acknowledgeMinutes > resolveMinutes) {
+      return jsonResponse({
+        success: false,
+        error: 'Invalid SLA policy',
+        message: 'acknowledge_minutes and resolve_minutes must be positive, and acknowledge_minutes <= resolve_minutes'
+      }, 400);
+    }
+
+    await db.prepare(`
+      INSERT OR REPLACE INTO sla_policies (priority, acknowledge_minutes, resolve_minutes, updated_at)
+      VALUES (?, ?, ?, ?)
+    `).bind(priority, acknowledgeMinutes, resolveMinutes, new Date().toISOString()).run();
+
+    return jsonResponse({
+      success: true,
+      message: 'SLA policy updated successfully',
+      data: {
+        priority,
+        acknowledge_minutes: acknowledgeMinutes,
+        resolve_minutes: resolveMinutes
+      }
+    });
+  } catch (error) {
+    console.error('Update SLA policy error:', error);
+    throw new Error(`Failed to update SLA policy: ${error.message}`);
+  }
+}
+
+// 27. GET SLA Breaches
+async function handleGetSlaBreaches(request, db) {
+  try {
+    const url = new URL(request.url);
+    const type = url.searchParams.get('type') || 'any'; // acknowledge | resolve | any
+    const includeResolved = url.searchParams.get('include_resolved') === 'true';
+    const limit = Math.min(parseInt(url.searchParams.get('limit')) || 100, 200);
+
+    const breachCondition = type === 'acknowledge' ? SQL_ACK_BREACHED
+                          : type === 'resolve' ? SQL_RESOLVE_BREACHED
+                          : `(${SQL_ACK_BREACHED} OR ${SQL_RESOLVE_BREACHED})`;
+
+    let breaches = { results: [] };
+    try {
+      breaches = await db.prepare(`
+        SELECT r.*
+        FROM reports r
+        JOIN sla_policies p ON p.priority = r.priority
+        WHERE r.status != 'cancelled' AND r.maintenance_id IS NULL
+          ${includeResolved ? '' : `AND r.status IN ('pending', 'on-progress')`}
+          AND ${breachCondition}
+        ORDER BY julianday(r.created_at) + p.resolve_minutes / 1440.0
+        LIMIT ?
+      `).bind(limit).all();
+    } catch (breachError) {
+      console.error('SLA breaches query error:', breachError);
+    }
+
+    const policies = await getSlaPolicies(db);
+    const results = (breaches.results || []).map(report => applySla(report, policies));
+
+    return jsonResponse({
+      success: true,
+      data: results,
+      count: results.length,
+      filters: {
+        type,
+        include_resolved: includeResolved
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Get SLA breaches error:', error);
+    throw new Error(`Failed to get SLA breaches: ${error.message}`);
+  }
+}
+
+// 28. GET Escalation Rules (admin)
+async function handleListEscalationRules(db) {
+  try {
+    let rules = { results: [] };
+    try {
+      rules = await db.prepare(`
+        SELECT * FROM escalation_rules ORDER BY status, after_minutes
+      `).all();
+    } catch (rulesError) {
+      console.error('List escalation rules error:', rulesError);
+    }
+
+    return jsonResponse({
+      success: true,
+      data: (rules.results || []).map(rule => ({ ...rule, is_active: rule.is_active === 1 })),
+      count: rules.results?.length || 0
+    });
+  } catch (error) {
+    console.error('List escalation rules error:', error);
+    throw new Error(`Failed to list escalation rules: ${error.message}`);
+  }
+}
+
+// 29. CREATE / UPDATE Escalation Rule (admin)
+async function handleSaveEscalationRule(id, request, db) {
+  try {
+    let data;
+    try {
+      data = await request.json();
+    } catch (parseError) {
+      return jsonResponse({
+        success: false,
+        error: 'Invalid JSON',
+        message: 'Request body must be valid JSON'
+      }, 400);
+    }
+
+    let existing = null;
+    if (id) {
+      existing = await db.prepare(`
+        SELECT * FROM escalation_rules WHERE id = ?
+      `).bind(id).first();
+
+      if (!existing) {
+        return jsonResponse({
+          success: false,
+          error: 'Escalation rule not found'
+        }, 404);
+      }
+    }
+
+    // PATCH: field yang tidak dikirim tetap memakai nilai lama
+    const rule = {
+      name: data.name ?? existing?.name,
+      status: data.status ?? existing?.status,
+      priority: data.priority !== undefined ? data.priority : (existing?.priority ?? null),
+      after_minutes: parseInt(data.after_minutes ?? existing?.after_minutes),
+      action: data.action ?? existing?.action,
+      assign_to: data.assign_to !== undefined ? data.assign_to : (existing?.assign_to ?? null),
+      is_active: data.is_active !== undefined ? (data.is_active ? 1 : 0) : (existing?.is_active ?? 1)
+    };
+
+    const errors = [];
+    if (!rule.name) errors.push('name is required');
+    if (!['pending', 'on-progress'].includes(rule.status)) errors.push('status must be pending or on-progress');
+    if (rule.priority !== null && !REPORT_PRIORITIES.includes(rule.priority)) errors.push(`priority must be one of: ${REPORT_PRIORITIES.join(', ')}`);
+    if (!(rule.after_minutes > 0)) errors.push('after_minutes must be a positive number');
+    if (!ESCALATION_ACTIONS.includes(rule.action)) errors.push(`action must be one of: ${ESCALATION_ACTIONS.join(', ')}`);
+    if (rule.action === 'reassign' && !rule.assign_to) errors.push('assign_to is required for reassign');
+
+    if (errors.length > 0) {
+      return jsonResponse({
+        success: false,
+        error: 'Invalid escalation rule',
+        errors,
+        message: errors.join('; ')
+      }, 400);
+    }
+
+    const ruleId = id || `esc_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+    // UPDATE (bukan REPLACE) agar riwayat report_escalations milik rule ini tidak ikut terhapus
+    if (existing) {
+      await db.prepare(`
+        UPDATE escalation_rules 
+        SET name = ?, status = ?, priority = ?, after_minutes = ?, action = ?, assign_to = ?, is_active = ?
+        WHERE id = ?
+      `).bind(
+        rule.name,
+        rule.status,
+        rule.priority,
+        rule.after_minutes,
+        rule.action,
+        rule.assign_to,
+        rule.is_active,
+        ruleId
+      ).run();
+    } else {
+      await db.prepare(`
+        INSERT INTO escalation_rules (id, name, status, priority, after_minutes, action, assign_to, is_active, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).bind(
+        ruleId,
+        rule.name,
+        rule.status,
+        rule.priority,
+        rule.after_minutes,
+        rule.action,
+        rule.assign_to,
+        rule.is_active,
+        new Date().toISOString()
+      ).run();
+    }
+
+    return jsonResponse({
+      success: true,
+      message: id ? 'Escalation rule updated successfully' : 'Escalation rule created successfully',
+      data: { id: ruleId, ...rule, is_active: rule.is_active === 1 }
+    }, id ? 200 : 201);
+  } catch (error) {
+    console.error('Save escalation rule error:', error);
+    throw new Error(`Failed to save escalation rule: ${error.message}`);
+  }
+}
+
+// 30. DELETE Escalation Rule (admin)
+async function handleDeleteEscalationRule(id, db) {
+  try {
+    const result = await db.prepare(`
+      DELETE FROM escalation_rules WHERE id = ?
+    `).bind(id).run();
+
+    if (result.meta.changes === 0) {
+      return jsonResponse({
+        success: false,
+        error: 'Escalation rule not found'
+      }, 404);
+    }
+
+    return jsonResponse({
+      success: true,
+      message: 'Escalation rule deleted successfully',
+      deleted: result.meta.changes
+    });
+  } catch (error) {
+    console.error('Delete escalation rule error:', error);
+    throw new Error(`Failed to delete escalation rule: ${error.message}`);
+  }
+}
+
+// 31. RUN Escalations manually (admin) - body opsional { "now": ISO string } untuk simulasi waktu
+async function handleRunEscalations(request, db) {
+  try {
+    let data = {};
+    try {
+      data = await request.json();
+    } catch (parseError) {
+      // Body opsional
+    }
+
+    const now = data.now ? new Date(data.now) : new Date();
+    if (isNaN(now.getTime())) {
+      return jsonResponse({
+        success: false,
+        error: 'Invalid "now" timestamp'
+      }, 400);
+    }
+
+    const actions = await runEscalations(db, now);
+    await updateSystemStats(db, now);
+
+    return jsonResponse({
+      success: true,
+      message: `Escalation run completed with ${actions.length} action(s)`,
+      data: actions,
+      run_at: now.toISOString()
+    });
+  } catch (error) {
+    console.error('Run escalations error:', error);
+    throw new Error(`Failed to run escalations: ${error.message}`);
+  }
+}
+
+// 32. GET Webhooks (admin) - secret tidak ditampilkan
+async function handleListWebhooks(db) {
+  try {
+    let webhooks = { results: [] };
+    try {
+      webhooks = await db.prepare(`
+        SELECT 
+          w.id, w.name, w.url, w.events, w.filters, w.is_active, w.created_at,
+          (SELECT COUNT(*) FROM webhook_deliveries d WHERE d.webhook_id = w.id AND d.status = 'failed') as failed_deliveries,
+          (SELECT MAX(delivered_at) FROM webhook_deliveries d WHERE d.webhook_id = w.id AND d.status = 'success') as last_success_at
+        FROM webhooks w
+        ORDER BY w.created_at DESC
+      `).all();
+    } catch (webhooksError) {
+      console.error('List webhooks error:', webhooksError);
+    }
+
+    return jsonResponse({
+      success: true,
+      data: (webhooks.results || []).map(formatWebhook),
+      count: webhooks.results?.length || 0
+    });
+  } catch (error) {
+    console.error('List webhooks error:', error);
+    throw new Error(`Failed to list webhooks: ${error.message}`);
+  }
+}
+
+// 33. CREATE / UPDATE Webhook (admin)
+async function handleSaveWebhook(id, request, db) {
+  try {
+    let data;
+    try {
+      data = await request.json();
+    } catch (parseError) {
+      return jsonResponse({
+        success: false,
+        error: 'Invalid JSON',
+        message: 'Request body must be valid JSON'
+      }, 400);
+    }
+
+    let existing = null;
+    if (id) {
+      existing = await db.prepare(`
+        SELECT * FROM webhooks WHERE id = ?
+      `).bind(id).first();
+
+      if (!existing) {
+        return jsonResponse({
+          success: false,
+          error: 'Webhook not found'
+        }, 404);
+      }
+    }
+
+    // PATCH: field yang tidak dikirim tetap memakai nilai lama
+    const webhook = {
+      name: data.name ?? existing?.name ?? null,
+      url: data.url ?? existing?.url,
+      events: data.events ?? (existing ? JSON.parse(existing.events) : null),
+      filters: data.filters ?? (existing ? JSON.parse(existing.filters || '{}') : {}),
+      is_active: data.is_active !== undefined ? (data.is_active ? 1 : 0) : (existing?.is_active ?? 1)
+    };
+
+    const errors = [];
+    try {
+      if (!['http:', 'https:'].includes(new URL(webhook.url).protocol)) {
+        errors.push('url must use http or https');
+      }
+    } catch (urlError) {
+      errors.push('url must be a valid URL');
+    }
+    if (!Array.isArray(webhook.events) || webhook.events.length === 0 ||
+        !webhook.events.every(event => event === '*' || WEBHOOK_EVENTS.includes(event))) {
+      errors.push(`events must be a non-empty array of: *, ${WEBHOOK_EVENTS.join(', ')}`);
+    }
+    if (typeof webhook.filters !== 'object' || webhook.filters === null || Array.isArray(webhook.filters) ||
+        !Object.keys(webhook.filters).every(key => WEBHOOK_FILTER_FIELDS.includes(key))) {
+      errors.push(`filters must be an object with keys: ${WEBHOOK_FILTER_FIELDS.join(', ')}`);
+    }
+
+    if (errors.length > 0) {
+      return jsonResponse({
+        success: false,
+        error: 'Invalid webhook',
+        errors,
+        message: errors.join('; ')
+      }, 400);
+    }
+
+    // Normalisasi filter: { priority: 'critical' } -> { priority: ['critical'] }
+    const filters = Object.fromEntries(
+      Object.entries(webhook.filters).map(([key, value]) => [key, [].concat(value).map(String)])
+    );
+    const secret = data.secret || existing?.secret || `whsec_${generateToken(24)}`;
+
+    if (existing) {
+      await db.prepare(`
+        UPDATE webhooks SET name = ?, url = ?, secret = ?, events = ?, filters = ?, is_active = ? WHERE id = ?
+      `).bind(webhook.name, webhook.url, secret, JSON.stringify(webhook.events), JSON.stringify(filters), webhook.is_active, id).run();
+    } else {
+      id = `whk_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+      await db.prepare(`
+        INSERT INTO webhooks (id, name, url, secret, events, filters, is_active, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `).bind(id, webhook.name, webhook.url, secret, JSON.stringify(webhook.events), JSON.stringify(filters), webhook.is_active, new Date().toISOString()).run();
+    }
+
+    return jsonResponse({
+      success: true,
+      message: existing ? 'Webhook updated successfully' : 'Webhook created successfully',
+      data: {
+        id,
+        name: webhook.name,
+        url: webhook.url,
+        events: webhook.events,
+        filters,
+        is_active: webhook.is_active === 1,
+        // Secret hanya dikembalikan saat dibuat atau diganti
+        ...(!existing || data.secret ? { secret } : {})
+      }
+    }, existing ? 200 : 201);
+  } catch (error) {
+    console.error('Save webhook error:', error);
+    throw new Error(`Failed to save webhook: ${error.message}`);
+  }
+}
+
+// 34. DELETE Webhook (admin)
+async function handleDeleteWebhook(id, db) {
+  try {
+    await db.prepare(`
+      DELETE FROM webhook_deliveries WHERE webhook_id = ?
+    `).bind(id).run();
+
+    const result = await db.prepare(`
+      DELETE FROM webhooks WHERE id = ?
+    `).bind(id).run();
+
+    if (result.meta.changes === 0) {
+      return jsonResponse({
+        success: false,
+        error: 'Webhook not found'
+      }, 404);
+    }
+
+    return jsonResponse({
+      success: true,
+      message: 'Webhook deleted successfully',
+      deleted: result.meta.changes
+    });
+  } catch (error) {
+    console.error('Delete webhook error:', error);
+    throw new Error(`Failed to delete webhook: ${error.message}`);
+  }
+}
+
+// 35. GET Webhook Delivery Log (admin)
+async function handleListWebhookDeliveries(webhookId, request, db) {
+  try {
+    const url = new URL(request.url);
+    const status = url.searchParams.get('status');
+    const limit = Math.min(parseInt(url.searchParams.get('limit')) || 50, 200);
+
+    let query = `
+      SELECT id, webhook_id, event, status, attempt_count, response_status, error, 
+             next_attempt_at, created_at, delivered_at
+      FROM webhook_deliveries
+      WHERE webhook_id = ?
+    `;
+    const queryParams = [webhookId];
+
+    if (status) {
+      query += ` AND status = ?`;
+      queryParams.push(status);
+    }
+
+    query += ` ORDER BY created_at DESC LIMIT ?`;
+    queryParams.push(limit);
+
+    let deliveries = { results: [] };
+    try {
+      deliveries = await db.prepare(query).bind(...queryParams).all();
+    } catch (deliveriesError) {
+      console.error('List deliveries error:', deliveriesError);
+    }
+
+    return jsonResponse({
+      success: true,
+      data: deliveries.results || [],
+      count: deliveries.results?.length || 0
+    });
+  } catch (error) {
+    console.error('List webhook deliveries error:', error);
+    throw new Error(`Failed to list webhook deliveries: ${error.message}`);
+  }
+}
+
+// 36. TEST Webhook (admin) - kirim event ping secara langsung
+async function handleTestWebhook(id, db) {
+  try {
+    const webhook = await db.prepare(`
+      SELECT * FROM webhooks WHERE id = ?
+    `).bind(id).first();
+
+    if (!webhook) {
+      return jsonResponse({
+        success: false,
+        error: 'Webhook not found'
+      }, 404);
+    }
+
+    const delivery = await createWebhookDelivery(db, webhook, 'ping', { message: 'Webhook test from IT Report System' });
+    const result = await deliverWebhook(db, webhook, delivery, new Date());
+
+    return jsonResponse({
+      success: result.status === 'success',
+      message: result.status === 'success' ? 'Test delivery succeeded' : 'Test delivery failed',
+      data: result
+    }, result.status === 'success' ? 200 : 502);
+  } catch (error) {
+    console.error('Test webhook error:', error);
+    throw new Error(`Failed to test webhook: ${error.message}`);
+  }
+}
+
+// 37. INGEST Alert dari tool monitoring (alertmanager, zabbix, grafana)
+// Alert firing membuat report baru, alert resolved menyelesaikan report yang masih terbuka
+async function handleIngestAlert(source, request, env, ctx) {
+  try {
+    const db = env.DB;
+    const parser = ALERT_PARSERS[source];
+    if (!parser) {
+      return jsonResponse({
+        success: false,
+        error: 'Unknown alert source',
+        message: `Source must be one of: ${Object.keys(ALERT_PARSERS).join(', ')}`
+      }, 404);
+    }
+
+    let payload;
+    try {
+      payload = await request.json();
+    } catch (parseError) {
+      return jsonResponse({
+        success: false,
+        error: 'Invalid JSON',
+        message: 'Request body must be valid JSON'
+      }, 400);
+    }
+
+    const alerts = parser(payload || {});
+    if (alerts.length === 0) {
+      return jsonResponse({
+        success: false,
+        error: 'Invalid payload',
+        message: `No alerts found in ${source} payload`
+      }, 400);
+    }
+
+    const actor = resolveActor(request, source);
+    const results = [];
+
+    for (const alert of alerts) {
+      if (alert.resolved) {
+        const openReport = await db.prepare(`
+          SELECT * FROM reports
+          WHERE source = ? AND source_ref = ? AND status IN ('pending', 'on-progress') AND merged_into IS NULL
+          ORDER BY created_at DESC
+          LIMIT 1
+        `).bind(source, alert.source_ref).first();
+
+        if (!openReport) {
+          results.push({ source_ref: alert.source_ref, action: 'ignored' });
+          continue;
+        }
+
+        const timestamp = new Date().toISOString();
+        const lifecycle = getLifecycleChanges(openReport, 'completed', timestamp);
+        const assignments = ['status', ...Object.keys(lifecycle)].map(field => `${field} = ?`).join(', ');
+
+        await db.batch([
+          db.prepare(`
+            UPDATE reports SET ${assignments} WHERE id = ?
+          `).bind('completed', ...Object.values(lifecycle), openReport.id),
+          buildEventStatement(db, openReport.id, 'field_changed', actor, 'status', openReport.status, 'completed')
+        ]);
+
+        const resolvedReport = { ...openReport, status: 'completed', ...lifecycle };
+        ctx.waitUntil(emitStatusChange(db, openReport.status, resolvedReport, actor));
+        results.push({ source_ref: alert.source_ref, action: 'resolved', id: openReport.id, report_id: openReport.report_id });
+      } else {
+        // Alert yang masih firing dikirim ulang -> dicatat sebagai occurrence report yang sama
+        const createdReport = await createReport(db, {
+          ...alert,
+          status: 'pending',
+          source,
+          dedup_key: `${source}:${alert.source_ref}`
+        }, actor, ctx, getReportNumbering(env), { registerServer: true });
+        results.push({
+          source_ref: alert.source_ref,
+          action: createdReport.deduplicated ? 'occurrence' : createdReport.suppressed === 1 ? 'suppressed' : 'created',
+          id: createdReport.id,
+          report_id: createdReport.report_id,
+          ...(createdReport.maintenance_id && !createdReport.deduplicated ? { maintenance_id: createdReport.maintenance_id } : {})
+        });
+      }
+    }
+
+    return jsonResponse({
+      success: true,
+      source,
+      data: results,
+      created: results.filter(result => result.action === 'created').length,
+      suppressed: results.filter(result => result.action === 'suppressed').length,
+      resolved: results.filter(result => result.action === 'resolved').length,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Ingest alert error:', error);
+    throw new Error(`Failed to ingest ${source} alert: ${error.message}`);
+  }
+}
+
+// 38. MERGE Report ke report lain (duplikat yang tidak terdeteksi otomatis)
+// Report sumber di-cancel dan occurrence-nya dipindah ke report tujuan
+async function handleMergeReport(ref, request, db) {
+  try {
+    // id, nomor report, atau nomor lama (sama seperti GET /api/reports/:id)
+    const id = await resolveReportId(db, ref) || ref;
+    let data;
+    try {
+      data = await request.json();
+    } catch (parseError) {
+      return jsonResponse({
+        success: false,
+        error: 'Invalid JSON',
+        message: 'Request body must be valid JSON'
+      }, 400);
+    }
+
+    if (!data.into) {
+      return jsonResponse({
+        success: false,
+        error: 'Missing required fields',
+        missing: ['into'],
+        message: 'Required: into (target report id or report number)'
+      }, 400);
+    }
+
+    const targetId = await resolveReportId(db, String(data.into));
+    const [report, target] = await Promise.all([
+      db.prepare(`SELECT * FROM reports WHERE id = ?`).bind(id).first(),
+      db.prepare(`SELECT * FROM reports WHERE id = ?`).bind(targetId).first()
+    ]);
+
+    if (!report || !target) {
+      return jsonResponse({
+        success: false,
+        error: 'Report not found',
+        message: !report ? `Report ${id} not found` : `Target report ${data.into} not found`
+      }, 404);
+    }
+
+    if (report.id === target.id || report.merged_into || target.merged_into) {
+      return jsonResponse({
+        success: false,
+        error: 'Invalid merge',
+        message: report.id === target.id
+          ? 'Cannot merge a report into itself'
+          : `Report ${report.merged_into ? report.report_id : target.report_id} is already merged into another report`
+      }, 409);
+    }
+
+    const actor = resolveActor(request, data.merged_by);
+    const timestamp = new Date().toISOString();
+    const lifecycle = getLifecycleChanges(report, 'cancelled', timestamp);
+    const assignments = ['status', 'merged_into', ...Object.keys(lifecycle)].map(field => `${field} = ?`).join(', ');
+    const lastSeen = [report.last_seen_at, target.last_seen_at, report.created_at]
+      .filter(Boolean)
+      .sort((a, b) => parseDbDate(b) - parseDbDate(a))[0];
+
+    await db.batch([
+      db.prepare(`
+        UPDATE reports SET ${assignments} WHERE id = ?
+      `).bind('cancelled', target.id, ...Object.values(lifecycle), report.id),
+      // Report yang sebelumnya sudah digabung ke report sumber ikut pindah
+      db.prepare(`
+        UPDATE reports SET merged_into = ? WHERE merged_into = ?
+      `).bind(target.id, report.id),
+      db.prepare(`
+        UPDATE reports SET occurrence_count = occurrence_count + ?, last_seen_at = ? WHERE id = ?
+      `).bind(report.occurrence_count || 1, lastSeen, target.id),
+      buildEventStatement(db, report.id, 'merged', actor, 'merged_into', report.status, target.report_id),
+      buildEventStatement(db, target.id, 'merged', actor, 'merged_from', null, report.report_id)
+    ]);
+
+    const mergedTarget = await db.prepare(`
+      SELECT * FROM reports WHERE id = ?
+    `).bind(target.id).first();
+
+    return jsonResponse({
+      success: true,
+      message: `Report ${report.report_id} merged into ${target.report_id}`,
+      data: mergedTarget,
+      merged: report.id
+    });
+  } catch (error) {
+    console.error('Merge report error:', error);
+    throw new Error(`Failed to merge report: ${error.message}`);
+  }
+}
+
+// 39. SPLIT Report yang sudah di-merge (batalkan merge)
+// Status dikembalikan ke status sebelum merge kecuali "status" dikirim
+async function handleSplitReport(ref, request, db) {
+  try {
+    // id, nomor report, atau nomor lama (sama seperti GET /api/reports/:id)
+    const id = await resolveReportId(db, ref) || ref;
+    let data = {};
+    try {
+      data = await request.json();
+    } catch (parseError) {
+      // Body opsional
+    }
+
+    const report = await db.prepare(`
+      SELECT * FROM reports WHERE id = ?
+    `).bind(id).first();
+
+    if (!report) {
+      return jsonResponse({
+        success: false,
+        error: 'Report not found'
+      }, 404);
+    }
+
+    if (!report.merged_into) {
+      return jsonResponse({
+        success: false,
+        error: 'Report is not merged',
+        message: `Report ${report.report_id} is not merged into another report`
+      }, 409);
+    }
+
+    // Status sebelum merge disimpan di old_value event merged terakhir
+    const mergeEvent = await db.prepare(`
+      SELECT old_value FROM report_events
+      WHERE report_id = ? AND event_type = 'merged' AND field = 'merged_into'
+      ORDER BY created_at DESC, id DESC
+      LIMIT 1
+    `).bind(id).first();
+    const status = data.status || mergeEvent?.old_value || 'pending';
+
+    if (!REPORT_STATUSES.includes(status)) {
+      return jsonResponse({
+        success: false,
+        error: 'Invalid status',
+        message: `Status must be one of: ${REPORT_STATUSES.join(', ')}`
+      }, 400);
+    }
+
+    const target = await db.prepare(`
+      SELECT id, report_id, occurrence_count FROM reports WHERE id = ?
+    `).bind(report.merged_into).first();
+
+    const actor = resolveActor(request, data.split_by);
+    const lifecycle = getLifecycleChanges(report, status, new Date().toISOString());
+    const assignments = ['status', 'merged_into', ...Object.keys(lifecycle)].map(field => `${field} = ?`).join(', ');
+    const statements = [
+      db.prepare(`
+        UPDATE reports SET ${assignments} WHERE id = ?
+      `).bind(status, null, ...Object.values(lifecycle), id),
+      buildEventStatement(db, id, 'split', actor, 'merged_into', target?.report_id || report.merged_into, null)
+    ];
+
+    if (target) {
+      statements.push(
+        db.prepare(`
+          UPDATE reports SET occurrence_count = MAX(1, occurrence_count - ?) WHERE id = ?
+        `).bind(report.occurrence_count || 1, target.id),
+        buildEventStatement(db, target.id, 'split', actor, 'merged_from', report.report_id, null)
+      );
+    }
+
+    await db.batch(statements);
+
+    const splitReport = await db.prepare(`
+      SELECT * FROM reports WHERE id = ?
+    `).bind(id).first();
+
+    return jsonResponse({
+      success: true,
+      message: `Report ${report.report_id} split from ${target?.report_id || report.merged_into}`,
+      data: splitReport
+    });
+  } catch (error) {
+    console.error('Split report error:', error);
+    throw new Error(`Failed to split report: ${error.message}`);
+  }
+}
+
+// 40. GET Saved Views - milik user + yang dibagikan ke tim
+async function handleListViews(request, db) {
+  try {
+    const url = new URL(request.url);
+    const owner = resolveActor(request, url.searchParams.get('owner'));
+    const withCounts = url.searchParams.get('with_counts') === 'true';
+    const dashboardOnly = url.searchParams.get('dashboard') === 'true';
+
+    let views = { results: [] };
+    try {
+      views = await db.prepare(`
+        SELECT * FROM saved_views
+        WHERE (owner = ? OR is_shared = 1) ${dashboardOnly ? 'AND show_on_dashboard = 1' : ''}
+        ORDER BY name COLLATE NOCASE
+      `).bind(owner).all();
+    } catch (viewsError) {
+      console.error('List views error:', viewsError);
+    }
+
+    const data = [];
+    for (const row of views.results || []) {
+      const view = formatSavedView(row, owner);
+      if (withCounts) {
+        view.count = await countViewReports(db, view.filters);
+      }
+      data.push(view);
+    }
+
+    return jsonResponse({
+      success: true,
+      data,
+      count: data.length
+    });
+  } catch (error) {
+    console.error('List views error:', error);
+    throw new Error(`Failed to list views: ${error.message}`);
+  }
+}
+
+// 41. GET Single Saved View + jumlah report yang cocok
+async function handleGetView(id, request, db) {
+  try {
+    const owner = resolveActor(request, new URL(request.url).searchParams.get('owner'));
+    const row = await db.prepare(`
+      SELECT * FROM saved_views WHERE id = ?
+    `).bind(id).first();
+
+    if (!row || (row.owner !== owner && !row.is_shared)) {
+      return jsonResponse({
+        success: false,
+        error: 'View not found'
+      }, 404);
+    }
+
+    const view = formatSavedView(row, owner);
+    view.count = await countViewReports(db, view.filters);
+
+    return jsonResponse({
+      success: true,
+      data: view
+    });
+  } catch (error) {
+    console.error('Get view error:', error);
+    throw new Error(`Failed to get view: ${error.message}`);
+  }
+}
+
+// 42. CREATE / UPDATE Saved View (hanya owner atau admin yang boleh mengubah)
+async function handleSaveView(id, request, db) {
+  try {
+    let data;
+    try {
+      data = await request.json();
+    } catch (parseError) {
+      return jsonResponse({
+        success: false,
+        error: 'Invalid JSON',
+        message: 'Request body must be valid JSON'
+      }, 400);
+    }
+
+    const actor = resolveActor(request, data.owner);
+    let existing = null;
+    if (id) {
+      existing = await db.prepare(`
+        SELECT * FROM saved_views WHERE id = ?
+      `).bind(id).first();
+
+      if (!existing) {
+        return jsonResponse({
+          success: false,
+          error: 'View not found'
+        }, 404);
+      }
+
+      if (!canManageView(request, existing, actor)) {
+        return jsonResponse({
+          success: false,
+          error: 'Forbidden',
+          message: 'Only the owner or an admin can change this view'
+        }, 403);
+      }
+    }
+
+    const filters = normalizeFilterParams(data.filters ?? (existing ? JSON.parse(existing.filters) : {}));
+
+    const view = {
+      name: (data.name ?? existing?.name ?? '').trim(),
+      is_shared: data.is_shared !== undefined ? (data.is_shared ? 1 : 0) : (existing?.is_shared ?? 0),
+      show_on_dashboard: data.show_on_dashboard !== undefined ? (data.show_on_dashboard ? 1 : 0) : (existing?.show_on_dashboard ?? 0)
+    };
+
+    const errors = [];
+    if (!view.name) {
+      errors.push('name is required');
+    }
+    const unknown = Object.keys(filters).filter(key => !SAVED_VIEW_PARAMS.includes(key) && !CUSTOM_FIELD_PARAM_PATTERN.test(key));
+    if (unknown.length > 0) {
+      errors.push(`unknown filters: ${unknown.join(', ')} (allowed: ${SAVED_VIEW_PARAMS.join(', ')}, cf.<key>)`);
+    }
+    errors.push(...buildReportFilters(new URLSearchParams(filters)).errors);
+    if (filters.sort && !REPORT_SORT_FIELDS[filters.sort]) {
+      errors.push(`sort must be one of: ${Object.keys(REPORT_SORT_FIELDS).join(', ')}`);
+    }
+
+    if (errors.length > 0) {
+      return jsonResponse({
+        success: false,
+        error: 'Invalid view',
+        errors,
+        message: errors.join('; ')
+      }, 400);
+    }
+
+    const timestamp = new Date().toISOString();
+    if (existing) {
+      await db.prepare(`
+        UPDATE saved_views SET name = ?, filters = ?, is_shared = ?, show_on_dashboard = ?, updated_at = ? WHERE id = ?
+      `).bind(view.name, JSON.stringify(filters), view.is_shared, view.show_on_dashboard, timestamp, id).run();
+    } else {
+      id = `view_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+      await db.prepare(`
+        INSERT INTO saved_views (id, name, owner, filters, is_shared, show_on_dashboard, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `).bind(id, view.name, actor, JSON.stringify(filters), view.is_shared, view.show_on_dashboard, timestamp, timestamp).run();
+    }
+
+    const saved = await db.prepare(`
+      SELECT * FROM saved_views WHERE id = ?
+    `).bind(id).first();
+
+    return jsonResponse({
+      success: true,
+      message: existing ? 'View updated successfully' : 'View created successfully',
+      data: formatSavedView(saved, actor)
+    }, existing ? 200 : 201);
+  } catch (error) {
+    console.error('Save view error:', error);
+    throw new Error(`Failed to save view: ${error.message}`);
+  }
+}
+
+// 43. DELETE Saved View (owner atau admin)
+async function handleDeleteView(id, request, db) {
+  try {
+    const actor = resolveActor(request, new URL(request.url).searchParams.get('owner'));
+    const view = await db.prepare(`
+      SELECT * FROM saved_views WHERE id = ?
+    `).bind(id).first();
+
+    if (!view) {
+      return jsonResponse({
+        success: false,
+        error: 'View not found'
+      }, 404);
+    }
+
+    if (!canManageView(request, view, actor)) {
+      return jsonResponse({
+        success: false,
+        error: 'Forbidden',
+        message: 'Only the owner or an admin can delete this view'
+      }, 403);
+    }
+
+    await db.prepare(`
+      DELETE FROM saved_views WHERE id = ?
+    `).bind(id).run();
+
+    return jsonResponse({
+      success: true,
+      message: 'View deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete view error:', error);
+    throw new Error(`Failed to delete view: ${error.message}`);
+  }
+}
+
+// 44. GET Export Reports (CSV / XLSX / PDF) dengan filter yang sama seperti GET /api/reports
+async function handleExportReports(request, db, r2Bucket, defaultTimeZone) {
+  try {
+    const url = new URL(request.url);
+    const params = url.searchParams;
+    const format = (params.get('format') || 'csv').toLowerCase();
+    const period = params.get('period');
+    const sort = params.get('sort') || 'created_at';
+    const order = params.get('order') === 'asc' ? 'asc' : 'desc';
+    const sortExpression = REPORT_SORT_FIELDS[sort];
+
+    const errors = [];
+    if (!EXPORT_FORMATS[format]) {
+      errors.push(`format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+    }
+    if (period && !EXPORT_PERIODS[period]) {
+      errors.push(`period must be one of: ${Object.keys(EXPORT_PERIODS).join(', ')}`);
+    }
+    if (!sortExpression) {
+      errors.push(`sort must be one of: ${Object.keys(REPORT_SORT_FIELDS).join(', ')}`);
+    }
+    if (params.get('tz') && !isValidTimeZone(params.get('tz'))) {
+      errors.push('tz must be an IANA time zone (e.g. Asia/Jakarta, Asia/Singapore, UTC)');
+    }
+
+    // Periode hanya mengisi created_from jika belum ditentukan sendiri
+    if (period && EXPORT_PERIODS[period] && !params.get('created_from')) {
+      params.set('created_from', EXPORT_PERIODS[period].from);
+    }
+
+    const { where, whereParams, filters, errors: filterErrors } = buildReportFilters(params);
+    errors.push(...filterErrors);
+
+    if (errors.length > 0) {
+      return jsonResponse({
+        success: false,
+        error: 'Invalid export request',
+        errors,
+        message: errors.join('; ')
+      }, 400);
+    }
+
+    const rows = await db.prepare(`
+      SELECT r.*
+      FROM reports r
+      ${where}
+      ORDER BY ${sortExpression} ${order}, r.id ${order} LIMIT ?
+    `).bind(...whereParams, EXPORT_MAX_ROWS + 1).all();
+
+    const results = rows.results || [];
+    const truncated = results.length > EXPORT_MAX_ROWS;
+    const slaPolicies = await getSlaPolicies(db);
+    const reports = results.slice(0, EXPORT_MAX_ROWS).map(report => applySla(report, slaPolicies));
+
+    const generatedAt = new Date();
+    const filename = `reports-${period ? `${period}-` : ''}${generatedAt.toISOString().slice(0, 10)}.${format}`;
+    let body;
+
+    if (format === 'csv') {
+      body = buildCsv(EXPORT_COLUMNS, reports);
+    } else if (format === 'xlsx') {
+      body = buildXlsx('Reports', EXPORT_COLUMNS, reports);
+    } else {
+      // Ringkasan diambil dari handler /api/stats supaya angka di PDF sama dengan dashboard (tz ikut diteruskan)
+      const statsUrl = new URL('/api/stats', url);
+      if (params.get('tz')) statsUrl.searchParams.set('tz', params.get('tz'));
+      const stats = (await (await handleGetStats(new Request(statsUrl), db, defaultTimeZone)).json()).data;
+
+      let images = { results: [] };
+      try {
+        images = await db.prepare(`
+          SELECT i.id, i.report_id, i.filename, i.mime_type, i.image_data, i.r2_key, i.thumbnail_key, r.report_id as report_number
+          FROM images i
+          JOIN reports r ON r.id = i.report_id
+          ${where}
+          ORDER BY ${sortExpression} ${order}, r.id ${order}, i.created_at
+          LIMIT ?
+        `).bind(...whereParams, EXPORT_PDF_MAX_IMAGES).all();
+      } catch (imagesError) {
+        console.error('Export images error:', imagesError);
+      }
+
+      body = await buildPdfReport({
+        title: `IT Reports - ${period ? EXPORT_PERIODS[period].title : 'Reports Export'}`,
+        generatedAt,
+        filters,
+        stats,
+        reports,
+        truncated,
+        // Thumbnail (PNG / JPEG) dipakai jika ada supaya ukuran PDF tetap kecil
+        images: await Promise.all((images.results || []).map(async image => ({
+          ...image,
+          bytes: await readEvidenceBytes(r2Bucket, image, true)
+        })))
+      });
+    }
+
+    return new Response(body, {
+      headers: {
+        'Content-Type': EXPORT_FORMATS[format].contentType,
+        'Content-Disposition': `attachment; filename="${filename}"`,
+        'Cache-Control': 'no-store',
+        'X-Export-Rows': String(reports.length),
+        'X-Export-Truncated': String(truncated)
+      }
+    });
+  } catch (error) {
+    console.error('Export reports error:', error);
+    throw new Error(`Failed to export reports: ${error.message}`);
+  }
+}
+
+// 45. POST Import Reports (CSV / JSON) - dry run kecuali ?dry_run=false
+async function handleImportReports(request, env) {
+  try {
+    const db = env.DB;
+    const params = new URL(request.url).searchParams;
+    const dryRun = params.get('dry_run') !== 'false';
+    const onExisting = params.get('on_existing') || 'skip';
+    const skipInvalid = params.get('skip_invalid') === 'true';
+
+    if (!['skip', 'update'].includes(onExisting)) {
+      return jsonResponse({
+        success: false,
+        error: 'Invalid on_existing',
+        message: 'on_existing must be one of: skip, update'
+      }, 400);
+    }
+
+    let rows;
+    try {
+      rows = await readImportRows(request);
+    } catch (parseError) {
+      return jsonResponse({
+        success: false,
+        error: 'Invalid import file',
+        message: parseError.message
+      }, 400);
+    }
+
+    if (rows.length === 0 || rows.length > IMPORT_MAX_ROWS) {
+      return jsonResponse({
+        success: false,
+        error: 'Invalid import file',
+        message: rows.length === 0 ? 'No rows to import' : `Import is limited to ${IMPORT_MAX_ROWS} rows per request`
+      }, 400);
+    }
+
+    const actor = resolveActor(request, params.get('created_by'));
+    const numbering = getReportNumbering(env);
+    const now = new Date().toISOString();
+    const entries = rows.map((raw, index) => ({ row: index + 1, ...parseImportRow(raw) }));
+
+    // Report yang sudah ada per external_id (re-import) dan nomor report yang sudah terpakai
+    const existing = await db.prepare(`
+      SELECT id, report_id, external_id FROM reports
+      WHERE external_id IN (SELECT value FROM json_each(?))
+         OR report_id IN (SELECT value FROM json_each(?))
+    `).bind(
+      JSON.stringify(entries.map(entry => entry.data.external_id).filter(Boolean)),
+      JSON.stringify(entries.map(entry => entry.data.report_id).filter(Boolean))
+    ).all();
+    const byExternalId = new Map();
+    const byNumber = new Map();
+    for (const report of existing.results || []) {
+      if (report.external_id) byExternalId.set(report.external_id, report);
+      byNumber.set(report.report_id, report);
+    }
+
+    const seenExternalIds = new Set();
+    const seenNumbers = new Set();
+    for (const entry of entries) {
+      const { data, errors } = entry;
+      entry.existing = data.external_id ? byExternalId.get(data.external_id) || null : null;
+
+      if (data.external_id) {
+        if (seenExternalIds.has(data.external_id)) {
+          errors.push(`external_id ${data.external_id} appears more than once in the file`);
+        }
+        seenExternalIds.add(data.external_id);
+      }
+      // Nomor report hanya dipakai untuk report baru; report yang di-update tetap memakai nomornya
+      if (data.report_id && !entry.existing) {
+        if (seenNumbers.has(data.report_id)) {
+          errors.push(`report_id ${data.report_id} appears more than once in the file`);
+        } else if (byNumber.has(data.report_id)) {
+          errors.push(`report_id ${data.report_id} is already used by another report`);
+        }
+        seenNumbers.add(data.report_id);
+      }
+
+      entry.action = errors.length > 0 ? 'error'
+        : entry.existing ? (onExisting === 'update' ? 'update' : 'skip')
+        : 'create';
+    }
+
+    const buildResult = () => {
+      const summary = { total: entries.length, create: 0, update: 0, skip: 0, error: 0 };
+      for (const entry of entries) summary[entry.action]++;
+      return {
+        summary,
+        rows: entries.map(entry => ({
+          row: entry.row,
+          action: entry.action,
+          external_id: entry.data.external_id || null,
+          report_id: entry.existing?.report_id || entry.data.report_id || null,
+          errors: entry.errors
+        }))
+      };
+    };
+
+    const invalidCount = entries.filter(entry => entry.action === 'error').length;
+    if (dryRun) {
+      return jsonResponse({
+        success: true,
+        dry_run: true,
+        valid: invalidCount === 0,
+        message: 'Dry run: nothing was imported. Send ?dry_run=false to commit.',
+        ...buildResult()
+      });
+    }
+    if (invalidCount > 0 && !skipInvalid) {
+      return jsonResponse({
+        success: false,
+        dry_run: false,
+        error: 'Import has invalid rows',
+        message: `${invalidCount} row(s) have errors; fix them or pass skip_invalid=true. Nothing was imported.`,
+        ...buildResult()
+      }, 400);
+    }
+
+    // Nomor report: nomor dari file menaikkan counter (MAX), sisanya dialokasikan per (scope, year) sekaligus
+    const bumps = new Map();
+    const allocations = new Map();
+    for (const entry of entries.filter(entry => entry.action === 'create')) {
+      const date = new Date(entry.data.created_at || now);
+      if (entry.data.report_id) {
+        const parsed = parseReportNumber(numbering, entry.data.report_id);
+        const key = parsed && `${parsed.scope}:${parsed.year}`;
+        if (parsed && (!bumps.has(key) || bumps.get(key).sequence < parsed.sequence)) {
+          bumps.set(key, parsed);
+        }
+      } else {
+        const scope = getReportNumberScope(numbering, entry.data, date);
+        const key = `${scope.scope}:${scope.year}`;
+        if (!allocations.has(key)) allocations.set(key, { ...scope, entries: [] });
+        allocations.get(key).entries.push(entry);
+      }
+    }
+
+    const counterStatements = [
+      ...[...bumps.values()].map(bump => db.prepare(`
+        INSERT INTO report_counters (scope, year, last_number) VALUES (?, ?, ?)
+        ON CONFLICT (scope, year) DO UPDATE SET last_number = MAX(last_number, excluded.last_number)
+      `).bind(bump.scope, bump.year, bump.sequence)),
+      ...[...allocations.values()].map(group => db.prepare(`
+        INSERT INTO report_counters (scope, year, last_number) VALUES (?, ?, ?)
+        ON CONFLICT (scope, year) DO UPDATE SET last_number = last_number + excluded.last_number
+        RETURNING last_number
+      `).bind(group.scope, group.year, group.entries.length))
+    ];
+    if (counterStatements.length > 0) {
+      const counterResults = (await db.batch(counterStatements)).slice(bumps.size);
+      [...allocations.values()].forEach((group, index) => {
+        const first = counterResults[index].results[0].last_number - group.entries.length + 1;
+        group.entries.forEach((entry, position) => {
+          entry.data.report_id = formatReportNumber(numbering, group.prefix, new Date(entry.data.created_at || now), first + position);
+        });
+      });
+    }
+
+    // Commit per IMPORT_BATCH_SIZE baris; batch yang gagal di-rollback D1 dan barisnya ditandai error
+    const work = entries.filter(entry => entry.action === 'create' || entry.action === 'update');
+    for (let start = 0; start < work.length; start += IMPORT_BATCH_SIZE) {
+      const chunk = work.slice(start, start + IMPORT_BATCH_SIZE);
+      const statements = [];
+      for (const entry of chunk) {
+        statements.push(...await buildImportStatements(db, entry, actor, now));
+      }
+      try {
+        await db.batch(statements);
+      } catch (batchError) {
+        console.error('Import batch error:', batchError);
+        for (const entry of chunk) {
+          entry.action = 'error';
+          entry.errors.push(`Batch ${Math.floor(start / IMPORT_BATCH_SIZE) + 1} failed: ${batchError.message}`);
+        }
+      }
+    }
+
+    const result = buildResult();
+    return jsonResponse({
+      success: true,
+      dry_run: false,
+      message: `Imported ${result.summary.create} new report(s), updated ${result.summary.update}, skipped ${result.summary.skip}`,
+      ...result
+    });
+  } catch (error) {
+    console.error('Import reports error:', error);
+    throw new Error(`Failed to import reports: ${error.message}`);
+  }
+}
+
+// 46. POST Bulk Action (set_status, set_priority, assign, tag, untag, delete) untuk daftar id atau filter
+// Semua perubahan yang valid ditulis dalam satu D1 batch (satu transaksi); hasil dikembalikan per report
+async function handleBulkReports(request, db, r2Bucket, ctx) {
+  try {
+    let data;
+    try {
+      data = await request.json();
+    } catch (parseError) {
+      return jsonResponse({
+        success: false,
+        error: 'Invalid JSON',
+        message: 'Request body must be valid JSON'
+      }, 400);
+    }
+
+    const { action } = data;
+    const errors = [];
+    let value = data.value;
+
+    if (!BULK_ACTIONS.includes(action)) {
+      errors.push(`action must be one of: ${BULK_ACTIONS.join(', ')}`);
+    } else if (action === 'set_status' && !REPORT_STATUSES.includes(value)) {
+      errors.push(`value must be one of: ${REPORT_STATUSES.join(', ')}`);
+    } else if (action === 'set_priority' && !REPORT_PRIORITIES.includes(value)) {
+      errors.push(`value must be one of: ${REPORT_PRIORITIES.join(', ')}`);
+    } else if (action === 'assign') {
+      // value kosong / null = lepas assignee
+      value = value === null || value === undefined || String(value).trim() === '' ? null : String(value).trim();
+    } else if (action === 'tag' || action === 'untag') {
+      const { tags, invalid } = normalizeTags(value);
+      if (tags.length === 0 && invalid.length === 0) {
+        errors.push('value must be a tag or a list of tags');
+      }
+      if (invalid.length > 0) {
+        errors.push(`tags must be at most ${MAX_TAG_LENGTH} characters: ${invalid.join(', ')}`);
+      }
+      value = tags;
+    }
+
+    // Target: daftar id / nomor report, atau filter yang sama dengan GET /api/reports
+    const ids = Array.isArray(data.ids) ? [...new Set(data.ids.map(String))] : [];
+    const hasFilter = data.filter !== undefined && data.filter !== null && data.filter !== '';
+    const filters = hasFilter ? normalizeFilterParams(data.filter) : {};
+    if ((ids.length > 0) === hasFilter) {
+      errors.push('Provide either ids or filter');
+    } else if (ids.length > BULK_MAX_ITEMS) {
+      errors.push(`At most ${BULK_MAX_ITEMS} reports per request`);
+    } else if (hasFilter) {
+      const unknown = Object.keys(filters).filter(key => !SAVED_VIEW_PARAMS.includes(key) && !CUSTOM_FIELD_PARAM_PATTERN.test(key));
+      if (unknown.length > 0) {
+        errors.push(`unknown filters: ${unknown.join(', ')} (allowed: ${SAVED_VIEW_PARAMS.join(', ')}, cf.<key>)`);
+      }
+      // Filter kosong akan mengenai semua report
+      if (Object.keys(filters).every(key => key === 'sort' || key === 'order')) {
+        errors.push('filter must contain at least one condition');
+      }
+      errors.push(...buildReportFilters(new URLSearchParams(filters)).errors);
+    }
+
+    if (errors.length > 0) {
+      return jsonResponse({
+        success: false,
+        error: 'Invalid bulk request',
+        errors,
+        message: errors.join('; ')
+      }, 400);
+    }
+
+    const identity = requestIdentities.get(request);
+    if (action === 'delete' && identity && !hasRole(identity, 'admin')) {
+      return jsonResponse({
+        success: false,
+        error: 'Forbidden',
+        message: 'Bulk delete requires the admin role'
+      }, 403);
+    }
+
+    let reports;
+    const results = [];
+    if (hasFilter) {
+      const { where, whereParams } = buildReportFilters(new URLSearchParams(filters));
+      const rows = await db.prepare(`
+        SELECT r.* FROM reports r ${where} ORDER BY r.created_at, r.id LIMIT ?
+      `).bind(...whereParams, BULK_MAX_ITEMS + 1).all();
+      reports = rows.results || [];
+
+      if (reports.length > BULK_MAX_ITEMS) {
+        return jsonResponse({
+          success: false,
+          error: 'Too many reports',
+          message: `Filter matches more than ${BULK_MAX_ITEMS} reports; narrow it down or send ids`
+        }, 400);
+      }
+    } else {
+      const rows = await db.prepare(`
+        SELECT * FROM reports
+        WHERE id IN (SELECT value FROM json_each(?)) OR report_id IN (SELECT value FROM json_each(?))
+      `).bind(JSON.stringify(ids), JSON.stringify(ids)).all();
+      const found = rows.results || [];
+
+      // Id yang tidak ditemukan dilaporkan sebagai error; id dan nomor report untuk report yang sama dihitung sekali
+      reports = [];
+      for (const ref of ids) {
+        const report = found.find(row => row.id === ref || row.report_id === ref);
+        if (!report) {
+          results.push({ id: ref, report_id: null, result: 'error', error: 'Report not found' });
+        } else if (!reports.includes(report)) {
+          reports.push(report);
+        }
+      }
+    }
+
+    const actor = resolveActor(request, data.updated_by);
+    const timestamp = new Date().toISOString();
+    const statements = [];
+    const applied = [];
+
+    const currentTags = new Map();
+    if (action === 'tag' || action === 'untag') {
+      const rows = await db.prepare(`
+        SELECT report_id, tag FROM report_tags WHERE report_id IN (SELECT value FROM json_each(?)) ORDER BY tag
+      `).bind(JSON.stringify(reports.map(report => report.id))).all();
+      for (const row of rows.results || []) {
+        currentTags.set(row.report_id, [...(currentTags.get(row.report_id) || []), row.tag]);
+      }
+    }
+
+    // Object R2 evidence dihapus setelah batch berhasil
+    const evidenceKeys = action === 'delete' ? await listEvidenceKeys(db, reports.map(report => report.id)) : [];
+
+    for (const report of reports) {
+      const item = { id: report.id, report_id: report.report_id, result: 'unchanged' };
+      results.push(item);
+
+      if (action === 'delete') {
+        statements.push(
+          db.prepare(`DELETE FROM images WHERE report_id = ?`).bind(report.id),
+          db.prepare(`DELETE FROM report_comments WHERE report_id = ?`).bind(report.id),
+          db.prepare(`DELETE FROM report_tags WHERE report_id = ?`).bind(report.id),
+          db.prepare(`DELETE FROM report_field_values WHERE report_id = ?`).bind(report.id),
+          db.prepare(`DELETE FROM report_escalations WHERE report_id = ?`).bind(report.id),
+          db.prepare(`UPDATE reports SET merged_into = NULL WHERE merged_into = ?`).bind(report.id),
+          db.prepare(`DELETE FROM reports WHERE id = ?`).bind(report.id),
+          buildEventStatement(db, report.id, 'deleted', actor, null, JSON.stringify(report), null)
+        );
+        applied.push({ item, report });
+        continue;
+      }
+
+      if (action === 'tag' || action === 'untag') {
+        const before = currentTags.get(report.id) || [];
+        const changed = action === 'tag'
+          ? value.filter(tag => !before.includes(tag))
+          : value.filter(tag => before.includes(tag));
+        if (changed.length === 0) continue;
+
+        // Batas tag sama dengan POST / PATCH (validateReportTags)
+        if (action === 'tag' && before.length + changed.length > MAX_TAGS_PER_REPORT) {
+          Object.assign(item, {
+            result: 'error',
+            error: 'Too many tags',
+            message: `at most ${MAX_TAGS_PER_REPORT} tags per report`
+          });
+          continue;
+        }
+
+        const after = action === 'tag'
+          ? [...before, ...changed].sort()
+          : before.filter(tag => !changed.includes(tag));
+        statements.push(
+          action === 'tag'
+            ? db.prepare(`
+                INSERT OR IGNORE INTO report_tags (report_id, tag) SELECT ?, value FROM json_each(?)
+              `).bind(report.id, JSON.stringify(changed))
+            : db.prepare(`
+                DELETE FROM report_tags WHERE report_id = ? AND tag IN (SELECT value FROM json_each(?))
+              `).bind(report.id, JSON.stringify(changed)),
+          buildEventStatement(db, report.id, 'field_changed', actor, 'tags', before.join(', '), after.join(', '))
+        );
+        applied.push({ item, report });
+        continue;
+      }
+
+      const field = { set_status: 'status', set_priority: 'priority', assign: 'assigned_to' }[action];
+      if ((report[field] ?? null) === value) continue;
+
+      let lifecycle = {};
+      if (action === 'set_status') {
+        // State machine sama dengan PATCH /api/reports/:id
+        const allowed = [...STATUS_TRANSITIONS[report.status] || []];
+        if (data.reopen === true) {
+          allowed.push(...(REOPEN_TRANSITIONS[report.status] || []));
+        }
+        if (!allowed.includes(value)) {
+          const reopenable = (REOPEN_TRANSITIONS[report.status] || []).includes(value);
+          Object.assign(item, {
+            result: 'error',
+            error: 'Invalid status transition',
+            message: reopenable
+              ? `Report is ${report.status}; set "reopen": true to move it back to ${value}`
+              : `Cannot change status from ${report.status} to ${value}`
+          });
+          continue;
+        }
+        lifecycle = getLifecycleChanges(report, value, timestamp);
+      }
+
+      const assignments = [field, ...Object.keys(lifecycle)].map(column => `${column} = ?`).join(', ');
+      statements.push(
+        db.prepare(`
+          UPDATE reports SET ${assignments} WHERE id = ?
+        `).bind(value, ...Object.values(lifecycle), report.id),
+        buildEventStatement(db, report.id, 'field_changed', actor, field, report[field] ?? null, value)
+      );
+      applied.push({ item, report });
+    }
+
+    if (statements.length > 0) {
+      try {
+        await db.batch(statements);
+        for (const { item } of applied) {
+          item.result = action === 'delete' ? 'deleted' : 'updated';
+        }
+      } catch (batchError) {
+        // Batch adalah satu transaksi: jika gagal, tidak ada report yang berubah
+        console.error('Bulk batch error:', batchError);
+        for (const { item } of applied) {
+          Object.assign(item, { result: 'error', error: 'Batch failed', message: batchError.message });
+        }
+        applied.length = 0;
+      }
+    }
+
+    // Notify webhook subscribers (async)
+    if (applied.length > 0 && action === 'delete') {
+      ctx.waitUntil(deleteEvidenceObjects(r2Bucket, evidenceKeys));
+      ctx.waitUntil(Promise.all(applied.map(({ report }) =>
+        emitWebhookEvent(db, 'report.deleted', { report, actor }))));
+    } else if (applied.length > 0 && action === 'set_status') {
+      const updated = await db.prepare(`
+        SELECT * FROM reports WHERE id IN (SELECT value FROM json_each(?))
+      `).bind(JSON.stringify(applied.map(({ report }) => report.id))).all();
+      ctx.waitUntil(Promise.all((updated.results || []).map(report =>
+        emitStatusChange(db, applied.find(entry => entry.report.id === report.id).report.status, report, actor))));
+    }
+
+    const summary = { total: results.length, updated: 0, deleted: 0, unchanged: 0, error: 0 };
+    for (const item of results) summary[item.result]++;
+
+    return jsonResponse({
+      success: true,
+      action,
+      message: `${summary.updated + summary.deleted} report(s) ${action === 'delete' ? 'deleted' : 'updated'}, ${summary.unchanged} unchanged, ${summary.error} failed`,
+      summary,
+      results
+    });
+  } catch (error) {
+    console.error('Bulk action error:', error);
+    throw new Error(`Failed to run bulk action: ${error.message}`);
+  }
+}
+
+// 47. POST Migrasi image base64 lama (dan URL r2.dev lama) ke R2 - juga dijalankan oleh cron per batch
+// Body opsional: { "limit": 25, "retry_failed": true } untuk mencoba lagi row yang sebelumnya gagal
+async function handleMigrateImages(request, env) {
+  try {
+    if (!env.R2_BUCKET) {
+      return jsonResponse({
+        success: false,
+        error: 'R2 bucket not configured'
+      }, 501);
+    }
+
+    let data = {};
+    try {
+      data = await request.json();
+    } catch (parseError) {
+      // Body opsional
+    }
+
+    const limit = data.limit === undefined ? IMAGE_MIGRATION_BATCH : parseInt(data.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > IMAGE_MIGRATION_MAX_BATCH) {
+      return jsonResponse({
+        success: false,
+        error: `limit must be between 1 and ${IMAGE_MIGRATION_MAX_BATCH}`
+      }, 400);
+    }
+
+    const result = await migrateImagesToR2(env, limit, data.retry_failed === true);
+
+    return jsonResponse({
+      success: true,
+      message: `${result.migrated} image(s) moved to R2, ${result.failed.length} failed, ${result.remaining} remaining`,
+      data: result
+    });
+  } catch (error) {
+    console.error('Migrate images error:', error);
+    throw new Error(`Failed to migrate images: ${error.message}`);
+  }
+}
+
+// 48. POST Revoke signed URL image (admin) - { "image_id" }, { "report_id" } (id / nomor report) atau { "all": true }
+async function handleRevokeImageLinks(request, db) {
+  try {
+    let data;
+    try {
+      data = await request.json();
+    } catch (parseError) {
+      return jsonResponse({
+        success: false,
+        error: 'Invalid JSON',
+        message: 'Request body must be valid JSON'
+      }, 400);
+    }
+
+    const targets = ['image_id', 'report_id', 'all'].filter(key => data[key] !== undefined && data[key] !== null && data[key] !== false);
+    if (targets.length !== 1 || (targets[0] === 'all' && data.all !== true)) {
+      return jsonResponse({
+        success: false,
+        error: 'Provide exactly one of: image_id, report_id, all: true'
+      }, 400);
+    }
+
+    // link_version ikut di-sign, jadi semua URL lama untuk image ini langsung tidak berlaku
+    let statement;
+    if (targets[0] === 'image_id') {
+      statement = db.prepare(`
+        UPDATE images SET link_version = link_version + 1 WHERE id = ?
+      `).bind(String(data.image_id));
+    } else if (targets[0] === 'report_id') {
+      const reportId = await resolveReportId(db, String(data.report_id));
+      if (!reportId) {
+        return jsonResponse({
+          success: false,
+          error: 'Report not found'
+        }, 404);
+      }
+      statement = db.prepare(`
+        UPDATE images SET link_version = link_version + 1 WHERE report_id = ?
+      `).bind(reportId);
+    } else {
+      statement = db.prepare(`
+        UPDATE images SET link_version = link_version + 1
+      `);
+    }
+
+    const result = await statement.run();
+    if (targets[0] === 'image_id' && result.meta.changes === 0) {
+      return jsonResponse({
+        success: false,
+        error: 'Image not found'
+      }, 404);
+    }
+
+    return jsonResponse({
+      success: true,
+      message: `Links revoked for ${result.meta.changes} image(s)`,
+      revoked: result.meta.changes
+    });
+  } catch (error) {
+    console.error('Revoke image links error:', error);
+    throw new Error(`Failed to revoke image links: ${error.message}`);
+  }
+}
+
+// 49. GET Servers (inventaris) - ?q= untuk autocomplete form report (nama, nama ternormalisasi, IP)
+// Filter opsional: environment, criticality, owner_team, tag
+async function handleListServers(request, db) {
+  try {
+    const params = new URL(request.url).searchParams;
+    const q = (params.get('q') || '').trim();
+    const environment = splitListParam(params.get('environment'));
+    const criticality = splitListParam(params.get('criticality'));
+    const ownerTeam = params.get('owner_team');
+    const tag = (params.get('tag') || '').trim().toLowerCase();
+    const limit = Math.min(parseInt(params.get('limit')) || 100, SERVER_LIST_MAX);
+
+    const errors = [];
+    if (environment.some(value => !SERVER_ENVIRONMENTS.includes(value))) {
+      errors.push(`environment must be one of: ${SERVER_ENVIRONMENTS.join(', ')}`);
+    }
+    if (criticality.some(value => !SERVER_CRITICALITIES.includes(value))) {
+      errors.push(`criticality must be one of: ${SERVER_CRITICALITIES.join(', ')}`);
+    }
+    if (errors.length > 0) {
+      return jsonResponse({
+        success: false,
+        error: 'Invalid filters',
+        errors,
+        message: errors.join('; ')
+      }, 400);
+    }
+
+    let where = ` WHERE 1=1`;
+    const whereParams = [];
+    if (q) {
+      where += ` AND (instr(lower(s.name), lower(?)) > 0 OR instr(s.name_key, ?) > 0
+        OR EXISTS (SELECT 1 FROM json_each(s.ip_addresses) WHERE instr(value, ?) > 0))`;
+      whereParams.push(q, serverNameKey(q) || q.toLowerCase(), q);
+    }
+    for (const [column, values] of [['environment', environment], ['criticality', criticality]]) {
+      if (values.length > 0) {
+        where += ` AND s.${column} IN (${values.map(() => '?').join(', ')})`;
+        whereParams.push(...values);
+      }
+    }
+    if (ownerTeam) {
+      where += ` AND s.owner_team = ? COLLATE NOCASE`;
+      whereParams.push(ownerTeam);
+    }
+    if (tag) {
+      where += ` AND EXISTS (SELECT 1 FROM json_each(s.tags) WHERE value = ?)`;
+      whereParams.push(tag);
+    }
+
+    // Autocomplete: nama yang diawali q tampil lebih dulu
+    const servers = await db.prepare(`
+      SELECT s.*,
+        COUNT(r.id) as incident_count,
+        COUNT(CASE WHEN r.status IN ('pending', 'on-progress') THEN 1 END) as open_count,
+        MAX(r.created_at) as last_incident_at
+      FROM servers s
+      LEFT JOIN reports r ON r.server_id = s.id AND r.merged_into IS NULL
+      ${where}
+      GROUP BY s.id
+      ORDER BY ${q ? 'CASE WHEN instr(lower(s.name), lower(?)) = 1 THEN 0 ELSE 1 END,' : ''} s.name COLLATE NOCASE
+      LIMIT ?
+    `).bind(...whereParams, ...(q ? [q] : []), limit).all();
+
+    const data = (servers.results || []).map(formatServer);
+
+    return jsonResponse({
+      success: true,
+      data,
+      count: data.length
+    });
+  } catch (error) {
+    console.error('List servers error:', error);
+    throw new Error(`Failed to list servers: ${error.message}`);
+  }
+}
+
+// 50. GET Single Server (id atau nama) + statistik incident, MTTA/MTTR dan riwayat report terbaru
+async function handleGetServer(ref, request, db) {
+  try {
+    const server = await findServer(db, ref);
+    if (!server) {
+      return jsonResponse({
+        success: false,
+        error: 'Server not found'
+      }, 404);
+    }
+
+    const limit = Math.min(parseInt(new URL(request.url).searchParams.get('limit')) || SERVER_HISTORY_LIMIT, 200);
+
+    // Report yang di-merge tidak dihitung (sudah diwakili report tujuannya)
+    const stats = await db.prepare(`
+      SELECT
+        COUNT(*) as total,
+        COUNT(CASE WHEN r.status IN ('pending', 'on-progress') THEN 1 END) as open,
+        COUNT(CASE WHEN r.status = 'completed' THEN 1 END) as resolved,
+        COUNT(CASE WHEN r.priority = 'critical' THEN 1 END) as critical,
+        COUNT(CASE WHEN r.priority = 'high' THEN 1 END) as high,
+        COUNT(CASE WHEN r.priority = 'medium' THEN 1 END) as medium,
+        COUNT(CASE WHEN r.priority = 'low' THEN 1 END) as low,
+        ROUND(AVG((julianday(${SQL_ACK_TIME}) - julianday(r.created_at)) * 1440), 1) as mtta_minutes,
+        ROUND(AVG(CASE WHEN r.status = 'completed'
+          THEN (julianday(${SQL_RESOLVE_TIME}) - julianday(r.created_at)) * 1440 END), 1) as mttr_minutes,
+        MIN(r.created_at) as first_incident_at,
+        MAX(r.created_at) as last_incident_at
+      FROM reports r
+      WHERE r.server_id = ? AND r.merged_into IS NULL
+    `).bind(server.id).first();
+
+    const incidents = await db.prepare(`
+      SELECT r.id, r.report_id, r.server_name, r.ip_address, r.description, r.status, r.priority,
+        r.platform, r.source, r.assigned_to, r.occurrence_count, r.created_at, r.updated_at,
+        ${SQL_ACK_TIME} as acknowledged_at,
+        ${SQL_RESOLVE_TIME} as resolved_at,
+        ROUND(CASE WHEN r.status = 'completed'
+          THEN (julianday(${SQL_RESOLVE_TIME}) - julianday(r.created_at)) * 1440 END, 1) as resolution_minutes
+      FROM reports r
+      WHERE r.server_id = ? AND r.merged_into IS NULL
+      ORDER BY strftime('%Y-%m-%d %H:%M:%f', r.created_at) DESC
+      LIMIT ?
+    `).bind(server.id, limit).all();
+
+    // Penulisan server_name lain yang ter-link ke server ini ("web-svr-01", "WEB-SVR-1", ...)
+    const aliases = await db.prepare(`
+      SELECT server_name, COUNT(*) as count FROM reports
+      WHERE server_id = ? AND server_name != ?
+      GROUP BY server_name
+      ORDER BY count DESC
+    `).bind(server.id, server.name).all();
+
+    return jsonResponse({
+      success: true,
+      data: {
+        ...formatServer(server),
+        stats,
+        aliases: aliases.results || [],
+        incidents: incidents.results || []
+      }
+    });
+  } catch (error) {
+    console.error('Get server error:', error);
+    throw new Error(`Failed to get server: ${error.message}`);
+  }
+}
+
+// 51. CREATE / UPDATE Server (engineer) - report lama dengan nama yang sama langsung di-link
+async function handleSaveServer(ref, request, db) {
+  try {
+    let data;
+    try {
+      data = await request.json();
+    } catch (parseError) {
+      return jsonResponse({
+        success: false,
+        error: 'Invalid JSON',
+        message: 'Request body must be valid JSON'
+      }, 400);
+    }
+
+    let existing = null;
+    if (ref) {
+      existing = await findServer(db, ref);
+      if (!existing) {
+        return jsonResponse({
+          success: false,
+          error: 'Server not found'
+        }, 404);
+      }
+    }
+
+    const { server, errors } = normalizeServerData(data, existing ? formatServer(existing) : null);
+    if (errors.length > 0) {
+      return jsonResponse({
+        success: false,
+        error: 'Invalid server',
+        errors,
+        message: errors.join('; ')
+      }, 400);
+    }
+
+    const nameKey = serverNameKey(server.name);
+    const conflict = await db.prepare(`
+      SELECT id, name FROM servers WHERE name_key = ? AND id != ?
+    `).bind(nameKey, existing?.id || '').first();
+    if (conflict) {
+      return jsonResponse({
+        success: false,
+        error: 'Server already exists',
+        message: `"${server.name}" matches existing server ${conflict.name}`,
+        server_id: conflict.id
+      }, 409);
+    }
+
+    const timestamp = new Date().toISOString();
+    const values = [
+      server.name, nameKey, JSON.stringify(server.ip_addresses), server.environment,
+      server.owner_team, server.criticality, JSON.stringify(server.tags), server.notes
+    ];
+    let id = existing?.id;
+    if (existing) {
+      // Server auto-registered yang sudah diedit dianggap sudah dikurasi
+      await db.prepare(`
+        UPDATE servers SET name = ?, name_key = ?, ip_addresses = ?, environment = ?, owner_team = ?,
+          criticality = ?, tags = ?, notes = ?, auto_registered = 0, updated_at = ?
+        WHERE id = ?
+      `).bind(...values, timestamp, id).run();
+    } else {
+      id = `srv_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+      await db.prepare(`
+        INSERT INTO servers (id, name, name_key, ip_addresses, environment, owner_team, criticality, tags, notes, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).bind(id, ...values, timestamp, timestamp).run();
+    }
+
+    const linked = await linkReportsByName(db, id, nameKey);
+    const saved = await db.prepare(`
+      SELECT * FROM servers WHERE id = ?
+    `).bind(id).first();
+
+    return jsonResponse({
+      success: true,
+      message: existing ? 'Server updated successfully' : 'Server created successfully',
+      data: formatServer(saved),
+      linked_reports: linked
+    }, existing ? 200 : 201);
+  } catch (error) {
+    console.error('Save server error:', error);
+    throw new Error(`Failed to save server: ${error.message}`);
+  }
+}
+
+// 52. DELETE Server (admin) - report tetap ada, hanya link server_id yang dilepas
+async function handleDeleteServer(ref, db) {
+  try {
+    const server = await findServer(db, ref);
+    if (!server) {
+      return jsonResponse({
+        success: false,
+        error: 'Server not found'
+      }, 404);
+    }
+
+    const [unlinked] = await db.batch([
+      db.prepare(`UPDATE reports SET server_id = NULL WHERE server_id = ?`).bind(server.id),
+      db.prepare(`DELETE FROM servers WHERE id = ?`).bind(server.id)
+    ]);
+
+    return jsonResponse({
+      success: true,
+      message: 'Server deleted successfully',
+      unlinked_reports: unlinked.meta.changes
+    });
+  } catch (error) {
+    console.error('Delete server error:', error);
+    throw new Error(`Failed to delete server: ${error.message}`);
+  }
+}
+
+// 53. POST Backfill link report lama ke inventaris server (admin)
+// Body opsional: { "register": true } untuk mendaftarkan nama yang belum dikenal, { "after": "<nama>" } untuk halaman berikutnya
+async function handleBackfillServers(request, db) {
+  try {
+    let data = {};
+    try {
+      data = await request.json();
+    } catch (parseError) {
+      // Body opsional
+    }
+
+    const names = await db.prepare(`
+      SELECT server_name, MAX(ip_address) as ip_address, COUNT(*) as count
+      FROM reports
+      WHERE server_id IS NULL AND server_name > ?
+      GROUP BY server_name
+      ORDER BY server_name
+      LIMIT ?
+    `).bind(String(data.after || ''), SERVER_BACKFILL_BATCH).all();
+
+    const rows = names.results || [];
+    const registeredBefore = await db.prepare(`SELECT COUNT(*) as count FROM servers`).first();
+    let linked = 0;
+    const unmatched = [];
+
+    for (const row of rows) {
+      const serverId = await findOrRegisterServer(db, row, data.register === true);
+      if (!serverId) {
+        unmatched.push(row.server_name);
+        continue;
+      }
+      const result = await db.prepare(`
+        UPDATE reports SET server_id = ? WHERE server_id IS NULL AND server_name = ?
+      `).bind(serverId, row.server_name).run();
+      linked += result.meta.changes;
+    }
+
+    const registeredAfter = await db.prepare(`SELECT COUNT(*) as count FROM servers`).first();
+
+    return jsonResponse({
+      success: true,
+      message: `${linked} report(s) linked, ${unmatched.length} server name(s) not in inventory`,
+      data: {
+        linked_reports: linked,
+        registered: registeredAfter.count - registeredBefore.count,
+        unmatched,
+        next_after: rows.length === SERVER_BACKFILL_BATCH ? rows[rows.length - 1].server_name : null
+      }
+    });
+  } catch (error) {
+    console.error('Backfill servers error:', error);
+    throw new Error(`Failed to backfill servers: ${error.message}`);
+  }
+}
+
+// 54. GET Custom Field definitions - ?include_inactive=true untuk field yang sudah dinonaktifkan
+async function handleListCustomFields(request, db) {
+  try {
+    const includeInactive = new URL(request.url).searchParams.get('include_inactive') === 'true';
+    const data = await getCustomFields(db, includeInactive);
+
+    return jsonResponse({
+      success: true,
+      data,
+      count: data.length
+    });
+  } catch (error) {
+    console.error('List custom fields error:', error);
+    throw new Error(`Failed to list custom fields: ${error.message}`);
+  }
+}
+
+// 55. CREATE / UPDATE Custom Field (admin) - key tidak bisa diubah, type hanya selama belum ada nilai
+async function handleSaveCustomField(key, request, db) {
+  try {
+    let data;
+    try {
+      data = await request.json();
+    } catch (parseError) {
+      return jsonResponse({
+        success: false,
+        error: 'Invalid JSON',
+        message: 'Request body must be valid JSON'
+      }, 400);
+    }
+
+    let existing = null;
+    if (key) {
+      existing = await db.prepare(`
+        SELECT * FROM custom_fields WHERE key = ?
+      `).bind(key).first();
+
+      if (!existing) {
+        return jsonResponse({
+          success: false,
+          error: 'Custom field not found'
+        }, 404);
+      }
+    }
+
+    // PATCH: field yang tidak dikirim tetap memakai nilai lama
+    const field = {
+      key: existing ? existing.key : String(data.key ?? '').trim(),
+      label: String(data.label ?? existing?.label ?? '').trim(),
+      type: data.type ?? existing?.type,
+      options: data.options !== undefined ? data.options : (existing?.options ? JSON.parse(existing.options) : null),
+      required: data.required !== undefined ? (data.required ? 1 : 0) : (existing?.required ?? 0),
+      is_active: data.is_active !== undefined ? (data.is_active ? 1 : 0) : (existing?.is_active ?? 1),
+      sort_order: data.sort_order !== undefined ? parseInt(data.sort_order) : (existing?.sort_order ?? 0)
     };
-    
+
+    const errors = [];
+    if (!CUSTOM_FIELD_KEY_PATTERN.test(field.key)) {
+      errors.push('key must start with a letter and contain only a-z, 0-9 and _ (max 40 characters)');
+    }
+    if (existing && data.key !== undefined && data.key !== existing.key) {
+      errors.push('key cannot be changed');
+    }
+    if (!field.label) {
+      errors.push('label is required');
+    }
+    if (!CUSTOM_FIELD_TYPES.includes(field.type)) {
+      errors.push(`type must be one of: ${CUSTOM_FIELD_TYPES.join(', ')}`);
+    }
+    if (field.type === 'enum') {
+      const options = Array.isArray(field.options) ? field.options.map(option => String(option).trim()).filter(Boolean) : [];
+      if (options.length === 0 || new Set(options.map(option => option.toLowerCase())).size !== options.length ||
+          options.some(option => option.length > MAX_CUSTOM_FIELD_VALUE_LENGTH)) {
+        errors.push('options must be a non-empty array of unique values for type enum');
+      }
+      field.options = options;
+    } else {
+      field.options = null;
+    }
+    if (!Number.isInteger(field.sort_order)) {
+      errors.push('sort_order must be an integer');
+    }
+
+    if (errors.length > 0) {
+      return jsonResponse({
+        success: false,
+        error: 'Invalid custom field',
+        errors,
+        message: errors.join('; ')
+      }, 400);
+    }
+
+    if (existing && field.type !== existing.type) {
+      const used = await db.prepare(`
+        SELECT COUNT(*) as count FROM report_field_values WHERE field_key = ?
+      `).bind(field.key).first();
+      if (used.count > 0) {
+        return jsonResponse({
+          success: false,
+          error: 'Custom field in use',
+          message: `type cannot be changed: ${used.count} report(s) already have a value for ${field.key}`
+        }, 409);
+      }
+    }
+
+    const timestamp = new Date().toISOString();
+    const options = field.options ? JSON.stringify(field.options) : null;
+    if (existing) {
+      await db.prepare(`
+        UPDATE custom_fields SET label = ?, type = ?, options = ?, required = ?, is_active = ?, sort_order = ?, updated_at = ?
+        WHERE key = ?
+      `).bind(field.label, field.type, options, field.required, field.is_active, field.sort_order, timestamp, field.key).run();
+    } else {
+      const duplicate = await db.prepare(`
+        SELECT key FROM custom_fields WHERE key = ?
+      `).bind(field.key).first();
+      if (duplicate) {
+        return jsonResponse({
+          success: false,
+          error: 'Custom field already exists',
+          message: `A custom field with key ${field.key} already exists`
+        }, 409);
+      }
+
+      await db.prepare(`
+        INSERT INTO custom_fields (key, label, type, options, required, is_active, sort_order, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).bind(field.key, field.label, field.type, options, field.required, field.is_active, field.sort_order, timestamp, timestamp).run();
+    }
+
+    const saved = await db.prepare(`
+      SELECT * FROM custom_fields WHERE key = ?
+    `).bind(field.key).first();
+
+    return jsonResponse({
+      success: true,
+      message: existing ? 'Custom field updated successfully' : 'Custom field created successfully',
+      data: formatCustomField(saved)
+    }, existing ? 200 : 201);
+  } catch (error) {
+    console.error('Save custom field error:', error);
+    throw new Error(`Failed to save custom field: ${error.message}`);
+  }
+}
+
+// 56. DELETE Custom Field (admin) - default hanya dinonaktifkan; ?purge=true menghapus definisi dan semua nilainya
+async function handleDeleteCustomField(key, request, db) {
+  try {
+    const field = await db.prepare(`
+      SELECT * FROM custom_fields WHERE key = ?
+    `).bind(key).first();
+
+    if (!field) {
+      return jsonResponse({
+        success: false,
+        error: 'Custom field not found'
+      }, 404);
+    }
+
+    if (new URL(request.url).searchParams.get('purge') !== 'true') {
+      await db.prepare(`
+        UPDATE custom_fields SET is_active = 0, updated_at = ? WHERE key = ?
+      `).bind(new Date().toISOString(), key).run();
+
+      return jsonResponse({
+        success: true,
+        message: 'Custom field deactivated; existing values are kept (use ?purge=true to delete them)',
+        purged: false
+      });
+    }
+
+    const [values] = await db.batch([
+      db.prepare(`DELETE FROM report_field_values WHERE field_key = ?`).bind(key),
+      db.prepare(`DELETE FROM custom_fields WHERE key = ?`).bind(key)
+    ]);
+
+    return jsonResponse({
+      success: true,
+      message: 'Custom field deleted successfully',
+      purged: true,
+      deleted_values: values.meta.changes
+    });
+  } catch (error) {
+    console.error('Delete custom field error:', error);
+    throw new Error(`Failed to delete custom field: ${error.message}`);
+  }
+}
+
+// 57. GET Maintenance Windows + occurrence dalam rentang ?from= / ?to= (default: sekarang s/d 30 hari ke depan)
+// ?active=true hanya window yang sedang berjalan
+async function handleListMaintenanceWindows(request, db) {
+  try {
+    const params = new URL(request.url).searchParams;
+    const now = new Date();
+    const from = params.get('from') ? new Date(params.get('from')) : now;
+    const to = params.get('to') ? new Date(params.get('to')) : new Date(from.getTime() + 30 * 86400000);
+    const activeOnly = params.get('active') === 'true';
+
+    if (isNaN(from.getTime()) || isNaN(to.getTime()) || to <= from) {
+      return jsonResponse({
+        success: false,
+        error: 'Invalid range',
+        message: 'from and to must be dates (ISO or YYYY-MM-DD) with to after from'
+      }, 400);
+    }
+    if (to - from > MAINTENANCE_CALENDAR_MAX_DAYS * 86400000) {
+      return jsonResponse({
+        success: false,
+        error: 'Invalid range',
+        message: `Range can be at most ${MAINTENANCE_CALENDAR_MAX_DAYS} days`
+      }, 400);
+    }
+
+    const windows = await db.prepare(`
+      SELECT w.*,
+        (SELECT COUNT(*) FROM reports r WHERE r.maintenance_id = w.id) as report_count,
+        (SELECT COUNT(*) FROM reports r WHERE r.maintenance_id = w.id AND r.suppressed = 1) as suppressed_count
+      FROM maintenance_windows w
+      ORDER BY w.starts_at
+    `).all();
+
+    const serverNames = await getMaintenanceServerNames(db, windows.results || []);
+    const data = [];
+    for (const row of windows.results || []) {
+      const window = formatMaintenanceWindow(row, now, serverNames);
+      if (activeOnly && !window.active) continue;
+      window.occurrences = maintenanceOccurrences(row, from, to)
+        .map(occurrence => ({ starts_at: occurrence.starts_at.toISOString(), ends_at: occurrence.ends_at.toISOString() }));
+      if (!activeOnly && window.occurrences.length === 0) continue;
+      data.push(window);
+    }
+
+    return jsonResponse({
+      success: true,
+      data,
+      count: data.length,
+      range: { from: from.toISOString(), to: to.toISOString() }
+    });
+  } catch (error) {
+    console.error('List maintenance windows error:', error);
+    throw new Error(`Failed to list maintenance windows: ${error.message}`);
+  }
+}
+
+// 58. GET Single Maintenance Window + occurrence 30 hari ke depan dan report yang terkena
+async function handleGetMaintenanceWindow(id, db) {
+  try {
+    const row = await db.prepare(`
+      SELECT * FROM maintenance_windows WHERE id = ?
+    `).bind(id).first();
+
+    if (!row) {
+      return jsonResponse({
+        success: false,
+        error: 'Maintenance window not found'
+      }, 404);
+    }
+
+    const now = new Date();
+    const reports = await db.prepare(`
+      SELECT id, report_id, server_name, status, priority, suppressed, created_at
+      FROM reports
+      WHERE maintenance_id = ?
+      ORDER BY created_at DESC
+      LIMIT 100
+    `).bind(id).all();
+
+    return jsonResponse({
+      success: true,
+      data: {
+        ...formatMaintenanceWindow(row, now, await getMaintenanceServerNames(db, [row])),
+        occurrences: maintenanceOccurrences(row, now, new Date(now.getTime() + 30 * 86400000))
+          .map(occurrence => ({ starts_at: occurrence.starts_at.toISOString(), ends_at: occurrence.ends_at.toISOString() })),
+        reports: (reports.results || []).map(report => ({ ...report, suppressed: report.suppressed === 1 }))
+      }
+    });
+  } catch (error) {
+    console.error('Get maintenance window error:', error);
+    throw new Error(`Failed to get maintenance window: ${error.message}`);
+  }
+}
+
+// 59. CREATE / UPDATE Maintenance Window (engineer) - hanya berlaku untuk report yang dibuat setelahnya
+async function handleSaveMaintenanceWindow(id, request, db) {
+  try {
+    let data;
     try {
-      const statsResult = await db.prepare(`
-        SELECT 
-          COUNT(*) as total_reports,
-          COUNT(CASE WHEN status = 'on-progress' THEN 1 END) as on_progress,
-          COUNT(CASE WHEN status = 'completed' THEN 1 END) as completed,
-          COUNT(CASE WHEN status = 'pending' THEN 1 END) as pending,
-          COUNT(CASE WHEN status = 'cancelled' THEN 1 END) as cancelled,
-          COUNT(CASE WHEN priority = 'critical' THEN 1 END) as critical,
-          COUNT(CASE WHEN priority = 'high' THEN 1 END) as high,
-          COUNT(CASE WHEN priority = 'medium' THEN 1 END) as medium,
-          COUNT(CASE WHEN priority = 'low' THEN 1 END) as low,
-          (SELECT COUNT(*) FROM images) as total_images,
-          (SELECT COUNT(DISTINCT DATE(created_at)) FROM reports) as active_days
-        FROM reports
-      `).first();
-      
-      if (statsResult) {
-        stats = statsResult;
+      data = await request.json();
+    } catch (parseError) {
+      return jsonResponse({
+        success: false,
+        error: 'Invalid JSON',
+        message: 'Request body must be valid JSON'
+      }, 400);
+    }
+
+    let existing = null;
+    if (id) {
+      existing = await db.prepare(`
+        SELECT * FROM maintenance_windows WHERE id = ?
+      `).bind(id).first();
+
+      if (!existing) {
+        return jsonResponse({
+          success: false,
+          error: 'Maintenance window not found'
+        }, 404);
+      }
+    }
+
+    // PATCH: field yang tidak dikirim tetap memakai nilai lama
+    const pick = (field, fallback = null) => data[field] !== undefined ? data[field] : (existing?.[field] ?? fallback);
+    const scopeTags = normalizeTags(data.tags !== undefined ? data.tags : JSON.parse(existing?.tags || '[]'));
+    const autoTag = normalizeTags(pick('tag', DEFAULT_MAINTENANCE_TAG) || DEFAULT_MAINTENANCE_TAG);
+    const window = {
+      name: String(pick('name', '') ?? '').trim(),
+      description: pick('description') || null,
+      starts_at: parseMaintenanceDate(pick('starts_at')),
+      ends_at: parseMaintenanceDate(pick('ends_at')),
+      recurrence: pick('recurrence', 'none') || 'none',
+      recurrence_until: pick('recurrence_until') ? parseMaintenanceDate(pick('recurrence_until')) : null,
+      tags: scopeTags.tags,
+      tag: autoTag.tags[0],
+      suppress: data.suppress !== undefined ? (data.suppress ? 1 : 0) : (existing?.suppress ?? 0)
+    };
+
+    const errors = [];
+    if (!window.name) {
+      errors.push('name is required');
+    }
+    if (!window.starts_at || !window.ends_at) {
+      errors.push('starts_at and ends_at must be ISO timestamps');
+    } else if (window.ends_at <= window.starts_at) {
+      errors.push('ends_at must be after starts_at');
+    }
+    if (!MAINTENANCE_RECURRENCES.includes(window.recurrence)) {
+      errors.push(`recurrence must be one of: ${MAINTENANCE_RECURRENCES.join(', ')}`);
+    } else if (window.recurrence !== 'none' && window.starts_at && window.ends_at &&
+               new Date(window.ends_at) - new Date(window.starts_at) > MAINTENANCE_MAX_DURATION_HOURS[window.recurrence] * 3600000) {
+      errors.push(`a ${window.recurrence} window can last at most ${MAINTENANCE_MAX_DURATION_HOURS[window.recurrence]} hours`);
+    }
+    if (pick('recurrence_until') && !window.recurrence_until) {
+      errors.push('recurrence_until must be an ISO timestamp');
+    } else if (window.recurrence_until && window.starts_at && window.recurrence_until < window.starts_at) {
+      errors.push('recurrence_until must not be before starts_at');
+    }
+    if (scopeTags.invalid.length > 0 || autoTag.invalid.length > 0 || autoTag.tags.length !== 1) {
+      errors.push(`tags and tag must be at most ${MAX_TAG_LENGTH} characters (tag is a single value)`);
+    }
+
+    // Scope server: id atau nama server di inventaris, disimpan sebagai id
+    const serverRefs = data.servers ?? data.server_ids;
+    let serverIds = JSON.parse(existing?.server_ids || '[]');
+    if (serverRefs !== undefined) {
+      serverIds = [];
+      const refs = Array.isArray(serverRefs) ? serverRefs : String(serverRefs ?? '').split(',');
+      for (const ref of refs.map(value => String(value).trim()).filter(Boolean)) {
+        const server = await findServer(db, ref);
+        if (server) {
+          serverIds.push(server.id);
+        } else {
+          errors.push(`unknown server: ${ref}`);
+        }
+      }
+      serverIds = [...new Set(serverIds)];
+    }
+    if (serverIds.length === 0 && window.tags.length === 0) {
+      errors.push('scope is required: provide servers and/or tags');
+    }
+
+    if (errors.length > 0) {
+      return jsonResponse({
+        success: false,
+        error: 'Invalid maintenance window',
+        errors,
+        message: errors.join('; ')
+      }, 400);
+    }
+
+    const timestamp = new Date().toISOString();
+    const values = [
+      window.name, window.description, window.starts_at, window.ends_at, window.recurrence,
+      window.recurrence === 'none' ? null : window.recurrence_until,
+      JSON.stringify(serverIds), JSON.stringify(window.tags), window.tag, window.suppress
+    ];
+    if (existing) {
+      await db.prepare(`
+        UPDATE maintenance_windows SET name = ?, description = ?, starts_at = ?, ends_at = ?, recurrence = ?,
+          recurrence_until = ?, server_ids = ?, tags = ?, tag = ?, suppress = ?, updated_at = ?
+        WHERE id = ?
+      `).bind(...values, timestamp, id).run();
+    } else {
+      id = `mnt_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+      await db.prepare(`
+        INSERT INTO maintenance_windows (
+          id, name, description, starts_at, ends_at, recurrence, recurrence_until,
+          server_ids, tags, tag, suppress, created_by, created_at, updated_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).bind(id, ...values, resolveActor(request, data.created_by), timestamp, timestamp).run();
+    }
+
+    const saved = await db.prepare(`
+      SELECT * FROM maintenance_windows WHERE id = ?
+    `).bind(id).first();
+
+    return jsonResponse({
+      success: true,
+      message: existing ? 'Maintenance window updated successfully' : 'Maintenance window created successfully',
+      data: formatMaintenanceWindow(saved, new Date(), await getMaintenanceServerNames(db, [saved]))
+    }, existing ? 200 : 201);
+  } catch (error) {
+    console.error('Save maintenance window error:', error);
+    throw new Error(`Failed to save maintenance window: ${error.message}`);
+  }
+}
+
+// 60. DELETE Maintenance Window - report yang terkena kembali dihitung di SLA / stats dan tidak lagi disembunyikan
+async function handleDeleteMaintenanceWindow(id, db) {
+  try {
+    const window = await db.prepare(`
+      SELECT id FROM maintenance_windows WHERE id = ?
+    `).bind(id).first();
+
+    if (!window) {
+      return jsonResponse({
+        success: false,
+        error: 'Maintenance window not found'
+      }, 404);
+    }
+
+    const [released] = await db.batch([
+      db.prepare(`UPDATE reports SET maintenance_id = NULL, suppressed = 0 WHERE maintenance_id = ?`).bind(id),
+      db.prepare(`DELETE FROM maintenance_windows WHERE id = ?`).bind(id)
+    ]);
+
+    return jsonResponse({
+      success: true,
+      message: 'Maintenance window deleted successfully',
+      released_reports: released.meta.changes
+    });
+  } catch (error) {
+    console.error('Delete maintenance window error:', error);
+    throw new Error(`Failed to delete maintenance window: ${error.message}`);
+  }
+}
+
+// ============ STATIC FILE SERVING ============
+
+// Serve frontend HTML
+async function serveFrontend() {
+  const html = `<!DOCTYPE html>
+<html lang="id">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>IT Report System - Cloudflare D1</title>
+    <style>
+        /* CSS dari index.html sebelumnya */
+        body { 
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+            color: #333;
+            min-height: 100vh;
+            padding: 20px;
+        }
+        /* ... full CSS dari index.html ... */
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="header">
+            <h1>🚀 IT Report System</h1>
+            <p>Powered by Cloudflare D1 Database • 100% Free • No Server Required</p>
+            <div class="badge">
+                <span id="workerStatus">Checking Connection...</span>
+            </div>
+        </div>
+        <!-- ... konten HTML dari index.html ... -->
+    </div>
+    <script>
+        // JavaScript dari index.html
+        const API_BASE_URL = window.location.origin;
+        // ... full JavaScript dari index.html ...
+    </script>
+</body>
+</html>`;
+  
+  return new Response(html, {
+    headers: {
+      'Content-Type': 'text/html; charset=utf-8',
+      'Cache-Control': 'public, max-age=3600'
+    }
+  });
+}
+
+// Serve API documentation
+async function serveAPIDocs() {
+  const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>IT Report System - API Documentation</title>
+    <style>
+        body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+            line-height: 1.6;
+            max-width: 1200px;
+            margin: 0 auto;
+            padding: 20px;
+            background: #f5f7fa;
+        }
+        .header {
+            text-align: center;
+            margin-bottom: 40px;
+            padding: 40px;
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+            color: white;
+            border-radius: 15px;
+        }
+        .endpoint {
+            background: white;
+            border-radius: 10px;
+            padding: 25px;
+            margin-bottom: 25px;
+            box-shadow: 0 5px 15px rgba(0,0,0,0.08);
+        }
+        .method {
+            display: inline-block;
+            padding: 5px 15px;
+            background: #3498db;
+            color: white;
+            border-radius: 4px;
+            font-weight: bold;
+            margin-right: 10px;
+        }
+        .method.get { background: #28a745; }
+        .method.post { background: #007bff; }
+        .method.delete { background: #dc3545; }
+        pre {
+            background: #2c3e50;
+            color: white;
+            padding: 15px;
+            border-radius: 8px;
+            overflow-x: auto;
+        }
+        code {
+            background: #e9ecef;
+            padding: 2px 6px;
+            border-radius: 4px;
+            font-family: monospace;
+        }
+    </style>
+</head>
+<body>
+    <div class="header">
+        <h1>📚 IT Report System API Documentation</h1>
+        <p>Version 1.0.0 | Powered by Cloudflare D1</p>
+    </div>
+
+    <div class="endpoint">
+        <span class="method get">GET</span>
+        <strong>/api/health</strong>
+        <p>Health check endpoint</p>
+        <pre>curl https://your-worker.workers.dev/api/health</pre>
+        <p><strong>Response:</strong></p>
+        <pre>{
+  "success": true,
+  "healthy": true,
+  "database": "connected",
+  "timestamp": "2024-01-01T00:00:00.000Z"
+}</pre>
+    </div>
+
+    <div class="endpoint">
+        <span class="method get">GET</span>
+        <strong>/api/reports</strong>
+        <p>Get all reports with pagination and filtering</p>
+        <pre>curl "https://your-worker.workers.dev/api/reports?limit=10&offset=0&status=on-progress"</pre>
+    </div>
+
+    <div class="endpoint">
+        <span class="method post">POST</span>
+        <strong>/api/reports</strong>
+        <p>Create new report</p>
+        <pre>curl -X POST https://your-worker.workers.dev/api/reports \\
+  -H "Content-Type: application/json" \\
+  -d '{
+    "server_name": "WEB-SVR-01",
+    "status": "on-progress",
+    "priority": "high"
+  }'</pre>
+    </div>
+
+    <div class="endpoint">
+        <span class="method get">GET</span>
+        <strong>/api/stats</strong>
+        <p>Get system statistics (<code>?tz=</code>, <code>?bucket=hour|day|week|month</code>, <code>?from=</code> / <code>?to=</code>)</p>
+        <pre>curl https://your-worker.workers.dev/api/stats</pre>
+    </div>
+
+    <div class="endpoint">
+        <span class="method post">POST</span>
+        <strong>/api/upload</strong>
+        <p>Upload image evidence (stored in R2, PNG/JPEG/GIF/WebP, max 10 MB)</p>
+        <pre>curl -X POST https://your-worker.workers.dev/api/upload \\
+  -F report_id=rep_123456 \\
+  -F file=@screenshot.png</pre>
+    </div>
+
+    <div class="endpoint">
+        <span class="method get">GET</span>
+        <strong>/api/servers/:id</strong>
+        <p>Server inventory entry with incident history and MTTR (list / autocomplete: GET /api/servers?q=web)</p>
+        <pre>curl https://your-worker.workers.dev/api/servers/WEB-SVR-01</pre>
+    </div>
+
+    <div class="endpoint">
+        <span class="method get">GET</span>
+        <strong>/api/maintenance-windows</strong>
+        <p>Planned maintenance calendar (next 30 days); reports created during a window are tagged and left out of SLA and stats</p>
+        <pre>curl https://your-worker.workers.dev/api/maintenance-windows?active=true</pre>
+    </div>
+
+    <div class="endpoint">
+        <h3>📊 Example Report Object</h3>
+        <pre>{
+  "id": "rep_1703232000000_abc123",
+  "report_id": "REP-2024-00001",
+  "server_name": "WEB-SVR-01",
+  "ip_address": "192.168.1.100",
+  "description": "Server overload during peak hours",
+  "status": "on-progress",
+  "priority": "high",
+  "platform": "Zabbix",
+  "server_id": "srv_web_1",
+  "created_by": "System",
+  "timestamp": "2024-01-01T12:00:00.000Z",
+  "created_at": "2024-01-01T12:00:00.000Z",
+  "updated_at": "2024-01-01T12:00:00.000Z",
+  "image_count": 2
+}</pre>
+    </div>
+</body>
+</html>`;
+  
+  return new Response(html, {
+    headers: {
+      'Content-Type': 'text/html; charset=utf-8',
+      'Cache-Control': 'public, max-age=3600'
+    }
+  });
+}
+
+// Serve static files (if needed)
+async function serveStatic(path, env) {
+  // You can implement static file serving if needed
+  // For now, just return 404
+  return jsonResponse({
+    success: false,
+    error: 'Not Found',
+    message: 'Static file not found'
+  }, 404);
+}
+
+// ============ EXPORT (CSV / XLSX / PDF) ============
+
+// Nilai sel export: boolean menjadi yes/no, null menjadi kosong
+function exportCellValue(report, key) {
+  const value = report[key];
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (typeof value === 'boolean') {
+    return value ? 'yes' : 'no';
+  }
+  return value;
+}
+
+// CSV (RFC 4180) dengan BOM supaya Excel membaca UTF-8 dengan benar
+// Sel yang diawali = + - @ diberi prefix ' agar tidak dijalankan sebagai formula oleh spreadsheet
+function buildCsv(columns, rows) {
+  const escape = (value) => {
+    let text = String(value);
+    if (/^[=+\-@\t\r]/.test(text)) {
+      text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const lines = [
+    columns.map(column => escape(column.label)),
+    ...rows.map(row => columns.map(column => escape(exportCellValue(row, column.key))))
+  ];
+  return '\uFEFF' + lines.map(line => line.join(',')).join('\r\n') + '\r\n';
+}
+
+// Escape teks untuk XML (karakter kontrol yang tidak valid di XML dibuang)
+function escapeXml(value) {
+  return String(value)
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Index kolom (0-based) -> nama kolom spreadsheet (A, B, ..., Z, AA, ...)
+function xlsxColumnName(index) {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + (n - 1) % 26) + name;
+  }
+  return name;
+}
+
+// Workbook XLSX minimal: satu sheet dengan inline string, header bold dan baris header di-freeze
+function buildXlsx(sheetName, columns, rows) {
+  const cell = (value, ref, style) => typeof value === 'number'
+    ? `<c r="${ref}"${style}><v>${value}</v></c>`
+    : `<c r="${ref}" t="inlineStr"${style}><is><t xml:space="preserve">${escapeXml(String(value).slice(0, 32767))}</t></is></c>`;
+  const sheetRows = [
+    columns.map(column => column.label),
+    ...rows.map(row => columns.map(column => exportCellValue(row, column.key)))
+  ].map((values, r) => `<row r="${r + 1}">${values.map((value, c) =>
+    cell(value, `${xlsxColumnName(c)}${r + 1}`, r === 0 ? ' s="1"' : '')).join('')}</row>`);
+  const cols = columns.map((column, c) =>
+    `<col min="${c + 1}" max="${c + 1}" width="${column.width || 16}" customWidth="1"/>`).join('');
+
+  const xmlHeader = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+  const mainNs = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+  const relNs = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+  const contentTypes = 'application/vnd.openxmlformats-officedocument.spreadsheetml';
+
+  return buildZip([
+    {
+      name: '[Content_Types].xml',
+      data: `${xmlHeader}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+        `<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>` +
+        `<Default Extension="xml" ContentType="application/xml"/>` +
+        `<Override PartName="/xl/workbook.xml" ContentType="${contentTypes}.sheet.main+xml"/>` +
+        `<Override PartName="/xl/worksheets/sheet1.xml" ContentType="${contentTypes}.worksheet+xml"/>` +
+        `<Override PartName="/xl/styles.xml" ContentType="${contentTypes}.styles+xml"/>` +
+        `</Types>`
+    },
+    {
+      name: '_rels/.rels',
+      data: `${xmlHeader}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+        `<Relationship Id="rId1" Type="${relNs}/officeDocument" Target="xl/workbook.xml"/>` +
+        `</Relationships>`
+    },
+    {
+      name: 'xl/workbook.xml',
+      data: `${xmlHeader}<workbook xmlns="${mainNs}" xmlns:r="${relNs}">` +
+        `<sheets><sheet name="${escapeXml(sheetName)}" sheetId="1" r:id="rId1"/></sheets>` +
+        `</workbook>`
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      data: `${xmlHeader}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+        `<Relationship Id="rId1" Type="${relNs}/worksheet" Target="worksheets/sheet1.xml"/>` +
+        `<Relationship Id="rId2" Type="${relNs}/styles" Target="styles.xml"/>` +
+        `</Relationships>`
+    },
+    {
+      name: 'xl/styles.xml',
+      data: `${xmlHeader}<styleSheet xmlns="${mainNs}">` +
+        `<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>` +
+        `<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>` +
+        `<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>` +
+        `<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>` +
+        `<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>` +
+        `<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>` +
+        `</styleSheet>`
+    },
+    {
+      name: 'xl/worksheets/sheet1.xml',
+      data: `${xmlHeader}<worksheet xmlns="${mainNs}">` +
+        `<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>` +
+        `<cols>${cols}</cols><sheetData>${sheetRows.join('')}</sheetData>` +
+        `</worksheet>`
+    }
+  ]);
+}
+
+// Gabungkan beberapa Uint8Array menjadi satu
+function concatBytes(chunks) {
+  const output = new Uint8Array(chunks.reduce((size, chunk) => size + chunk.length, 0));
+  let offset = 0;
+  for (const chunk of chunks) {
+    output.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return output;
+}
+
+// CRC-32 (polynomial 0xEDB88320) untuk entry ZIP
+function crc32(bytes) {
+  let crc = -1;
+  for (let i = 0; i < bytes.length; i++) {
+    crc ^= bytes[i];
+    for (let bit = 0; bit < 8; bit++) {
+      crc = (crc >>> 1) ^ (0xEDB88320 & -(crc & 1));
+    }
+  }
+  return (crc ^ -1) >>> 0;
+}
+
+// ZIP tanpa kompresi (method "stored") - cukup untuk XLSX dan tidak butuh library
+function buildZip(files) {
+  const encoder = new TextEncoder();
+  const now = new Date();
+  const dosTime = (now.getUTCHours() << 11) | (now.getUTCMinutes() << 5) | Math.floor(now.getUTCSeconds() / 2);
+  const dosDate = ((now.getUTCFullYear() - 1980) << 9) | ((now.getUTCMonth() + 1) << 5) | now.getUTCDate();
+  const entries = [];
+  const directory = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const name = encoder.encode(file.name);
+    const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(6, 0x0800, true); // nama file UTF-8
+    local.setUint16(8, 0, true);
+    local.setUint16(10, dosTime, true);
+    local.setUint16(12, dosDate, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, name.length, true);
+    local.setUint16(28, 0, true);
+    entries.push(new Uint8Array(local.buffer), name, data);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true);
+    central.setUint16(4, 20, true);
+    central.setUint16(6, 20, true);
+    central.setUint16(8, 0x0800, true);
+    central.setUint16(10, 0, true);
+    central.setUint16(12, dosTime, true);
+    central.setUint16(14, dosDate, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, name.length, true);
+    central.setUint32(42, offset, true);
+    directory.push(new Uint8Array(central.buffer), name);
+
+    offset += 30 + name.length + data.length;
+  }
+
+  const directorySize = directory.reduce((size, chunk) => size + chunk.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, directorySize, true);
+  end.setUint32(16, offset, true);
+
+  return concatBytes([...entries, ...directory, new Uint8Array(end.buffer)]);
+}
+
+// Karakter Unicode yang punya kode sendiri di WinAnsiEncoding (font standar PDF)
+const PDF_WINANSI_EXTRA = {
+  '€': 0x80, '…': 0x85, '‘': 0x91, '’': 0x92, '“': 0x93,
+  '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97
+};
+
+// String literal PDF; karakter di luar WinAnsi diganti "?" dan byte > 127 ditulis sebagai escape oktal
+function pdfString(value) {
+  let output = '';
+  for (const char of String(value)) {
+    let code = PDF_WINANSI_EXTRA[char] ?? char.codePointAt(0);
+    if (code < 32) {
+      code = 32;
+    } else if (code > 255 || (code >= 0x7F && code < 0xA0 && !(char in PDF_WINANSI_EXTRA))) {
+      code = 63;
+    }
+    if (code === 0x28 || code === 0x29 || code === 0x5C) {
+      output += `\\${String.fromCharCode(code)}`;
+    } else if (code > 127) {
+      output += `\\${code.toString(8).padStart(3, '0')}`;
+    } else {
+      output += String.fromCharCode(code);
+    }
+  }
+  return `(${output})`;
+}
+
+// Potong teks agar muat di lebar kolom (perkiraan lebar rata-rata Helvetica)
+function fitPdfText(value, width, size, bold = false) {
+  const text = String(value ?? '').replace(/\s+/g, ' ').trim();
+  const maxChars = Math.floor(width / (size * (bold ? 0.6 : 0.55)));
+  return text.length > maxChars ? `${text.slice(0, Math.max(maxChars - 3, 0))}...` : text;
+}
+
+// Builder dokumen PDF 1.4 sederhana: teks Helvetica, kotak, garis dan gambar
+function createPdfDocument(width, height) {
+  const pages = [];
+  const images = [];
+  let content = null;
+  const num = (value) => Number(value.toFixed(2));
+
+  return {
+    width,
+    height,
+    get pageCount() {
+      return pages.length;
+    },
+    addPage() {
+      content = [];
+      pages.push(content);
+    },
+    usePage(index) {
+      content = pages[index];
+    },
+    text(x, y, value, { size = 9, bold = false, color = '0 0 0' } = {}) {
+      content.push(`BT /${bold ? 'F2' : 'F1'} ${size} Tf ${color} rg ${num(x)} ${num(y)} Td ${pdfString(value)} Tj ET`);
+    },
+    rect(x, y, w, h, { fill, stroke } = {}) {
+      if (fill) {
+        content.push(`${fill} rg ${num(x)} ${num(y)} ${num(w)} ${num(h)} re f`);
       }
-    } catch (statsError) {
-      console.error('Stats query error:', statsError);
+      if (stroke) {
+        content.push(`${stroke} RG 0.5 w ${num(x)} ${num(y)} ${num(w)} ${num(h)} re S`);
+      }
+    },
+    line(x1, y1, x2, y2, color = '0.8 0.8 0.8') {
+      content.push(`${color} RG 0.5 w ${num(x1)} ${num(y1)} m ${num(x2)} ${num(y2)} l S`);
+    },
+    addImage(image) {
+      images.push(image);
+      return `Im${images.length}`;
+    },
+    drawImage(name, x, y, w, h) {
+      content.push(`q ${num(w)} 0 0 ${num(h)} ${num(x)} ${num(y)} cm /${name} Do Q`);
+    },
+    build(info = {}) {
+      const encoder = new TextEncoder();
+      // 1 = catalog, 2 = pages, 3/4 = font, 5 = info, lalu gambar, lalu page + content
+      const objects = [
+        { dict: '<< /Type /Catalog /Pages 2 0 R >>' },
+        null,
+        { dict: '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>' },
+        { dict: '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>' },
+        { dict: `<< /Title ${pdfString(info.title || '')} /Producer (IT Report System) /CreationDate (D:${new Date().toISOString().replace(/[-:T]/g, '').slice(0, 14)}Z) >>` }
+      ];
+
+      const xObjects = images.map((image, index) => {
+        const entries = [
+          '/Type /XObject', '/Subtype /Image',
+          `/Width ${image.width}`, `/Height ${image.height}`,
+          `/ColorSpace ${image.colorSpace}`, `/BitsPerComponent ${image.bitsPerComponent}`,
+          `/Filter ${image.filter}`
+        ];
+        if (image.decodeParms) entries.push(`/DecodeParms ${image.decodeParms}`);
+        if (image.decode) entries.push(`/Decode ${image.decode}`);
+        objects.push({ dict: `<< ${entries.join(' ')} /Length ${image.data.length} >>`, stream: image.data });
+        return `/Im${index + 1} ${objects.length} 0 R`;
+      });
+
+      const kids = pages.map(page => {
+        const stream = encoder.encode(page.join('\n'));
+        objects.push({ dict: `<< /Length ${stream.length} >>`, stream });
+        const contentId = objects.length;
+        objects.push({
+          dict: `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${width} ${height}] ` +
+            `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> /XObject << ${xObjects.join(' ')} >> >> ` +
+            `/Contents ${contentId} 0 R >>`
+        });
+        return `${objects.length} 0 R`;
+      });
+      objects[1] = { dict: `<< /Type /Pages /Kids [${kids.join(' ')}] /Count ${kids.length} >>` };
+
+      const chunks = [encoder.encode('%PDF-1.4\n'), new Uint8Array([0x25, 0xE2, 0xE3, 0xCF, 0xD3, 0x0A])];
+      const offsets = [];
+      let offset = chunks[0].length + chunks[1].length;
+      objects.forEach((object, index) => {
+        offsets.push(offset);
+        const parts = [encoder.encode(`${index + 1} 0 obj\n${object.dict}\n`)];
+        if (object.stream) {
+          parts.push(encoder.encode('stream\n'), object.stream, encoder.encode('\nendstream\n'));
+        }
+        parts.push(encoder.encode('endobj\n'));
+        for (const part of parts) {
+          chunks.push(part);
+          offset += part.length;
+        }
+      });
+
+      const xref = `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n` +
+        offsets.map(value => `${String(value).padStart(10, '0')} 00000 n \n`).join('') +
+        `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${offset}\n%%EOF\n`;
+      chunks.push(encoder.encode(xref));
+
+      return concatBytes(chunks);
     }
-    
-    // Get recent activity
-    let recent = { reports_today: 0, unique_servers_today: 0 };
-    try {
-      const recentResult = await db.prepare(`
-        SELECT 
-          COUNT(*) as reports_today,
-          COUNT(DISTINCT server_name) as unique_servers_today
-        FROM reports 
-        WHERE DATE(created_at) = DATE('now')
-      `).first();
-      
-      if (recentResult) {
-        recent = recentResult;
+  };
+}
+
+// Jalankan bytes melewati CompressionStream / DecompressionStream
+async function transformBytes(bytes, transform) {
+  const response = new Response(new Blob([bytes]).stream().pipeThrough(transform));
+  return new Uint8Array(await response.arrayBuffer());
+}
+
+// Balikkan filter per baris PNG (None, Sub, Up, Average, Paeth)
+function unfilterPng(raw, width, height, bytesPerPixel) {
+  const stride = width * bytesPerPixel;
+  if (raw.length < (stride + 1) * height) {
+    return null;
+  }
+  const pixels = new Uint8Array(stride * height);
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const source = y * (stride + 1) + 1;
+    const row = y * stride;
+    for (let x = 0; x < stride; x++) {
+      const a = x >= bytesPerPixel ? pixels[row + x - bytesPerPixel] : 0;
+      const b = y > 0 ? pixels[row - stride + x] : 0;
+      const c = x >= bytesPerPixel && y > 0 ? pixels[row - stride + x - bytesPerPixel] : 0;
+      let value = raw[source + x];
+      if (filter === 1) {
+        value += a;
+      } else if (filter === 2) {
+        value += b;
+      } else if (filter === 3) {
+        value += (a + b) >> 1;
+      } else if (filter === 4) {
+        const p = a + b - c;
+        const pa = Math.abs(p - a);
+        const pb = Math.abs(p - b);
+        const pc = Math.abs(p - c);
+        value += pa <= pb && pa <= pc ? a : pb <= pc ? b : c;
       }
-    } catch (recentError) {
-      console.error('Recent activity error:', recentError);
+      pixels[row + x] = value;
     }
-    
-    // Get platform distribution
-    let platforms = { results: [] };
-    try {
-      platforms = await db.prepare(`
-        SELECT 
-          platform,
-          COUNT(*) as count
-        FROM reports 
-        WHERE platform IS NOT NULL AND platform != ''
-        GROUP BY platform
-        ORDER BY count DESC
-      `).all();
-    } catch (platformsError) {
-      console.error('Platforms error:', platformsError);
+  }
+  return pixels;
+}
+
+// Ukuran dan jumlah komponen warna JPEG dari marker SOF (baseline / progressive)
+function readJpegInfo(bytes) {
+  if (bytes[0] !== 0xFF || bytes[1] !== 0xD8) {
+    return null;
+  }
+  let offset = 2;
+  while (offset + 9 < bytes.length) {
+    if (bytes[offset] !== 0xFF) {
+      return null;
     }
-    
-    // Get status timeline (last 7 days)
-    let timeline = { results: [] };
-    try {
-      timeline = await db.prepare(`
-        SELECT 
-          DATE(created_at) as date,
-          COUNT(*) as total,
-          COUNT(CASE WHEN status = 'completed' THEN 1 END) as completed
-        FROM reports 
-        WHERE created_at >= DATE('now', '-7 days')
-        GROUP BY DATE(created_at)
-        ORDER BY date
-      `).all();
-    } catch (timelineError) {
-      console.error('Timeline error:', timelineError);
+    const marker = bytes[offset + 1];
+    if (marker === 0xFF) {
+      offset++;
+      continue;
     }
-    
-    return jsonResponse({
-      success: true,
-      data: {
-        overview: stats,
-        activity: recent,
-        platforms: platforms.results || [],
-        timeline: timeline.results || [],
-        timestamp: new Date().toISOString()
-      }
-    });
-  } catch (error) {
-    console.error('Get stats error:', error);
-    throw new Error(`Failed to get stats: ${error.message}`);
+    if (marker >= 0xC0 && marker <= 0xCF && ![0xC4, 0xC8, 0xCC].includes(marker)) {
+      // DCTDecode hanya mendukung SOF0-SOF2 (bukan lossless / arithmetic coding)
+      return marker <= 0xC2 ? {
+        height: (bytes[offset + 5] << 8) | bytes[offset + 6],
+        width: (bytes[offset + 7] << 8) | bytes[offset + 8],
+        components: bytes[offset + 9]
+      } : null;
+    }
+    offset += 2 + ((bytes[offset + 2] << 8) | bytes[offset + 3]);
   }
+  return null;
 }
 
-// 8. GET Advanced Analytics
-async function handleGetAnalytics(request, db) {
-  try {
-    const url = new URL(request.url);
-    const days = parseInt(url.searchParams.get('days')) || 30;
-    
-    // Response time trends
-    let responseTimes = { results: [] };
-    try {
-      responseTimes = await db.prepare(`
-        SELECT 
-          DATE(created_at) as date,
-          AVG(CASE 
-            WHEN status = 'completed' 
-            THEN (julianday(updated_at) - julianday(created_at)) * 24 * 60 
-            ELSE NULL 
-          END) as avg_response_minutes
-        FROM reports 
-        WHERE created_at >= DATE('now', ?)
-        GROUP BY DATE(created_at)
-        ORDER BY date
-      `).bind(`-${days} days`).all();
-    } catch (responseTimeError) {
-      console.error('Response times error:', responseTimeError);
+// Chunk PNG yang dibutuhkan: IHDR, PLTE dan gabungan IDAT (masih terkompres)
+function parsePng(bytes) {
+  if (!(bytes[0] === 0x89 && bytes[1] === 0x50 && bytes[2] === 0x4E && bytes[3] === 0x47)) {
+    return null;
+  }
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let header = null;
+  let palette = null;
+  const idat = [];
+  let offset = 8;
+  while (offset + 8 <= bytes.length) {
+    const length = view.getUint32(offset);
+    const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+    const data = bytes.subarray(offset + 8, offset + 8 + length);
+    if (type === 'IHDR') {
+      header = { width: view.getUint32(offset + 8), height: view.getUint32(offset + 12), bitDepth: data[8], colorType: data[9], interlace: data[12] };
+    } else if (type === 'PLTE') {
+      palette = data;
+    } else if (type === 'IDAT') {
+      idat.push(data);
+    } else if (type === 'IEND') {
+      break;
+    }
+    offset += 12 + length;
+  }
+  if (!header || idat.length === 0) {
+    return null;
+  }
+  return { ...header, palette, compressed: concatBytes(idat) };
+}
+
+// PNG -> image XObject. Gray/RGB/palette dipakai langsung dengan PNG predictor,
+// gray+alpha dan RGBA 8-bit di-decode, alpha ditimpa ke latar putih lalu dikompres ulang
+async function readPngImage(bytes) {
+  const png = parsePng(bytes);
+  if (!png || png.interlace !== 0) {
+    return null;
+  }
+
+  const { width, height, bitDepth, colorType, palette, compressed } = png;
+
+  if ((colorType === 0 && bitDepth <= 8) || (colorType === 2 && bitDepth === 8) || (colorType === 3 && palette)) {
+    const colorSpace = colorType === 0 ? '/DeviceGray'
+      : colorType === 2 ? '/DeviceRGB'
+      : `[/Indexed /DeviceRGB ${palette.length / 3 - 1} <${toHex(palette)}>]`;
+    return {
+      width,
+      height,
+      colorSpace,
+      bitsPerComponent: bitDepth,
+      filter: '/FlateDecode',
+      decodeParms: `<< /Predictor 15 /Colors ${colorType === 2 ? 3 : 1} /BitsPerComponent ${bitDepth} /Columns ${width} >>`,
+      data: compressed
+    };
+  }
+
+  if ((colorType === 4 || colorType === 6) && bitDepth === 8) {
+    const channels = colorType === 4 ? 2 : 4;
+    const pixels = unfilterPng(await transformBytes(compressed, new DecompressionStream('deflate')), width, height, channels);
+    if (!pixels) {
+      return null;
     }
-    
-    // Priority distribution over time
-    let priorityTrends = { results: [] };
-    try {
-      priorityTrends = await db.prepare(`
-        SELECT 
-          DATE(created_at) as date,
-          COUNT(CASE WHEN priority = 'critical' THEN 1 END) as critical,
-          COUNT(CASE WHEN priority = 'high' THEN 1 END) as high,
-          COUNT(CASE WHEN priority = 'medium' THEN 1 END) as medium,
-          COUNT(CASE WHEN priority = 'low' THEN 1 END) as low
-        FROM reports 
-        WHERE created_at >= DATE('now', ?)
-        GROUP BY DATE(created_at)
-        ORDER BY date
-      `).bind(`-${days} days`).all();
-    } catch (priorityError) {
-      console.error('Priority trends error:', priorityError);
+    const colors = channels - 1;
+    const flattened = new Uint8Array(width * height * colors);
+    for (let i = 0, o = 0; i < pixels.length; i += channels) {
+      const alpha = pixels[i + colors];
+      for (let c = 0; c < colors; c++) {
+        flattened[o++] = Math.round((pixels[i + c] * alpha + 255 * (255 - alpha)) / 255);
+      }
     }
-    
-    // Server with most incidents
-    let topServers = { results: [] };
-    try {
-      topServers = await db.prepare(`
-        SELECT 
-          server_name,
-          COUNT(*) as incident_count,
-          COUNT(CASE WHEN priority = 'critical' THEN 1 END) as critical_count
-        FROM reports 
-        GROUP BY server_name
-        ORDER BY incident_count DESC
-        LIMIT 10
-      `).all();
-    } catch (serversError) {
-      console.error('Top servers error:', serversError);
+    return {
+      width,
+      height,
+      colorSpace: colors === 1 ? '/DeviceGray' : '/DeviceRGB',
+      bitsPerComponent: 8,
+      filter: '/FlateDecode',
+      data: await transformBytes(flattened, new CompressionStream('deflate'))
+    };
+  }
+
+  return null;
+}
+
+// Isi image -> image XObject, null jika format tidak bisa di-embed (mis. GIF/WebP) atau tidak terbaca dari R2
+async function loadPdfImage(image) {
+  const { bytes } = image;
+  if (!bytes) {
+    return null;
+  }
+  try {
+    const jpeg = readJpegInfo(bytes);
+    if (jpeg) {
+      const colorSpace = { 1: '/DeviceGray', 3: '/DeviceRGB', 4: '/DeviceCMYK' }[jpeg.components];
+      return colorSpace ? {
+        width: jpeg.width,
+        height: jpeg.height,
+        colorSpace,
+        bitsPerComponent: 8,
+        filter: '/DCTDecode',
+        // JPEG CMYK dari Adobe disimpan terbalik
+        decode: jpeg.components === 4 ? '[1 0 1 0 1 0 1 0]' : null,
+        data: bytes
+      } : null;
     }
-    
-    // Hourly distribution
-    let hourlyDistribution = { results: [] };
-    try {
-      hourlyDistribution = await db.prepare(`
-        SELECT 
-          strftime('%H', created_at) as hour,
-          COUNT(*) as count
-        FROM reports
-        WHERE created_at >= DATE('now', ?)
-        GROUP BY strftime('%H', created_at)
-        ORDER BY hour
-      `).bind(`-${days} days`).all();
-    } catch (hourlyError) {
-      console.error('Hourly distribution error:', hourlyError);
+
+    if (bytes[0] === 0x89 && bytes[1] === 0x50 && bytes[2] === 0x4E && bytes[3] === 0x47) {
+      return await readPngImage(bytes);
     }
-    
-    return jsonResponse({
-      success: true,
-      data: {
-        response_times: responseTimes.results || [],
-        priority_trends: priorityTrends.results || [],
-        top_servers: topServers.results || [],
-        hourly_distribution: hourlyDistribution.results || [],
-        period_days: days,
-        timestamp: new Date().toISOString()
-      }
-    });
   } catch (error) {
-    console.error('Get analytics error:', error);
-    throw new Error(`Failed to get analytics: ${error.message}`);
+    console.error(`Export image ${image.id} error:`, error);
   }
+  return null;
 }
 
-// 9. UPLOAD Image
-async function handleUploadImage(request, db, r2Bucket) {
-  try {
-    const contentType = request.headers.get('content-type') || '';
-    
-    if (contentType.includes('application/json')) {
-      // Base64 upload (for small images or testing)
-      let data;
-      try {
-        data = await request.json();
-      } catch (parseError) {
-        return jsonResponse({
-          success: false,
-          error: 'Invalid JSON'
-        }, 400);
-      }
-      
-      if (!data.report_id || !data.image_data || !data.filename) {
-        return jsonResponse({
-          success: false,
-          error: 'Missing required fields: report_id, image_data, filename'
-        }, 400);
-      }
-      
-      // Validate report exists
-      let report;
-      try {
-        report = await db.prepare(`
-          SELECT id FROM reports WHERE id = ?
-        `).bind(data.report_id).first();
-      } catch (reportError) {
-        console.error('Report check error:', reportError);
-        report = null;
-      }
-      
-      if (!report) {
-        return jsonResponse({
-          success: false,
-          error: 'Report not found'
-        }, 404);
-      }
-      
-      // Save to database (base64)
-      const imageId = `img_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-      
-      try {
-        await db.prepare(`
-          INSERT INTO images (id, report_id, filename, file_size, mime_type, image_data, created_at)
-          VALUES (?, ?, ?, ?, ?, ?, ?)
-        `).bind(
-          imageId,
-          data.report_id,
-          data.filename,
-          data.file_size || 0,
-          data.mime_type || 'image/png',
-          data.image_data,
-          new Date().toISOString()
-        ).run();
-      } catch (insertError) {
-        console.error('Insert image error:', insertError);
-        throw new Error('Failed to save image');
-      }
-      
-      return jsonResponse({
-        success: true,
-        id: imageId,
-        filename: data.filename,
-        message: 'Image uploaded successfully'
-      });
-      
-    } else if (contentType.includes('multipart/form-data')) {
-      // R2 upload for production
-      if (!r2Bucket) {
-        return jsonResponse({
-          success: false,
-          error: 'R2 bucket not configured'
-        }, 501);
+// Laporan PDF harian/mingguan: ringkasan /api/stats, tabel per priority dan thumbnail evidence
+async function buildPdfReport({ title, generatedAt, filters, stats, reports, truncated, images }) {
+  const doc = createPdfDocument(842, 595);
+  const margin = 36;
+  const contentWidth = doc.width - margin * 2;
+  const gray = '0.4 0.4 0.4';
+  const priorityColors = {
+    critical: '0.86 0.15 0.15',
+    high: '0.92 0.45 0.1',
+    medium: '0.8 0.6 0.05',
+    low: '0.2 0.55 0.3'
+  };
+  const columns = [
+    { key: 'report_id', label: 'Report #', width: 82 },
+    { key: 'created_at', label: 'Created', width: 78 },
+    { key: 'server_name', label: 'Server', width: 100 },
+    { key: 'ip_address', label: 'IP Address', width: 76 },
+    { key: 'platform', label: 'Platform', width: 70 },
+    { key: 'status', label: 'Status', width: 62 },
+    { key: 'assigned_to', label: 'Assigned To', width: 72 },
+    { key: 'sla_breached', label: 'SLA', width: 40 },
+    { key: 'description', label: 'Description', width: 190 }
+  ];
+  const formatCell = (report, key) => {
+    if (key === 'created_at') return String(report.created_at || '').replace('T', ' ').slice(0, 16);
+    if (key === 'sla_breached') return report.status === 'cancelled' ? '-' : report.sla_breached ? 'breached' : 'ok';
+    return report[key] ?? '';
+  };
+
+  let y = 0;
+  const newPage = () => {
+    doc.addPage();
+    y = doc.height - margin;
+  };
+  // Pindah halaman jika sisa ruang kurang dari "needed"; onNewPage untuk mengulang header tabel
+  const ensureSpace = (needed, onNewPage) => {
+    if (y - needed < margin + 16) {
+      newPage();
+      if (onNewPage) onNewPage();
+    }
+  };
+
+  newPage();
+
+  // Judul dan filter yang dipakai
+  doc.text(margin, y - 16, title, { size: 16, bold: true });
+  y -= 30;
+  const activeFilters = Object.entries(filters || {})
+    .filter(([, value]) => Array.isArray(value) ? value.length > 0 : Boolean(value))
+    .map(([key, value]) => `${key}=${Array.isArray(value) ? value.join(',') : value}`);
+  doc.text(margin, y, fitPdfText(
+    `Generated ${generatedAt.toISOString().replace('T', ' ').slice(0, 16)} UTC  |  ${reports.length} report(s)${truncated ? ` (limited to ${EXPORT_MAX_ROWS})` : ''}` +
+    `  |  Filters: ${activeFilters.length > 0 ? activeFilters.join('; ') : 'none'}`,
+    contentWidth, 8), { size: 8, color: gray });
+  y -= 22;
+
+  // Ringkasan dari /api/stats
+  const overview = stats?.overview || {};
+  const slaByPriority = Object.fromEntries((stats?.sla || []).map(row => [row.priority, row]));
+  const summaryCards = [
+    ['Total reports', overview.total_reports],
+    ['Pending', overview.pending],
+    ['On progress', overview.on_progress],
+    ['Completed', overview.completed],
+    ['Cancelled', overview.cancelled],
+    ['Reports today', stats?.activity?.reports_today]
+  ];
+  const drawCards = (cards) => {
+    const gap = 8;
+    const cardWidth = (contentWidth - gap * (cards.length - 1)) / cards.length;
+    cards.forEach(([label, value, note, color], index) => {
+      const x = margin + index * (cardWidth + gap);
+      doc.rect(x, y - 42, cardWidth, 42, { fill: '0.95 0.96 0.98', stroke: '0.85 0.87 0.9' });
+      if (color) doc.rect(x, y - 42, 3, 42, { fill: color });
+      doc.text(x + 8, y - 18, String(value ?? 0), { size: 14, bold: true });
+      doc.text(x + 8, y - 32, fitPdfText(note ? `${label}  |  ${note}` : label, cardWidth - 12, 7.5), { size: 7.5, color: gray });
+    });
+    y -= 52;
+  };
+
+  doc.text(margin, y, 'Summary', { size: 11, bold: true });
+  y -= 10;
+  drawCards(summaryCards);
+  drawCards(REPORT_PRIORITIES.map(priority => {
+    const compliance = slaByPriority[priority]?.resolve?.compliance_pct;
+    return [
+      priority.charAt(0).toUpperCase() + priority.slice(1),
+      overview[priority],
+      `SLA resolve ${compliance === null || compliance === undefined ? 'n/a' : `${compliance}%`}`,
+      priorityColors[priority]
+    ];
+  }));
+
+  // Tabel per priority
+  const rowHeight = 14;
+  const drawTableHeader = () => {
+    doc.rect(margin, y - rowHeight, contentWidth, rowHeight, { fill: '0.9 0.91 0.93' });
+    let x = margin;
+    for (const column of columns) {
+      doc.text(x + 3, y - 10, column.label, { size: 7.5, bold: true });
+      x += column.width;
+    }
+    y -= rowHeight;
+  };
+
+  if (reports.length === 0) {
+    y -= 6;
+    doc.text(margin, y, 'No reports match the selected filters.', { size: 9, color: gray });
+    y -= 16;
+  }
+
+  for (const priority of REPORT_PRIORITIES) {
+    const group = reports.filter(report => report.priority === priority);
+    if (group.length === 0) continue;
+
+    ensureSpace(24 + rowHeight * 2);
+    y -= 8;
+    doc.rect(margin, y - 12, 4, 14, { fill: priorityColors[priority] });
+    doc.text(margin + 10, y - 9, `${priority.charAt(0).toUpperCase() + priority.slice(1)}  (${group.length})`, { size: 11, bold: true });
+    y -= 20;
+    drawTableHeader();
+
+    group.forEach((report, index) => {
+      ensureSpace(rowHeight, drawTableHeader);
+      if (index % 2 === 1) {
+        doc.rect(margin, y - rowHeight, contentWidth, rowHeight, { fill: '0.97 0.97 0.98' });
       }
-      
-      const formData = await request.formData();
-      const reportId = formData.get('report_id');
-      const file = formData.get('file');
-      
-      if (!reportId || !file) {
-        return jsonResponse({
-          success: false,
-          error: 'Missing required fields: report_id, file'
-        }, 400);
+      let x = margin;
+      for (const column of columns) {
+        const value = formatCell(report, column.key);
+        const breached = column.key === 'sla_breached' && value === 'breached';
+        doc.text(x + 3, y - 10, fitPdfText(value, column.width - 6, 7.5), { size: 7.5, color: breached ? priorityColors.critical : '0 0 0' });
+        x += column.width;
       }
-      
-      // Generate unique filename
-      const filename = `${reportId}_${Date.now()}_${file.name.replace(/[^a-zA-Z0-9.-]/g, '_')}`;
-      
-      try {
-        // Upload to R2
-        await r2Bucket.put(filename, file);
-      } catch (r2Error) {
-        console.error('R2 upload error:', r2Error);
-        throw new Error('Failed to upload to R2');
+      y -= rowHeight;
+      doc.line(margin, y, margin + contentWidth, y, '0.9 0.9 0.9');
+    });
+  }
+
+  // Thumbnail evidence (maks. EXPORT_PDF_MAX_IMAGES)
+  if (images.length > 0) {
+    const thumbWidth = 180;
+    const thumbHeight = 120;
+    const gap = 10;
+    const perRow = Math.floor((contentWidth + gap) / (thumbWidth + gap));
+    const cellHeight = thumbHeight + 22;
+
+    ensureSpace(30 + cellHeight);
+    y -= 12;
+    doc.text(margin, y - 9, 'Evidence', { size: 11, bold: true });
+    y -= 20;
+
+    for (let index = 0; index < images.length; index++) {
+      const column = index % perRow;
+      if (column === 0) {
+        if (index > 0) y -= cellHeight;
+        ensureSpace(cellHeight);
       }
-      
-      // Get R2 URL
-      const r2Url = `https://pub-${env.R2_ACCOUNT_ID}.r2.dev/${filename}`;
-      
-      // Save metadata to database
-      const imageId = `img_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-      
-      try {
-        await db.prepare(`
-          INSERT INTO images (id, report_id, filename, file_size, mime_type, image_data, created_at)
-          VALUES (?, ?, ?, ?, ?, ?, ?)
-        `).bind(
-          imageId,
-          reportId,
-          file.name,
-          file.size,
-          file.type,
-          r2Url,
-          new Date().toISOString()
-        ).run();
-      } catch (metaError) {
-        console.error('Save metadata error:', metaError);
-        // Continue even if metadata save fails
+      const x = margin + column * (thumbWidth + gap);
+      const top = y;
+      const image = images[index];
+      const pdfImage = await loadPdfImage(image);
+
+      doc.rect(x, top - thumbHeight, thumbWidth, thumbHeight, { fill: '0.97 0.97 0.98', stroke: '0.85 0.87 0.9' });
+      if (pdfImage) {
+        const scale = Math.min(thumbWidth / pdfImage.width, thumbHeight / pdfImage.height);
+        const w = pdfImage.width * scale;
+        const h = pdfImage.height * scale;
+        doc.drawImage(doc.addImage(pdfImage), x + (thumbWidth - w) / 2, top - thumbHeight + (thumbHeight - h) / 2, w, h);
+      } else {
+        doc.text(x + 8, top - thumbHeight / 2, 'Preview not available', { size: 8, color: gray });
       }
-      
-      return jsonResponse({
-        success: true,
-        id: imageId,
-        filename: file.name,
-        url: r2Url,
-        message: 'Image uploaded to R2 successfully'
-      });
-    } else {
-      return jsonResponse({
-        success: false,
-        error: 'Unsupported content type. Use application/json or multipart/form-data'
-      }, 415);
+      doc.text(x, top - thumbHeight - 11, fitPdfText(`${image.report_number}  |  ${image.filename}`, thumbWidth, 7.5), { size: 7.5, color: gray });
     }
+    y -= cellHeight;
+  }
+
+  // Footer nomor halaman
+  const pageCount = doc.pageCount;
+  for (let index = 0; index < pageCount; index++) {
+    doc.usePage(index);
+    doc.text(margin, margin - 14, fitPdfText(title, 400, 7), { size: 7, color: gray });
+    doc.text(doc.width - margin - 50, margin - 14, `Page ${index + 1} of ${pageCount}`, { size: 7, color: gray });
+  }
+
+  return doc.build({ title });
+}
+
+// ============ EVIDENCE IMAGES (R2) ============
+
+// Key object R2: evidence/{report id}/{image id}, thumbnail dengan suffix _thumb
+function evidenceKey(reportId, imageId, thumbnail = false) {
+  return `evidence/${reportId}/${imageId}${thumbnail ? '_thumb' : ''}`;
+}
+
+// Row lama dari upload multipart menyimpan URL https://pub-xxx.r2.dev/{key} di image_data
+function legacyImageKey(image) {
+  if (!image.image_data || !image.image_data.startsWith('http')) {
+    return null;
+  }
+  try {
+    const url = new URL(image.image_data);
+    return url.hostname.endsWith('.r2.dev') ? decodeURIComponent(url.pathname.slice(1)) || null : null;
   } catch (error) {
-    console.error('Upload image error:', error);
-    throw new Error(`Upload failed: ${error.message}`);
+    return null;
   }
 }
 
-// 10. GET Image
-async function handleGetImage(id, db, r2Bucket) {
+// Base64 polos atau data URL -> bytes, null jika bukan base64 yang valid
+function decodeBase64Image(value) {
+  if (typeof value !== 'string' || value.startsWith('http')) {
+    return null;
+  }
+  const base64Data = (value.includes(',') ? value.slice(value.indexOf(',') + 1) : value).replace(/\s/g, '');
   try {
-    let image;
-    try {
-      image = await db.prepare(`
-        SELECT * FROM images WHERE id = ?
-      `).bind(id).first();
-    } catch (selectError) {
-      console.error('Select image error:', selectError);
-      image = null;
-    }
-    
-    if (!image) {
-      return jsonResponse({
-        success: false,
-        error: 'Image not found'
-      }, 404);
-    }
-    
-    if (image.image_data && image.image_data.startsWith('http')) {
-      // Redirect to R2 URL
-      return Response.redirect(image.image_data, 302);
-    } else if (image.image_data) {
-      // Return base64 image
-      const base64Data = image.image_data.split(',')[1] || image.image_data;
-      try {
-        const buffer = Uint8Array.from(atob(base64Data), c => c.charCodeAt(0));
-        
-        return new Response(buffer, {
-          headers: {
-            'Content-Type': image.mime_type || 'image/png',
-            'Content-Disposition': `inline; filename="${image.filename}"`,
-            'Cache-Control': 'public, max-age=86400'
-          }
-        });
-      } catch (decodeError) {
-        console.error('Base64 decode error:', decodeError);
-        return jsonResponse({
-          success: false,
-          error: 'Invalid image data'
-        }, 400);
-      }
-    } else {
-      return jsonResponse({
-        success: false,
-        error: 'No image data available'
-      }, 404);
-    }
+    return Uint8Array.from(atob(base64Data), c => c.charCodeAt(0));
   } catch (error) {
-    console.error('Get image error:', error);
-    throw new Error(`Failed to get image: ${error.message}`);
+    return null;
   }
 }
 
-// ============ STATIC FILE SERVING ============
+// Tipe image dari magic bytes, null jika bukan salah satu IMAGE_MIME_TYPES
+function sniffImageType(bytes) {
+  const ascii = (start, end) => String.fromCharCode(...bytes.subarray(start, end));
+  if (bytes[0] === 0x89 && ascii(1, 4) === 'PNG') {
+    return 'image/png';
+  }
+  if (bytes[0] === 0xFF && bytes[1] === 0xD8 && bytes[2] === 0xFF) {
+    return 'image/jpeg';
+  }
+  if (ascii(0, 6) === 'GIF87a' || ascii(0, 6) === 'GIF89a') {
+    return 'image/gif';
+  }
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') {
+    return 'image/webp';
+  }
+  return null;
+}
 
-// Serve frontend HTML
-async function serveFrontend() {
-  const html = `<!DOCTYPE html>
-<html lang="id">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>IT Report System - Cloudflare D1</title>
-    <style>
-        /* CSS dari index.html sebelumnya */
-        body { 
-            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-            color: #333;
-            min-height: 100vh;
-            padding: 20px;
-        }
-        /* ... full CSS dari index.html ... */
-    </style>
-</head>
-<body>
-    <div class="container">
-        <div class="header">
-            <h1>🚀 IT Report System</h1>
-            <p>Powered by Cloudflare D1 Database • 100% Free • No Server Required</p>
-            <div class="badge">
-                <span id="workerStatus">Checking Connection...</span>
-            </div>
-        </div>
-        <!-- ... konten HTML dari index.html ... -->
-    </div>
-    <script>
-        // JavaScript dari index.html
-        const API_BASE_URL = window.location.origin;
-        // ... full JavaScript dari index.html ...
-    </script>
-</body>
-</html>`;
-  
-  return new Response(html, {
-    headers: {
-      'Content-Type': 'text/html; charset=utf-8',
-      'Cache-Control': 'public, max-age=3600'
+// Secret untuk sign URL image; tanpa IMAGE_URL_SECRET dipakai secret session
+function getImageUrlSecret(env) {
+  return env.IMAGE_URL_SECRET || getSessionSecret(env);
+}
+
+// Isi yang di-sign: image, varian, waktu kedaluwarsa dan link_version (revoke = naikkan link_version)
+function imageSignaturePayload(image, thumbnail, exp) {
+  return `${image.id}:${thumbnail ? 'thumbnail' : 'original'}:${exp}:${image.link_version || 0}`;
+}
+
+// URL image / thumbnail dengan ?exp=&sig=. Tanpa secret (mode development terbuka) URL tidak di-sign
+async function signImageUrl(env, image, thumbnail = false, now = Date.now()) {
+  const path = `/api/images/${image.id}${thumbnail ? '/thumbnail' : ''}`;
+  const secret = getImageUrlSecret(env);
+  if (!secret) {
+    return path;
+  }
+  const ttlMinutes = Math.min(parseInt(env.IMAGE_URL_TTL_MINUTES) || DEFAULT_IMAGE_URL_TTL_MINUTES, MAX_IMAGE_URL_TTL_MINUTES);
+  const exp = Math.ceil((now / 1000 + ttlMinutes * 60) / IMAGE_URL_EXP_STEP_SECONDS) * IMAGE_URL_EXP_STEP_SECONDS;
+  const sig = await hmacHex(secret, imageSignaturePayload(image, thumbnail, exp));
+  return `${path}?exp=${exp}&sig=${sig}`;
+}
+
+// Cek signature dan masa berlaku signed URL
+async function verifyImageSignature(env, image, thumbnail, params, now = Date.now()) {
+  const secret = getImageUrlSecret(env);
+  const exp = params.get('exp') || '';
+  if (!secret || !/^\d+$/.test(exp) || parseInt(exp) * 1000 <= now) {
+    return false;
+  }
+  return timingSafeEqual(params.get('sig') || '', await hmacHex(secret, imageSignaturePayload(image, thumbnail, exp)));
+}
+
+// Content-Disposition inline dengan fallback ASCII (header tidak boleh berisi karakter non-Latin1)
+function inlineDisposition(filename) {
+  const fallback = String(filename || 'image').replace(/[^\x20-\x7E]/g, '_').replace(/["\\]/g, '_');
+  return `inline; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(String(filename || 'image'))}`;
+}
+
+// Simpan image + thumbnail ke R2, kembalikan key-nya. Thumbnail null jika tidak bisa / tidak perlu dibuat
+async function storeEvidenceImage(env, { imageId, reportId, filename, bytes, mimeType }) {
+  const r2Key = evidenceKey(reportId, imageId);
+  const customMetadata = { report_id: reportId, image_id: imageId, filename };
+
+  await env.R2_BUCKET.put(r2Key, bytes, {
+    httpMetadata: { contentType: mimeType, contentDisposition: inlineDisposition(filename) },
+    customMetadata
+  });
+
+  let thumbnailKey = null;
+  try {
+    const thumbnail = await createThumbnail(env, bytes, mimeType);
+    if (thumbnail) {
+      thumbnailKey = evidenceKey(reportId, imageId, true);
+      await env.R2_BUCKET.put(thumbnailKey, thumbnail.bytes, {
+        httpMetadata: { contentType: thumbnail.mimeType, contentDisposition: inlineDisposition(filename) },
+        customMetadata
+      });
     }
-  });
+  } catch (error) {
+    // Upload tetap berhasil tanpa thumbnail; GET thumbnail akan memakai image asli
+    console.error(`Thumbnail ${imageId} error:`, error);
+    thumbnailKey = null;
+  }
+
+  return { r2_key: r2Key, thumbnail_key: thumbnailKey };
 }
 
-// Serve API documentation
-async function serveAPIDocs() {
-  const html = `<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>IT Report System - API Documentation</title>
-    <style>
-        body {
-            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-            line-height: 1.6;
-            max-width: 1200px;
-            margin: 0 auto;
-            padding: 20px;
-            background: #f5f7fa;
-        }
-        .header {
-            text-align: center;
-            margin-bottom: 40px;
-            padding: 40px;
-            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-            color: white;
-            border-radius: 15px;
-        }
-        .endpoint {
-            background: white;
-            border-radius: 10px;
-            padding: 25px;
-            margin-bottom: 25px;
-            box-shadow: 0 5px 15px rgba(0,0,0,0.08);
-        }
-        .method {
-            display: inline-block;
-            padding: 5px 15px;
-            background: #3498db;
-            color: white;
-            border-radius: 4px;
-            font-weight: bold;
-            margin-right: 10px;
-        }
-        .method.get { background: #28a745; }
-        .method.post { background: #007bff; }
-        .method.delete { background: #dc3545; }
-        pre {
-            background: #2c3e50;
-            color: white;
-            padding: 15px;
-            border-radius: 8px;
-            overflow-x: auto;
-        }
-        code {
-            background: #e9ecef;
-            padding: 2px 6px;
-            border-radius: 4px;
-            font-family: monospace;
-        }
-    </style>
-</head>
-<body>
-    <div class="header">
-        <h1>📚 IT Report System API Documentation</h1>
-        <p>Version 1.0.0 | Powered by Cloudflare D1</p>
-    </div>
+// Thumbnail JPEG lewat binding Cloudflare Images (semua format) atau PNG yang di-resize di worker
+async function createThumbnail(env, bytes, mimeType) {
+  if (env.IMAGES) {
+    const info = await env.IMAGES.info(new Blob([bytes]).stream());
+    if (info.width <= THUMBNAIL_SIZE && info.height <= THUMBNAIL_SIZE) {
+      return null;
+    }
+    const output = await env.IMAGES.input(new Blob([bytes]).stream())
+      .transform({ width: THUMBNAIL_SIZE, height: THUMBNAIL_SIZE, fit: 'scale-down', background: '#FFFFFF' })
+      .output({ format: 'image/jpeg', quality: 80 });
+    return { bytes: new Uint8Array(await output.response().arrayBuffer()), mimeType: 'image/jpeg' };
+  }
+  if (mimeType === 'image/png') {
+    const thumbnail = await createPngThumbnail(bytes, THUMBNAIL_SIZE);
+    return thumbnail ? { bytes: thumbnail, mimeType: 'image/png' } : null;
+  }
+  return null;
+}
 
-    <div class="endpoint">
-        <span class="method get">GET</span>
-        <strong>/api/health</strong>
-        <p>Health check endpoint</p>
-        <pre>curl https://your-worker.workers.dev/api/health</pre>
-        <p><strong>Response:</strong></p>
-        <pre>{
-  "success": true,
-  "healthy": true,
-  "database": "connected",
-  "timestamp": "2024-01-01T00:00:00.000Z"
-}</pre>
-    </div>
+// Pixel RGB 8-bit (alpha ditimpa ke latar putih) dari PNG non-interlaced 8-bit, null untuk format lain
+async function decodePngRgb(png) {
+  const { width, height, bitDepth, colorType, palette } = png;
+  const channels = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 }[colorType];
+  if (!channels || bitDepth !== 8 || png.interlace !== 0 || (colorType === 3 && !palette)) {
+    return null;
+  }
+  const pixels = unfilterPng(await transformBytes(png.compressed, new DecompressionStream('deflate')), width, height, channels);
+  if (!pixels) {
+    return null;
+  }
+  const rgb = new Uint8Array(width * height * 3);
+  for (let i = 0, o = 0; i < pixels.length; i += channels) {
+    let color;
+    let alpha = 255;
+    if (colorType === 3) {
+      color = palette.subarray(pixels[i] * 3, pixels[i] * 3 + 3);
+    } else if (channels <= 2) {
+      color = [pixels[i], pixels[i], pixels[i]];
+      alpha = channels === 2 ? pixels[i + 1] : 255;
+    } else {
+      color = pixels.subarray(i, i + 3);
+      alpha = channels === 4 ? pixels[i + 3] : 255;
+    }
+    for (let c = 0; c < 3; c++) {
+      rgb[o++] = Math.round(((color[c] || 0) * alpha + 255 * (255 - alpha)) / 255);
+    }
+  }
+  return rgb;
+}
 
-    <div class="endpoint">
-        <span class="method get">GET</span>
-        <strong>/api/reports</strong>
-        <p>Get all reports with pagination and filtering</p>
-        <pre>curl "https://your-worker.workers.dev/api/reports?limit=10&offset=0&status=on-progress"</pre>
-    </div>
+// Perkecil PNG dengan box filter (rata-rata pixel sumber) lalu encode ulang sebagai PNG RGB
+async function createPngThumbnail(bytes, maxSize) {
+  const png = parsePng(bytes);
+  if (!png || png.width * png.height > THUMBNAIL_MAX_PIXELS || Math.max(png.width, png.height) <= maxSize) {
+    return null;
+  }
+  const rgb = await decodePngRgb(png);
+  if (!rgb) {
+    return null;
+  }
 
-    <div class="endpoint">
-        <span class="method post">POST</span>
-        <strong>/api/reports</strong>
-        <p>Create new report</p>
-        <pre>curl -X POST https://your-worker.workers.dev/api/reports \\
-  -H "Content-Type: application/json" \\
-  -d '{
-    "server_name": "WEB-SVR-01",
-    "status": "on-progress",
-    "priority": "high"
-  }'</pre>
-    </div>
+  const scale = maxSize / Math.max(png.width, png.height);
+  const width = Math.max(1, Math.round(png.width * scale));
+  const height = Math.max(1, Math.round(png.height * scale));
+  const stride = width * 3 + 1;
+  const raw = new Uint8Array(stride * height);
 
-    <div class="endpoint">
-        <span class="method get">GET</span>
-        <strong>/api/stats</strong>
-        <p>Get system statistics</p>
-        <pre>curl https://your-worker.workers.dev/api/stats</pre>
-    </div>
+  for (let y = 0; y < height; y++) {
+    const y0 = Math.floor(y * png.height / height);
+    const y1 = Math.max(y0 + 1, Math.floor((y + 1) * png.height / height));
+    for (let x = 0; x < width; x++) {
+      const x0 = Math.floor(x * png.width / width);
+      const x1 = Math.max(x0 + 1, Math.floor((x + 1) * png.width / width));
+      const sum = [0, 0, 0];
+      for (let sy = y0; sy < y1; sy++) {
+        for (let sx = x0; sx < x1; sx++) {
+          const p = (sy * png.width + sx) * 3;
+          sum[0] += rgb[p];
+          sum[1] += rgb[p + 1];
+          sum[2] += rgb[p + 2];
+        }
+      }
+      const count = (y1 - y0) * (x1 - x0);
+      // Byte pertama tiap baris = filter 0 (None)
+      const o = y * stride + 1 + x * 3;
+      raw[o] = Math.round(sum[0] / count);
+      raw[o + 1] = Math.round(sum[1] / count);
+      raw[o + 2] = Math.round(sum[2] / count);
+    }
+  }
 
-    <div class="endpoint">
-        <span class="method post">POST</span>
-        <strong>/api/upload</strong>
-        <p>Upload image evidence</p>
-        <pre>curl -X POST https://your-worker.workers.dev/api/upload \\
-  -H "Content-Type: application/json" \\
-  -d '{
-    "report_id": "rep_123456",
-    "filename": "screenshot.png",
-    "image_data": "data:image/png;base64,..."
-  }'</pre>
-    </div>
+  const header = new Uint8Array(13);
+  const view = new DataView(header.buffer);
+  view.setUint32(0, width);
+  view.setUint32(4, height);
+  header.set([8, 2, 0, 0, 0], 8);
 
-    <div class="endpoint">
-        <h3>📊 Example Report Object</h3>
-        <pre>{
-  "id": "rep_1703232000000_abc123",
-  "report_id": "REP-2024-0001",
-  "server_name": "WEB-SVR-01",
-  "ip_address": "192.168.1.100",
-  "description": "Server overload during peak hours",
-  "status": "on-progress",
-  "priority": "high",
-  "platform": "Zabbix",
-  "created_by": "System",
-  "timestamp": "2024-01-01T12:00:00.000Z",
-  "created_at": "2024-01-01T12:00:00.000Z",
-  "updated_at": "2024-01-01T12:00:00.000Z",
-  "image_count": 2
-}</pre>
-    </div>
-</body>
-</html>`;
-  
-  return new Response(html, {
-    headers: {
-      'Content-Type': 'text/html; charset=utf-8',
-      'Cache-Control': 'public, max-age=3600'
-    }
-  });
+  return concatBytes([
+    new Uint8Array([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', await transformBytes(raw, new CompressionStream('deflate'))),
+    pngChunk('IEND', new Uint8Array(0))
+  ]);
 }
 
-// Serve static files (if needed)
-async function serveStatic(path, env) {
-  // You can implement static file serving if needed
-  // For now, just return 404
-  return jsonResponse({
-    success: false,
-    error: 'Not Found',
-    message: 'Static file not found'
-  }, 404);
+// Satu chunk PNG: length, type, data, CRC32 dari type + data
+function pngChunk(type, data) {
+  const chunk = new Uint8Array(12 + data.length);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, data.length);
+  chunk.set(new TextEncoder().encode(type), 4);
+  chunk.set(data, 8);
+  view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+  return chunk;
 }
 
-// ============ HELPER FUNCTIONS ============
+// Stream object R2 ke client: Range (206), If-None-Match / If-Modified-Since (304) dan HEAD
+async function serveR2Object(request, bucket, key, filename, cacheControl = 'private, max-age=86400') {
+  const isHead = request.method === 'HEAD';
+  let object;
+  try {
+    object = isHead
+      ? await bucket.head(key)
+      : await bucket.get(key, { range: request.headers, onlyIf: request.headers });
+  } catch (error) {
+    // Range di luar ukuran object
+    const head = request.headers.has('range') ? await bucket.head(key) : null;
+    if (!head) {
+      throw error;
+    }
+    return new Response(null, {
+      status: 416,
+      headers: { 'Content-Range': `bytes */${head.size}` }
+    });
+  }
 
-// Update system statistics
-async function updateSystemStats(db) {
+  if (!object) {
+    return jsonResponse({
+      success: false,
+      error: 'Image object not found in storage'
+    }, 404);
+  }
+
+  const headers = new Headers();
+  object.writeHttpMetadata(headers);
+  headers.set('ETag', object.httpEtag);
+  headers.set('Accept-Ranges', 'bytes');
+  headers.set('Cache-Control', cacheControl);
+  if (!headers.has('Content-Disposition')) {
+    headers.set('Content-Disposition', inlineDisposition(filename));
+  }
+
+  if (isHead) {
+    headers.set('Content-Length', String(object.size));
+    return new Response(null, { headers });
+  }
+
+  // Precondition onlyIf gagal: R2 mengembalikan object tanpa body
+  if (!('body' in object) || !object.body) {
+    const conditional = request.headers.has('if-none-match') || request.headers.has('if-modified-since');
+    return new Response(null, { status: conditional ? 304 : 412, headers });
+  }
+
+  // Range yang mencakup seluruh object dijawab 200 biasa
+  const offset = object.range ? object.range.offset ?? (object.size - object.range.suffix) : 0;
+  const length = object.range ? object.range.length ?? (object.size - offset) : object.size;
+  if (request.headers.has('range') && (offset > 0 || length < object.size)) {
+    headers.set('Content-Range', `bytes ${offset}-${offset + length - 1}/${object.size}`);
+    headers.set('Content-Length', String(length));
+    return new Response(object.body, { status: 206, headers });
+  }
+
+  headers.set('Content-Length', String(object.size));
+  return new Response(object.body, { headers });
+}
+
+// Isi image sebagai bytes (untuk export PDF); preferThumbnail memakai thumbnail jika ada
+async function readEvidenceBytes(bucket, image, preferThumbnail = false) {
+  const key = (preferThumbnail && image.thumbnail_key) || image.r2_key || legacyImageKey(image);
+  if (!key) {
+    return image.image_data ? decodeBase64Image(image.image_data) : null;
+  }
+  if (!bucket) {
+    return null;
+  }
   try {
-    const stats = await db.prepare(`
-      SELECT 
-        COUNT(*) as total_reports,
-        COUNT(CASE WHEN status IN ('on-progress', 'pending') THEN 1 END) as active_issues,
-        COUNT(CASE WHEN status = 'completed' THEN 1 END) as completed_reports,
-        COUNT(CASE WHEN priority = 'critical' THEN 1 END) as critical_issues
-      FROM reports
-    `).first();
-    
-    await db.prepare(`
-      INSERT OR REPLACE INTO system_stats 
-      (id, total_reports, active_issues, completed_reports, critical_issues, last_updated)
-      VALUES (1, ?, ?, ?, ?, ?)
-    `).bind(
-      stats?.total_reports || 0,
-      stats?.active_issues || 0,
-      stats?.completed_reports || 0,
-      stats?.critical_issues || 0,
-      new Date().toISOString()
-    ).run();
+    const object = await bucket.get(key);
+    return object ? new Uint8Array(await object.arrayBuffer()) : null;
   } catch (error) {
-    console.error('Failed to update system stats:', error);
+    console.error(`Read evidence ${key} error:`, error);
+    return null;
   }
 }
 
-// Log API request
-async function logRequest(db, endpoint, method, statusCode, responseTime, userAgent) {
+// Key R2 (image + thumbnail) milik report-report ini, diambil sebelum row images dihapus
+async function listEvidenceKeys(db, reportIds) {
   try {
-    await db.prepare(`
-      INSERT INTO api_logs (endpoint, method, status_code, response_time, user_agent, timestamp)
-      VALUES (?, ?, ?, ?, ?, ?)
-    `).bind(
-      endpoint,
-      method,
-      statusCode,
-      responseTime,
-      userAgent || '',
-      new Date().toISOString()
-    ).run();
+    const rows = await db.prepare(`
+      SELECT r2_key, thumbnail_key, image_data FROM images
+      WHERE report_id IN (SELECT value FROM json_each(?))
+    `).bind(JSON.stringify(reportIds)).all();
+    return (rows.results || []).flatMap(image => [image.r2_key || legacyImageKey(image), image.thumbnail_key]).filter(Boolean);
   } catch (error) {
-    console.error('Failed to log request:', error);
+    console.error('List evidence keys error:', error);
+    return [];
   }
 }
 
+// Hapus object R2 (maksimal 1000 key per delete); error hanya di-log
+async function deleteEvidenceObjects(bucket, keys) {
+  const valid = keys.filter(Boolean);
+  if (!bucket || valid.length === 0) {
+    return;
+  }
+  try {
+    for (let i = 0; i < valid.length; i += 1000) {
+      await bucket.delete(valid.slice(i, i + 1000));
+    }
+  } catch (error) {
+    console.error('Delete evidence objects error:', error);
+  }
+}
+
+// Pindahkan image lama ke R2: base64 di image_data di-upload, URL r2.dev lama cukup dipetakan ke key-nya.
+// Row yang gagal (data rusak / bukan image) ditandai migration_error supaya tidak menahan batch berikutnya;
+// image_data-nya tidak diubah dan bisa dicoba lagi dengan retryFailed
+async function migrateImagesToR2(env, limit, retryFailed = false) {
+  const db = env.DB;
+  if (retryFailed) {
+    await db.prepare(`UPDATE images SET migration_error = NULL WHERE migration_error IS NOT NULL`).run();
+  }
+
+  const rows = await db.prepare(`
+    SELECT id, report_id, filename, mime_type, image_data FROM images
+    WHERE r2_key IS NULL AND image_data IS NOT NULL AND migration_error IS NULL
+    ORDER BY created_at, id
+    LIMIT ?
+  `).bind(limit).all();
+
+  let migrated = 0;
+  const failed = [];
+
+  for (const image of rows.results || []) {
+    try {
+      let bytes;
+      let stored;
+      const legacyKey = legacyImageKey(image);
+
+      if (legacyKey) {
+        const object = await env.R2_BUCKET.get(legacyKey);
+        if (!object) {
+          throw new Error(`R2 object ${legacyKey} not found`);
+        }
+        bytes = new Uint8Array(await object.arrayBuffer());
+      } else {
+        bytes = decodeBase64Image(image.image_data);
+        if (!bytes || bytes.length === 0) {
+          throw new Error('Invalid base64 data');
+        }
+      }
+
+      const mimeType = sniffImageType(bytes);
+      if (!mimeType) {
+        throw new Error('Unsupported image type');
+      }
+
+      if (legacyKey) {
+        const thumbnail = await createThumbnail(env, bytes, mimeType).catch(() => null);
+        const thumbnailKey = thumbnail ? evidenceKey(image.report_id, image.id, true) : null;
+        if (thumbnail) {
+          await env.R2_BUCKET.put(thumbnailKey, thumbnail.bytes, {
+            httpMetadata: { contentType: thumbnail.mimeType, contentDisposition: inlineDisposition(image.filename) }
+          });
+        }
+        stored = { r2_key: legacyKey, thumbnail_key: thumbnailKey };
+      } else {
+        stored = await storeEvidenceImage(env, {
+          imageId: image.id,
+          reportId: image.report_id,
+          filename: image.filename,
+          bytes,
+          mimeType
+        });
+      }
+
+      await db.prepare(`
+        UPDATE images
+        SET r2_key = ?, thumbnail_key = ?, mime_type = ?, file_size = ?, image_data = NULL
+        WHERE id = ? AND r2_key IS NULL
+      `).bind(stored.r2_key, stored.thumbnail_key, mimeType, bytes.length, image.id).run();
+      migrated++;
+    } catch (error) {
+      console.error(`Migrate image ${image.id} error:`, error);
+      failed.push({ id: image.id, report_id: image.report_id, error: error.message });
+      await db.prepare(`
+        UPDATE images SET migration_error = ? WHERE id = ?
+      `).bind(error.message, image.id).run();
+    }
+  }
+
+  const counts = await db.prepare(`
+    SELECT
+      SUM(CASE WHEN migration_error IS NULL THEN 1 ELSE 0 END) as remaining,
+      SUM(CASE WHEN migration_error IS NOT NULL THEN 1 ELSE 0 END) as failed_total
+    FROM images WHERE r2_key IS NULL AND image_data IS NOT NULL
+  `).first();
+
+  return { migrated, failed, remaining: counts?.remaining || 0, failed_total: counts?.failed_total || 0 };
+}
+
 // ============ ERROR HANDLING MIDDLEWARE ============
 
 // Global error handler (already implemented in main fetch)
\ No newline at end of file